@@ -0,0 +1,183 @@
+import { DBConnection } from './DBConnection.js';
+import { InterceptorManager } from './InterceptorManager.js';
+
+/**
+ * ConnectionManager class holding connections to several sites by name
+ * Connections share one transport, one cache (entries are keyed by base URL), the interceptors
+ * and the plugins; token, headers and other options come from the shared config unless a site overrides them.
+ * Offline mode is not shared, as sites must not share a queue store: set `offline` per site
+ */
+export class ConnectionManager {
+  /**
+   * @param {Object} [sites={}] - Site configs by name: DBConnection config with a `siteId`, or just the site ID
+   * @param {Object} [shared={}] - Config shared by every site (transport, fetch, cache, token, headers, retry, timeout, ...), except `offline`
+   * @param {Function} [shared.baseURL] - Returns the base URL of a site ID (defaults to `/api/v1/<siteId>`)
+   */
+  constructor(sites = {}, shared = {}) {
+    if (shared.baseURL !== undefined && typeof shared.baseURL !== 'function') {
+      throw new TypeError('Shared baseURL must be a function of the site ID; set baseURL per site instead');
+    }
+
+    this.shared = { ...shared };
+    this.connections = {};
+    this.interceptors = { request: new InterceptorManager(), response: new InterceptorManager() };
+    this.plugins = [];
+    this.transport = null;
+    this.cache = null;
+
+    Object.keys(sites).forEach(name => this.add(name, sites[name]));
+  }
+
+  /**
+   * Site names
+   * @returns {Array<string>} Names, in the order the sites were added
+   */
+  get names() {
+    return Object.keys(this.connections);
+  }
+
+  /**
+   * Add (or replace) a site
+   * @param {string} name - Site name
+   * @param {Object|string} config - DBConnection config with a `siteId`, or the site ID
+   * @returns {DBConnection} Connection to the site
+   * @throws {Error} If the config has no site ID
+   */
+  add(name, config) {
+    const site = typeof config === 'string' ? { siteId: config } : { ...config };
+    if (!site.siteId) {
+      throw new Error(`Site "${name}" needs a siteId`);
+    }
+
+    const { baseURL: siteURL, offline, ...shared } = this.shared;
+    const connection = new DBConnection({
+      ...shared,
+      ...(this.transport ? { transport: this.transport } : {}),
+      ...(this.cache ? { cache: this.cache } : {}),
+      ...site,
+      baseURL: site.baseURL || (siteURL ? siteURL(site.siteId) : `/api/v1/${site.siteId}`)
+    });
+
+    this.transport = this.transport || connection.transport;
+    this.cache = this.cache || connection.cache;
+    connection.interceptors = this.interceptors;
+    this.plugins.forEach(plugin => connection.plugin(plugin.fn, plugin.options));
+
+    this.connections[name] = connection;
+    return connection;
+  }
+
+  /**
+   * Get the connection to a site
+   * @param {string} name - Site name
+   * @returns {DBConnection} Connection
+   * @throws {Error} If there is no such site
+   */
+  get(name) {
+    const connection = this.connections[name];
+    if (!connection) {
+      throw new Error(`Unknown site "${name}", expected one of: ${this.names.join(', ')}`);
+    }
+    return connection;
+  }
+
+  /**
+   * Apply a plugin to every model of every site, registered now or later
+   * @param {Function} fn - Plugin function, called with (model, options)
+   * @param {Object} [options={}] - Plugin options
+   * @returns {ConnectionManager} This instance for chaining
+   */
+  plugin(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Plugin must be a function');
+    }
+
+    this.plugins = this.plugins.concat([{ fn, options }]);
+    this.names.forEach(name => this.connections[name].plugin(fn, options));
+    return this;
+  }
+
+  /**
+   * Run the same function against several sites
+   * A failing site does not stop the others; its error is returned in its entry
+   * @param {Function} fn - Called with (connection, name); may be async
+   * @param {Object} [options={}] - Run options
+   * @param {Array<string>} [options.sites] - Site names (all sites by default)
+   * @param {number} [options.concurrency=4] - Sites processed at the same time
+   * @returns {Promise<Array<Object>>} Entries ({ site, result, error }) in the order of the sites
+   * @throws {Error} If a site name is unknown (nothing is run)
+   */
+  async run(fn, options = {}) {
+    const names = options.sites || this.names;
+    const connections = names.map(name => this.get(name));
+    const concurrency = Math.max(1, Math.floor(options.concurrency || 4));
+    const results = new Array(names.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < names.length) {
+        const index = next++;
+        try {
+          results[index] = { site: names[index], result: await fn(connections[index], names[index]), error: null };
+        } catch (error) {
+          results[index] = { site: names[index], result: undefined, error };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, names.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Copy the records of a collection from one site to another
+   * Records are exported page by page from the source and imported into the target, through the
+   * target model (so its schema, hooks and plugins apply); ids are dropped unless `keepIds` is set
+   * @param {string} collection - Collection name
+   * @param {Object} options - Copy options, plus request options (retry, timeout, signal)
+   * @param {string|DBConnection} options.from - Source site name or connection
+   * @param {string|DBConnection} options.to - Target site name or connection
+   * @param {Object} [options.filters={}] - Filter conditions on the source records
+   * @param {string|Array<string>} [options.select] - Fields to copy
+   * @param {boolean} [options.keepIds=false] - Insert the records with their source ids
+   * @param {Function} [options.mapping] - Transforms each record before insert; return null to skip it
+   * @param {number} [options.batchSize=100] - Records read and inserted per request
+   * @param {Function} [options.onProgress] - Called with ({ processed, inserted, rejected }) after each chunk
+   * @param {Function} [options.onError] - Called with (error, { index, row }) for each rejected record
+   * @returns {Promise<Object>} Report: { total, inserted, skipped, rejected: [{ index, row, error }] }
+   * @throws {Error} If `from` or `to` is missing, unknown, or both are the same connection
+   */
+  async copyCollection(collection, options = {}) {
+    const { from, to, filters = {}, select, keepIds = false, mapping, batchSize = 100, onProgress, onError, ...requestOptions } = options;
+    if (!from || !to) {
+      throw new Error('copyCollection() needs `from` and `to` sites');
+    }
+
+    const source = from instanceof DBConnection ? from : this.get(from);
+    const target = to instanceof DBConnection ? to : this.get(to);
+    if (source === target) {
+      throw new Error(`Cannot copy "${collection}" onto itself`);
+    }
+
+    const records = source.model(collection).export({ ...requestOptions, cache: false, format: 'ndjson', filters, select, batchSize });
+    const prepare = (record) => {
+      const row = { ...record };
+      if (!keepIds) {
+        delete row.id;
+      }
+      return typeof mapping === 'function' ? mapping(row) : row;
+    };
+
+    return await target.model(collection).import(records, { ...requestOptions, format: 'ndjson', mapping: prepare, batchSize, onProgress, onError });
+  }
+}
+
+/**
+ * Create a connection manager
+ * @param {Object} sites - Site configs by name (see ConnectionManager)
+ * @param {Object} [shared={}] - Config shared by every site
+ * @returns {ConnectionManager} Connection manager
+ */
+export function createConnections(sites, shared = {}) {
+  return new ConnectionManager(sites, shared);
+}
@@ -1,11 +1,35 @@
 import { DBModel } from './DBModel.js';
+import { EventEmitter } from './EventEmitter.js';
+import { InterceptorManager } from './InterceptorManager.js';
+import { attachDebugLogger } from './debugLogger.js';
+import { Schema } from './Schema.js';
+import { FetchTransport } from './FetchTransport.js';
+import { QueryCache } from './QueryCache.js';
+import { OfflineQueue } from './OfflineQueue.js';
+import { validateFilters } from './filters.js';
+import { WebCakeError, NetworkError, TimeoutError, createError } from './errors.js';
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryableError,
+  getRetryDelay,
+  parseRetryAfter,
+  sleep
+} from './retry.js';
 
 /**
  * DBConnection class for managing database connections and operations
  * Main entry point for database operations
+ *
+ * Events (one per request attempt; cache hits send no request):
+ * - `request` ({ requestId, collection, operation, method, url, filters, size }) - A request is being sent
+ * - `response` ({ requestId, collection, operation, method, url, status, ok, duration, size, count }) - A response was received
+ * - `error` (error, { requestId, collection, operation, method, url, status, duration }) - An attempt failed
  */
-export class DBConnection {
+export class DBConnection extends EventEmitter {
   constructor(config = {}) {
+    super();
+
     // Get siteId from DOM or config
     const siteId = config.siteId || this._getSiteIdFromDOM();
     
@@ -13,9 +37,58 @@ export class DBConnection {
     this.siteId = siteId;
     this.headers = {
       'Content-Type': 'application/json',
-      'Authorization': config.token ? `Bearer ${config.token}` : '',
       ...config.headers
     };
+    this.token = config.token || null;
+    this.getToken = config.getToken || null;
+    this.refreshToken = config.refreshToken || null;
+    this._refreshing = null;
+    this.interceptors = { request: new InterceptorManager(), response: new InterceptorManager() };
+    this._requestId = 0;
+    this._detachDebug = null;
+    this.setDebug(config.debug);
+    this.transport = this._resolveTransport(config);
+    this.retry = resolveRetryPolicy(DEFAULT_RETRY_POLICY, config.retry);
+    this.timeout = config.timeout || 0;
+    this.cache = this._resolveCache(config.cache);
+    this.batch = config.batch === false ? false : { maxBatchSize: 100, ...config.batch };
+    this.dedupe = config.dedupe !== false;
+    this.models = {};
+    this.plugins = [];
+    this._sites = {};
+    this._inflight = new Map();
+    this.offline = config.offline ? new OfflineQueue(this, config.offline === true ? {} : config.offline) : null;
+  }
+
+  /**
+   * Resolve the query cache
+   * @private
+   * @param {QueryCache|Object|boolean} [cache] - Cache instance, cache options, or true for defaults
+   * @returns {QueryCache|null} Cache or null when caching is disabled
+   */
+  _resolveCache(cache) {
+    if (!cache) {
+      return null;
+    }
+    return cache instanceof QueryCache ? cache : new QueryCache(cache === true ? {} : cache);
+  }
+
+  /**
+   * Resolve the transport used to send requests
+   * @private
+   * @param {Object} config - Connection config
+   * @returns {Object} Transport with a `request(url, init)` method
+   */
+  _resolveTransport(config) {
+    if (config.transport && typeof config.transport.request === 'function') {
+      return config.transport;
+    }
+
+    if (typeof config.transport === 'function') {
+      return new FetchTransport({ fetch: config.transport });
+    }
+
+    return new FetchTransport({ fetch: config.fetch });
   }
 
   /**
@@ -32,83 +105,226 @@ export class DBConnection {
 
   /**
    * Create a model for a collection
+   * Models are registered on the connection: calling `model(name)` again without a
+   * schema or options returns the registered model, passing either replaces it
    * @param {string} collectionName - Name of the collection
+   * @param {Schema|Object} [schema] - Schema instance or field definitions
+   * @param {Object} [options] - Model options
+   * @param {number|Object|boolean} [options.cache] - Default cache TTL (seconds) or cache options for reads
    * @returns {DBModel} Model instance
    */
-  model(collectionName) {
-    return new DBModel(collectionName, this);
+  model(collectionName, schema, options) {
+    if (!schema && !options && this.models[collectionName]) {
+      return this.models[collectionName];
+    }
+
+    const modelSchema = schema && !(schema instanceof Schema) ? new Schema(schema) : (schema || null);
+    const model = new DBModel(collectionName, this, modelSchema, options);
+    this.plugins.forEach(plugin => model.plugin(plugin.fn, plugin.options));
+    this.models[collectionName] = model;
+    return model;
+  }
+
+  /**
+   * Apply a plugin to every model of this connection, registered now or later
+   * @param {Function} fn - Plugin function, called with (model, options)
+   * @param {Object} [options={}] - Plugin options
+   * @returns {DBConnection} This instance for chaining
+   */
+  plugin(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Plugin must be a function');
+    }
+
+    this.plugins = this.plugins.concat([{ fn, options }]);
+    Object.keys(this.models).forEach(name => this.models[name].plugin(fn, options));
+    return this;
+  }
+
+  /**
+   * Get a connection to another site sharing this one's transport, cache, interceptors and plugins
+   * Token, headers, retry policy, timeout, batching and de-duplication are copied; offline mode and
+   * debug logging are not. Without overrides, the same connection is returned for a site ID
+   * @param {string} siteId - Site ID
+   * @param {Object} [overrides] - Connection config for the site (e.g. baseURL, token, getToken)
+   * @returns {DBConnection} Connection to the site
+   * @throws {Error} If the site ID is missing, or the base URL cannot be derived from this connection's
+   *   (it must end with this connection's site ID) and no `baseURL` is given
+   */
+  withSite(siteId, overrides) {
+    if (!siteId) {
+      throw new Error('withSite() needs a site ID');
+    }
+    if (!overrides && siteId === this.siteId) {
+      return this;
+    }
+    if (!overrides && this._sites[siteId]) {
+      return this._sites[siteId];
+    }
+
+    const config = overrides || {};
+    const site = new DBConnection({
+      token: this.token,
+      getToken: this.getToken,
+      refreshToken: this.refreshToken,
+      headers: this.headers,
+      retry: this.retry,
+      timeout: this.timeout,
+      batch: this.batch,
+      dedupe: this.dedupe,
+      transport: this.transport,
+      cache: this.cache || false,
+      ...config,
+      siteId,
+      baseURL: config.baseURL || this._siteURL(siteId)
+    });
+    site.interceptors = this.interceptors;
+    this.plugins.forEach(plugin => site.plugin(plugin.fn, plugin.options));
+
+    if (!overrides) {
+      this._sites[siteId] = site;
+    }
+    return site;
+  }
+
+  /**
+   * Derive the base URL of another site by replacing this connection's site ID
+   * @private
+   * @param {string} siteId - Site ID
+   * @returns {string} Base URL
+   * @throws {Error} If this connection's base URL does not end with its site ID
+   */
+  _siteURL(siteId) {
+    const suffix = `/${this.siteId}`;
+    if (!this.siteId || !this.baseURL.endsWith(suffix)) {
+      throw new Error(`Cannot derive the base URL of site "${siteId}" from "${this.baseURL}"; pass { baseURL }`);
+    }
+    return `${this.baseURL.slice(0, -suffix.length)}/${siteId}`;
+  }
+
+  /**
+   * Remove cached results of a collection, or of every collection of this connection
+   * @param {string} [collectionName] - Collection name
+   * @returns {Promise<void>}
+   */
+  async clearCache(collectionName) {
+    if (this.cache) {
+      await this.cache.invalidate(this.baseURL, collectionName);
+    }
+  }
+
+  /**
+   * Set the token sent as `Authorization: Bearer <token>`, or clear it with null
+   * Used by the next requests; a `getToken` provider still takes precedence
+   * @param {string|null} token - Token
+   * @returns {DBConnection} This instance for chaining
+   */
+  setToken(token) {
+    this.token = token || null;
+    return this;
+  }
+
+  /**
+   * Merge headers sent with every request; a null or undefined value removes the header
+   * @param {Object} headers - Headers
+   * @returns {DBConnection} This instance for chaining
+   */
+  setHeaders(headers) {
+    Object.keys(headers || {}).forEach(name => {
+      if (headers[name] === null || headers[name] === undefined) {
+        delete this.headers[name];
+      } else {
+        this.headers[name] = headers[name];
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Turn debug logging on or off
+   * Logs each request with its status, duration and result count, and warns about unbounded
+   * queries, writes matching every record, large results and slow requests
+   * @param {boolean|Object} options - True for console logging, debug options, or false to turn it off
+   * @param {Function} [options.log] - Called with each request line (defaults to console.log)
+   * @param {Function} [options.warn] - Called with each warning (defaults to console.warn)
+   * @param {number} [options.slowThreshold=1000] - Duration in milliseconds above which a request is slow
+   * @param {number} [options.largeResult=1000] - Query result count above which a result is large
+   * @returns {DBConnection} This instance for chaining
+   */
+  setDebug(options) {
+    if (this._detachDebug) {
+      this._detachDebug();
+      this._detachDebug = null;
+    }
+    if (options) {
+      this._detachDebug = attachDebugLogger(this, options === true ? {} : options);
+    }
+    return this;
+  }
+
+  /**
+   * Release the connection's listeners and timers (the offline queue's `online` listener and retry timer)
+   * Call it when the connection is no longer used; pending offline writes stay in their store
+   */
+  close() {
+    if (this.offline) {
+      this.offline.close();
+    }
   }
 
   /**
    * Insert one record
    * @param {string} tableName - Table name
    * @param {Array} fields - Fields array
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Insert result
    */
-  async insertOne(tableName, fields) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({ fields })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to insert record: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async insertOne(tableName, fields, options = {}) {
+    return await this._request({
+      operation: 'insertOne',
+      collection: tableName,
+      action: 'insert record',
+      method: 'POST',
+      path: `/collections/${tableName}/records`,
+      body: { fields }
+    }, options);
   }
 
   /**
    * Insert many records
    * @param {string} tableName - Table name
    * @param {Array} records - Records array
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Insert result
    */
-  async insertMany(tableName, records) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/bulk`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({ records })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to insert records: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async insertMany(tableName, records, options = {}) {
+    return await this._request({
+      operation: 'insertMany',
+      collection: tableName,
+      action: 'insert records',
+      method: 'POST',
+      path: `/collections/${tableName}/records/bulk`,
+      body: { records }
+    }, options);
   }
 
   /**
    * Query records
    * @param {string} tableName - Table name
    * @param {Object} queryParams - Query parameters
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal, cache)
    * @returns {Promise<Array>} Query results
    */
-  async query(tableName, queryParams) {
-    const fetchFn = async () => { 
-      const params = new URLSearchParams(this._buildQueryParams(queryParams));
-  
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records?${params}`, {
-        headers: this.headers
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to query records: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async query(tableName, queryParams, options = {}) {
+    return await this._request({
+      operation: 'query',
+      read: true,
+      collection: tableName,
+      action: 'query records',
+      path: `/collections/${tableName}/records`,
+      params: this._buildQueryParams(queryParams),
+      filters: queryParams.filters
+    }, options);
   }
 
   /**
@@ -116,24 +332,20 @@ export class DBConnection {
    * @param {string} tableName - Table name
    * @param {string} id - Record ID
    * @param {Array} fields - Fields array
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Update result
    */
-  async updateById(tableName, id, fields) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/${id}`, {
-        method: 'PATCH',
-        headers: this.headers,
-        body: JSON.stringify({ fields })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to update record: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async updateById(tableName, id, fields, options = {}) {
+    return await this._request({
+      operation: 'updateById',
+      idempotent: true,
+      collection: tableName,
+      action: 'update record',
+      method: 'PATCH',
+      path: `/collections/${tableName}/records/${id}`,
+      body: { fields },
+      filters: { id }
+    }, options);
   }
 
   /**
@@ -141,28 +353,23 @@ export class DBConnection {
    * @param {string} tableName - Table name
    * @param {Object} filters - Filter conditions
    * @param {Array} fields - Fields array
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Update result
    */
-  async updateOne(tableName, filters, fields) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/update`, {
-        method: 'PATCH',
-        headers: this.headers,
-        body: JSON.stringify({
-          filters,
-          fields,
-          limit: 1
-        })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to update record: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async updateOne(tableName, filters, fields, options = {}) {
+    return await this._request({
+      operation: 'updateOne',
+      collection: tableName,
+      action: 'update record',
+      method: 'PATCH',
+      path: `/collections/${tableName}/records/update`,
+      body: {
+        filters,
+        fields,
+        limit: 1
+      },
+      filters
+    }, options);
   }
 
   /**
@@ -170,153 +377,120 @@ export class DBConnection {
    * @param {string} tableName - Table name
    * @param {Object} filters - Filter conditions
    * @param {Array} fields - Fields array
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Update result
    */
-  async updateMany(tableName, filters, fields) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/update`, {
-        method: 'PATCH',
-        headers: this.headers,
-        body: JSON.stringify({
-          filters,
-          fields
-        })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to update records: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async updateMany(tableName, filters, fields, options = {}) {
+    return await this._request({
+      operation: 'updateMany',
+      collection: tableName,
+      action: 'update records',
+      method: 'PATCH',
+      path: `/collections/${tableName}/records/update`,
+      body: {
+        filters,
+        fields
+      },
+      filters
+    }, options);
   }
 
   /**
    * Delete record by ID
    * @param {string} tableName - Table name
    * @param {string} id - Record ID
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteById(tableName, id) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/${id}`, {
-        method: 'DELETE',
-        headers: this.headers
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to delete record: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async deleteById(tableName, id, options = {}) {
+    return await this._request({
+      operation: 'deleteById',
+      idempotent: true,
+      collection: tableName,
+      action: 'delete record',
+      method: 'DELETE',
+      path: `/collections/${tableName}/records/${id}`,
+      filters: { id }
+    }, options);
   }
 
   /**
    * Delete one record
    * @param {string} tableName - Table name
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteOne(tableName, filters) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/delete`, {
-        method: 'DELETE',
-        headers: this.headers,
-        body: JSON.stringify({
-          filters,
-          limit: 1
-        })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to delete record: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async deleteOne(tableName, filters, options = {}) {
+    return await this._request({
+      operation: 'deleteOne',
+      collection: tableName,
+      action: 'delete record',
+      method: 'DELETE',
+      path: `/collections/${tableName}/records/delete`,
+      body: {
+        filters,
+        limit: 1
+      },
+      filters
+    }, options);
   }
 
   /**
    * Delete many records
    * @param {string} tableName - Table name
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteMany(tableName, filters) {
-    const fetchFn = async () => { 
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/delete`, {
-        method: 'DELETE',
-        headers: this.headers,
-        body: JSON.stringify({ filters })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to delete records: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async deleteMany(tableName, filters, options = {}) {
+    return await this._request({
+      operation: 'deleteMany',
+      collection: tableName,
+      action: 'delete records',
+      method: 'DELETE',
+      path: `/collections/${tableName}/records/delete`,
+      body: { filters },
+      filters
+    }, options);
   }
 
   /**
    * Count records
    * @param {string} tableName - Table name
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal, cache)
    * @returns {Promise<Object>} Count result
    */
-  async count(tableName, filters) {
-    const fetchFn = async () => { 
-      const params = new URLSearchParams({
-        filters: JSON.stringify(filters)
-      });
-  
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/count?${params}`, {
-        headers: this.headers
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to count records: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async count(tableName, filters, options = {}) {
+    return await this._request({
+      operation: 'count',
+      read: true,
+      collection: tableName,
+      action: 'count records',
+      path: `/collections/${tableName}/records/count`,
+      params: { filters: JSON.stringify(filters) },
+      filters
+    }, options);
   }
 
   /**
    * Check if record exists
    * @param {string} tableName - Table name
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal, cache)
    * @returns {Promise<Object>} Exists result
    */
-  async exists(tableName, filters) {
-    const fetchFn = async () => {
-      const params = new URLSearchParams({
-        filters: JSON.stringify(filters)
-      });
-  
-      const response = await fetch(`${this.baseURL}/collections/${tableName}/records/exists?${params}`, {
-        headers: this.headers
-      });
-  
-      if (!response.ok) {
-        throw new Error(`Failed to check if record exists: ${response.statusText}`);
-      }
-  
-      return await response.json();
-    };
-
-    return await this.cleanFetch(fetchFn);
+  async exists(tableName, filters, options = {}) {
+    return await this._request({
+      operation: 'exists',
+      read: true,
+      collection: tableName,
+      action: 'check if record exists',
+      path: `/collections/${tableName}/records/exists`,
+      params: { filters: JSON.stringify(filters) },
+      filters
+    }, options);
   }
 
   /**
@@ -356,21 +530,417 @@ export class DBConnection {
   }
 
   /**
-   * Clean fetch wrapper with error handling
+   * Send a request, de-duplicating identical concurrent reads (except reads with a signal or
+   * `cache: false`, which always get their own request) and queueing
+   * writes that fail on network errors when offline mode is enabled
    * @private
-   * @param {Function} fetchFn - Fetch function
-   * @returns {Promise<Object>} Cleaned response data
+   * @param {Object} request - Request description (see _sendWithRetry)
+   * @param {Object} [options={}] - Request options (see _cachedRequest and _sendWithRetry)
+   * @returns {Promise<*>} Response data
+   * @throws {ValidationError} If the filters use an unknown operator (nothing is sent)
    */
-  async cleanFetch(fetchFn) {
+  async _request(request, options = {}) {
     try {
-      const response = await fetchFn();
-      if (!response.success) {
-        throw new Error(response.message); 
+      validateFilters(request.filters);
+    } catch (error) {
+      error.collection = request.collection;
+      error.operation = request.operation;
+      throw error;
+    }
+
+    if (request.read && this.dedupe && !options.signal && options.cache !== false) {
+      return await this._dedupe(request, () => this._cachedRequest(request, options));
+    }
+    if (!request.read && this.offline) {
+      return await this.offline.send(request, options, () => this._cachedRequest(request, options));
+    }
+    return await this._cachedRequest(request, options);
+  }
+
+  /**
+   * Share one in-flight promise between identical concurrent reads
+   * Each caller receives its own copy of the result
+   * @private
+   * @param {Object} request - Request description
+   * @param {Function} send - Sends the request
+   * @returns {Promise<*>} Response data
+   */
+  async _dedupe(request, send) {
+    const key = `${request.collection}::${request.operation}::${JSON.stringify(request.params || {})}`;
+
+    if (!this._inflight.has(key)) {
+      const pending = send();
+      this._inflight.set(key, pending);
+      pending.then(() => this._inflight.delete(key), () => this._inflight.delete(key));
+    }
+
+    const result = await this._inflight.get(key);
+    return result === undefined ? result : JSON.parse(JSON.stringify(result));
+  }
+
+  /**
+   * Send a request through the cache layer
+   * Reads are served from the cache when enabled; writes invalidate the collection's entries
+   * @private
+   * @param {Object} request - Request description (see _sendWithRetry)
+   * @param {Object} [options={}] - Request options (see _sendWithRetry)
+   * @param {number|Object|boolean} [options.cache] - TTL in seconds, cache options, or false to bypass the cache
+   * @returns {Promise<*>} Response data
+   */
+  async _cachedRequest(request, options = {}) {
+    if (!this.cache) {
+      return await this._sendWithRetry(request, options);
+    }
+
+    if (request.read) {
+      if (options.cache === false) {
+        return await this._sendWithRetry(request, options);
+      }
+
+      const identity = { site: this.siteId, token: await this._resolveToken() };
+      const key = this.cache.key(this.baseURL, request.collection, request.operation, request.params, identity);
+      const cacheOptions = typeof options.cache === 'number'
+        ? { ttl: options.cache }
+        : (options.cache && typeof options.cache === 'object' ? options.cache : {});
+      return await this.cache.wrap(key, cacheOptions, () => this._sendWithRetry(request, options));
+    }
+
+    try {
+      return await this._sendWithRetry(request, options);
+    } finally {
+      await this.cache.invalidate(this.baseURL, request.collection);
+    }
+  }
+
+  /**
+   * Send a request through the transport and unwrap the response envelope
+   * Reads and idempotent requests are retried according to the connection's retry policy
+   * @private
+   * @param {Object} request - Request description
+   * @param {string} request.operation - Operation name (e.g. `insertOne`)
+   * @param {string} request.collection - Collection name
+   * @param {string} request.action - Human readable action used in error messages
+   * @param {string} [request.method='GET'] - HTTP method
+   * @param {string} request.path - Path relative to baseURL
+   * @param {Object} [request.params] - URL search parameters
+   * @param {Object} [request.body] - JSON body
+   * @param {Object} [request.filters] - Filters, attached to errors
+   * @param {boolean} [request.read=false] - Whether the request only reads data (cacheable, retried by default)
+   * @param {boolean} [request.idempotent=false] - Whether the request is safe to retry by default
+   * @param {Object} [options={}] - Request options
+   * @param {Object|number|boolean} [options.retry] - Retry policy overrides for this call
+   * @param {number} [options.timeout] - Timeout in milliseconds for each attempt
+   * @param {boolean} [options.idempotent] - Mark a write as safe to retry
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @returns {Promise<*>} Response data
+   */
+  async _sendWithRetry(request, options = {}) {
+    const policy = resolveRetryPolicy(this.retry, options.retry);
+    const idempotent = options.idempotent !== undefined ? options.idempotent : !!(request.read || request.idempotent);
+    const attempts = idempotent ? policy.attempts : 1;
+    const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._sendAuthorized(request, { timeout, signal: options.signal });
+      } catch (error) {
+        const aborted = options.signal && options.signal.aborted;
+        if (aborted || attempt >= attempts || !isRetryableError(policy, error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(policy, attempt, error);
+        if (delay < 0) {
+          throw error;
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Perform a request attempt with the current token
+   * On a 401 response the token is refreshed with `refreshToken` (one refresh shared by
+   * concurrent requests) and the request is sent once more
+   * @private
+   * @param {Object} request - Request description (see _sendWithRetry)
+   * @param {Object} options - Attempt options (see _send)
+   * @returns {Promise<*>} Response data
+   */
+  async _sendAuthorized(request, options) {
+    const token = await this._resolveToken();
+
+    try {
+      return await this._send(request, { ...options, token });
+    } catch (error) {
+      if (error.status !== 401 || !this.refreshToken) {
+        throw error;
+      }
+
+      try {
+        await this._refresh(token);
+      } catch (refreshError) {
+        error.refreshError = refreshError;
+        throw error;
+      }
+      return await this._send(request, { ...options, token: await this._resolveToken() });
+    }
+  }
+
+  /**
+   * Get the token for a request, from the `getToken` provider or the current token
+   * @private
+   * @returns {Promise<string|null>} Token
+   */
+  async _resolveToken() {
+    return this.getToken ? (await this.getToken()) || null : this.token;
+  }
+
+  /**
+   * Refresh the token after a request sent with `staleToken` was rejected
+   * Concurrent callers share one refresh; no refresh happens when the token already changed
+   * @private
+   * @param {string|null} staleToken - Token the rejected request was sent with
+   * @returns {Promise<void>}
+   */
+  async _refresh(staleToken) {
+    if (!this._refreshing) {
+      if ((await this._resolveToken()) !== staleToken) {
+        return;
+      }
+      if (!this._refreshing) {
+        this._refreshing = Promise.resolve()
+          .then(() => this.refreshToken())
+          .then((token) => {
+            if (typeof token === 'string' && token) {
+              this.token = token;
+            }
+          })
+          .finally(() => {
+            this._refreshing = null;
+          });
+      }
+    }
+
+    await this._refreshing;
+  }
+
+  /**
+   * Build the headers of a request
+   * @private
+   * @param {string|null} token - Token, sent as a Bearer authorization
+   * @returns {Object} Headers
+   */
+  _buildHeaders(token) {
+    const headers = { ...this.headers };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    } else if (headers.Authorization === undefined) {
+      headers.Authorization = '';
+    }
+    return headers;
+  }
+
+  /**
+   * Perform a single request attempt
+   * Request interceptors may change the URL, method, headers and body, or set `response` to skip
+   * the transport; response interceptors may change the status and payload. `request`, `response`
+   * and `error` events are emitted for each attempt
+   * @private
+   * @param {Object} request - Request description (see _sendWithRetry)
+   * @param {Object} options - Attempt options
+   * @param {number} options.timeout - Timeout in milliseconds (0 for none)
+   * @param {AbortSignal} [options.signal] - Caller's abort signal
+   * @param {string|null} [options.token] - Token sent as a Bearer authorization
+   * @returns {Promise<*>} Response data
+   */
+  async _send({ operation, collection, action, method = 'GET', path, params, body, filters }, { timeout, signal, token = null }) {
+    const context = { collection, operation, filters };
+    const info = { requestId: ++this._requestId, collection, operation, method, url: this._url(path, params) };
+    let started = Date.now();
+    let status = null;
+
+    const fetchFn = async () => {
+      const config = await this.interceptors.request.run({
+        url: info.url,
+        method,
+        headers: this._buildHeaders(token),
+        body: body === undefined ? undefined : JSON.parse(JSON.stringify(body)),
+        collection,
+        operation,
+        filters
+      });
+      const requestBody = config.body === undefined || typeof config.body === 'string' ? config.body : JSON.stringify(config.body);
+      info.url = config.url;
+      info.method = config.method;
+
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const onAbort = () => controller && controller.abort();
+      let timer = null;
+      let timedOut = false;
+      let response;
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+        if (signal.aborted) {
+          onAbort();
+        }
       }
-        
-      return response.data;
+
+      started = Date.now();
+      this.emit('request', { ...info, filters: filters || null, size: byteLength(requestBody) });
+
+      try {
+        const pending = config.response !== undefined
+          ? Promise.resolve(toResponse(config.response))
+          : this.transport.request(config.url, {
+            method: config.method,
+            headers: config.headers,
+            body: requestBody,
+            signal: controller ? controller.signal : signal
+          });
+
+        response = await (timeout > 0 ? Promise.race([pending, new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            timedOut = true;
+            reject(new TimeoutError(`Failed to ${action}: timed out after ${timeout}ms`, context));
+            onAbort();
+          }, timeout);
+        })]) : pending);
+      } catch (error) {
+        if (error instanceof TimeoutError) {
+          throw error;
+        }
+        if (timedOut) {
+          throw new TimeoutError(`Failed to ${action}: timed out after ${timeout}ms`, { ...context, cause: error });
+        }
+        throw new NetworkError(`Failed to ${action}: ${error.message}`, { ...context, cause: error });
+      } finally {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+
+      const result = await this.interceptors.response.run({
+        status: response.status,
+        ok: response.ok,
+        statusText: response.statusText,
+        headers: response.headers,
+        payload: await this._parseBody(response)
+      }, config);
+      const { payload } = result;
+      status = result.status;
+
+      if (this.listenerCount('response')) {
+        const length = result.headers && typeof result.headers.get === 'function' ? Number(result.headers.get('content-length')) : NaN;
+        this.emit('response', {
+          ...info,
+          status,
+          ok: !!result.ok,
+          duration: Date.now() - started,
+          size: Number.isFinite(length) && length > 0 ? length : byteLength(payload === null ? undefined : JSON.stringify(payload)),
+          count: payload && Array.isArray(payload.data) ? payload.data.length : null
+        });
+      }
+
+      if (!result.ok) {
+        const reason = (payload && payload.message) || result.statusText;
+        const error = createError(result.status, `Failed to ${action}: ${reason}`, { ...context, payload });
+        const retryAfter = result.headers && parseRetryAfter(result.headers.get('retry-after'));
+        if (retryAfter !== null && retryAfter !== undefined) {
+          error.retryAfter = retryAfter;
+        }
+        throw error;
+      }
+
+      return payload;
+    };
+
+    try {
+      return await this.cleanFetch(fetchFn, { ...context, action });
     } catch (error) {
+      this.emit('error', error, { ...info, status: error.status !== undefined && error.status !== null ? error.status : status, duration: Date.now() - started });
       throw error;
     }
   }
+
+  /**
+   * Build the URL of a request
+   * @private
+   * @param {string} path - Path relative to baseURL
+   * @param {Object} [params] - URL search parameters
+   * @returns {string} URL
+   */
+  _url(path, params) {
+    const search = params ? `?${new URLSearchParams(params)}` : '';
+    return `${this.baseURL}${path}${search}`;
+  }
+
+  /**
+   * Parse a JSON response body, returning null when it is not JSON
+   * @private
+   * @param {Object} response - Transport response
+   * @returns {Promise<*>} Parsed body or null
+   */
+  async _parseBody(response) {
+    try {
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Clean fetch wrapper with error handling
+   * @private
+   * @param {Function} fetchFn - Fetch function
+   * @param {Object} [context={}] - Request context attached to errors
+   * @returns {Promise<Object>} Cleaned response data
+   */
+  async cleanFetch(fetchFn, context = {}) {
+    const response = await fetchFn();
+
+    if (!response || !response.success) {
+      const message = (response && response.message) || `Failed to ${context.action || 'complete request'}`;
+      throw new WebCakeError(message, {
+        status: null,
+        payload: response,
+        collection: context.collection,
+        operation: context.operation,
+        filters: context.filters
+      });
+    }
+
+    return response.data;
+  }
+}
+
+/**
+ * Wrap a response set by a request interceptor: fetch-like responses are used as is,
+ * anything else is treated as the JSON body of a 200 response
+ * @private
+ */
+function toResponse(value) {
+  if (value && typeof value.json === 'function') {
+    return value;
+  }
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => null },
+    json: async () => value
+  };
+}
+
+/**
+ * Size of a text in UTF-8 bytes (0 for undefined)
+ * @private
+ */
+function byteLength(text) {
+  if (text === undefined || text === null) {
+    return 0;
+  }
+  return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(text).length : String(text).length;
 }
@@ -1,198 +1,1333 @@
 import { QueryBuilder } from './QueryBuilder.js';
+import { DataLoader } from './DataLoader.js';
+import { Document } from './Document.js';
+import { ValidationError, NotFoundError, NetworkError, AuthError, OfflineError, createError } from './errors.js';
+import { isUpdateDocument, parseUpdate, requiresRead, applyUpdate, updateGuards } from './updateOperators.js';
+import { splitPipeline, runStages } from './aggregation.js';
+import { getPath, includeFields, unselectedFields } from './filters.js';
+import { checkFormat, createSerializer, parseRecords, parseCell, UnparsedLine } from './formats.js';
+
+const HOOK_EVENTS = ['create', 'update', 'delete', 'find', 'count'];
+const MAX_UPDATE_ATTEMPTS = 3;
+const BULK_OPERATIONS = ['insertOne', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'];
+const LOOKUP_CHUNK_SIZE = 100;
+const RELATION_TYPES = ['belongsTo', 'hasMany', 'manyToMany'];
 
 /**
  * DBModel class for database operations
  * Provides methods for CRUD operations on database collections
  */
 export class DBModel {
-  constructor(collectionName, apiClient) {
+  /**
+   * @param {string} collectionName - Name of the collection
+   * @param {DBConnection} apiClient - Connection used for requests
+   * @param {Schema|null} [schema=null] - Schema used to validate and cast documents
+   * @param {Object} [options={}] - Model options
+   * @param {number|Object|boolean} [options.cache] - Default cache TTL (seconds) or cache options for reads
+   * @param {boolean} [options.documents=false] - Return query results as Document instances (see QueryBuilder#lean)
+   * @param {Object} [options.relations] - Relations by name ({ type, collection, foreignKey }), see belongsTo / hasMany / manyToMany
+   */
+  constructor(collectionName, apiClient, schema = null, options = {}) {
     this.collectionName = collectionName;
     this.apiClient = apiClient;
+    this.schema = schema;
+    this.options = { ...options };
+    this.hooks = { pre: {}, post: {} };
+    this.relations = {};
+    this.methods = {};
+    this.queryHelpers = {};
+    this.plugins = [];
+
+    Object.keys(this.options.relations || {}).forEach(name => {
+      const relation = this.options.relations[name];
+      this._addRelation(relation.type, name, relation);
+    });
+  }
+
+  /**
+   * Register a middleware hook that runs before an operation
+   * Hooks receive a context ({ model, operation, filters, data, options }) they may
+   * modify; throwing (or rejecting) aborts the operation
+   * @param {string|Array<string>} event - 'create' | 'update' | 'delete' | 'find' | 'count'
+   * @param {Function} fn - Hook function, may be async
+   * @returns {DBModel} This instance for chaining
+   */
+  pre(event, fn) {
+    return this._addHook('pre', event, fn);
+  }
+
+  /**
+   * Register a middleware hook that runs after an operation
+   * Hooks receive the same context as pre hooks plus `result`, which they may replace
+   * @param {string|Array<string>} event - 'create' | 'update' | 'delete' | 'find' | 'count'
+   * @param {Function} fn - Hook function, may be async
+   * @returns {DBModel} This instance for chaining
+   */
+  post(event, fn) {
+    return this._addHook('post', event, fn);
+  }
+
+  /**
+   * Apply a plugin
+   * A plugin is a function receiving the model and its options; it may register hooks,
+   * relations, document methods, statics and query helpers. Applying the same function twice does nothing
+   * @param {Function} fn - Plugin function, called with (model, options)
+   * @param {Object} [options={}] - Plugin options
+   * @returns {DBModel} This instance for chaining
+   */
+  plugin(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Plugin must be a function');
+    }
+    if (this.plugins.some(plugin => plugin.fn === fn)) {
+      return this;
+    }
+
+    this.plugins = this.plugins.concat([{ fn, options }]);
+    fn(this, options);
+    return this;
+  }
+
+  /**
+   * Add a method to the documents of this model (see the `documents` option)
+   * Fields with the same name shadow the method
+   * @param {string} name - Method name
+   * @param {Function} fn - Method, called with the document as `this`
+   * @returns {DBModel} This instance for chaining
+   */
+  method(name, fn) {
+    this.methods = { ...this.methods, [name]: fn };
+    this._documentClass = null;
+    return this;
+  }
+
+  /**
+   * Add a function to the model
+   * @param {string} name - Function name
+   * @param {Function} fn - Function, called with the model as `this`
+   * @returns {DBModel} This instance for chaining
+   */
+  static(name, fn) {
+    this[name] = fn;
+    return this;
+  }
+
+  /**
+   * Add a chainable method to the queries of this model
+   * @param {string} name - Method name
+   * @param {Function} fn - Method, called with the query builder as `this`; should return it
+   * @returns {DBModel} This instance for chaining
+   */
+  queryHelper(name, fn) {
+    this.queryHelpers = { ...this.queryHelpers, [name]: fn };
+    return this;
+  }
+
+  /**
+   * Declare that each document references one document of another collection
+   * `populate(name)` replaces the reference with the target document (or null)
+   * @param {string} name - Relation name, also the field receiving the populated document
+   * @param {Object} options - Relation options
+   * @param {string} options.collection - Target collection
+   * @param {string} options.foreignKey - Field of this model holding the target id (e.g. 'author_id')
+   * @returns {DBModel} This instance for chaining
+   */
+  belongsTo(name, options) {
+    return this._addRelation('belongsTo', name, options);
+  }
+
+  /**
+   * Declare that documents of another collection reference each document
+   * `populate(name)` sets the field to the array of referencing documents
+   * @param {string} name - Relation name, also the field receiving the populated documents
+   * @param {Object} options - Relation options
+   * @param {string} options.collection - Target collection
+   * @param {string} options.foreignKey - Field of the target collection holding this model's id (e.g. 'post_id')
+   * @returns {DBModel} This instance for chaining
+   */
+  hasMany(name, options) {
+    return this._addRelation('hasMany', name, options);
+  }
+
+  /**
+   * Declare that each document references several documents of another collection
+   * `populate(name)` sets the field to the target documents, in the order of the ids
+   * @param {string} name - Relation name, also the field receiving the populated documents
+   * @param {Object} options - Relation options
+   * @param {string} options.collection - Target collection
+   * @param {string} options.foreignKey - Field of this model holding an array of target ids (e.g. 'tag_ids')
+   * @returns {DBModel} This instance for chaining
+   */
+  manyToMany(name, options) {
+    return this._addRelation('manyToMany', name, options);
   }
 
   /**
    * Create a new document
    * @param {Object} data - Document data
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Created document
    */
-  async create(data) {
-    const fields = this._prepareFields(data);
-    return await this.apiClient.insertOne(this.collectionName, fields);
+  async create(data, options = {}) {
+    return await this._withHooks('create', { operation: 'create', data, options }, async (context) => {
+      const fields = this._prepareFields(await this._validate('create', context.data));
+      const result = await this.apiClient.insertOne(this.collectionName, fields, context.options);
+      return this._cast(result);
+    });
   }
 
   /**
    * Create multiple documents
    * @param {Array<Object>} dataArray - Array of document data
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Array>} Created documents
    */
-  async insertMany(dataArray) {
-    const records = dataArray.map(data => this._prepareFields(data));
-    return await this.apiClient.insertMany(this.collectionName, records);
+  async insertMany(dataArray, options = {}) {
+    return await this._withHooks('create', { operation: 'insertMany', data: dataArray, options }, async (context) => {
+      const validated = await this._validateMany('insertMany', context.data);
+      const records = validated.map(data => this._prepareFields(data));
+      const result = await this.apiClient.insertMany(this.collectionName, records, context.options);
+      return this._cast(result);
+    });
   }
 
   /**
    * Find documents with optional filters
-   * @param {Object} [filters={}] - Filter conditions
+   * @param {Object} [filters={}] - Filter conditions (values, operator objects and `$and`/`$or`/`$nor`/`$not`)
    * @returns {QueryBuilder} Query builder instance
    */
   find(filters = {}) {
-    const query = new QueryBuilder(this.collectionName, this.apiClient);
+    const query = new QueryBuilder(this.collectionName, this.apiClient, this);
     
     // Apply filters
-    Object.keys(filters).forEach(key => {
-      query.where(key, filters[key]);
-    });
+    query.where(filters);
     
     return query;
   }
 
+  /**
+   * Watch documents matching filters
+   * Shorthand for `find(filters).live(options)`
+   * @param {Object} [filters={}] - Filter conditions
+   * @param {Object} [options={}] - Live query options (interval, backoff, maxInterval, strategy)
+   * @returns {LiveQuery} Live query; call subscribe() or start() to begin
+   */
+  watch(filters = {}, options = {}) {
+    return this.find(filters).live(options);
+  }
+
   /**
    * Find one document
    * @param {Object} [filters={}] - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, signal, cache)
    * @returns {Promise<Object|null>} Found document or null
    */
-  async findOne(filters = {}) {
-    const query = this.find(filters).limit(1);
+  async findOne(filters = {}, options = {}) {
+    const query = this.find(filters).limit(1).setOptions(options);
     const results = await query.exec();
     return results[0] || null;
   }
 
   /**
    * Find document by ID
+   * Calls made in the same tick without options are coalesced into a single `$in` query
    * @param {string} id - Document ID
+   * @param {Object} [options={}] - Request options (retry, timeout, signal, cache)
    * @returns {Promise<Object|null>} Found document or null
    */
-  async findById(id) {
-    return await this.findOne({ id });
+  async findById(id, options = {}) {
+    if (this.apiClient.batch && Object.keys(options).length === 0) {
+      const record = await this._getIdLoader().load(id);
+      return record ? this._hydrate([record], null)[0] : record;
+    }
+    return await this.findOne({ id }, options);
   }
 
   /**
    * Update one document
    * @param {Object} filters - Filter conditions
-   * @param {Object} updateData - Update data
-   * @returns {Promise<Object>} Update result
+   * @param {Object} updateData - Update data: plain fields, or an update document ($set, $unset, $inc, $push, $pull, $addToSet)
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
+   * @param {boolean} [options.upsert=false] - Insert a document built from the filters and update when none matches
+   * @returns {Promise<Object>} Update result (with upsertedCount and upsertedId after an upsert)
    */
-  async updateOne(filters, updateData) {
-    const fields = this._prepareFields(updateData);
-    const res = await this.apiClient.updateOne(this.collectionName, filters, fields);
+  async updateOne(filters, updateData, options = {}) {
+    const context = { operation: 'updateOne', filters, data: updateData, options };
+    return await this._withHooks('update', context, async () => {
+      const res = await this._update('updateOne', context, 1, fields =>
+        this.apiClient.updateOne(this.collectionName, context.filters, fields, context.options)
+      );
 
-    return {
-      acknowledged: true,
-      matchedCount: res.length,
-      modifiedCount: res.length
-    };
+      if (context.options.upsert && Array.isArray(res) && res.length === 0) {
+        const record = await this._upsert('updateOne', context);
+        return { ...this._updateResult(res), upsertedCount: 1, upsertedId: record.id };
+      }
+      return this._updateResult(res);
+    });
   }
 
   /**
    * Update document by ID
    * @param {string} id - Document ID
-   * @param {Object} updateData - Update data
+   * @param {Object} updateData - Update data: plain fields, or an update document ($set, $unset, $inc, $push, $pull, $addToSet)
    * @param {Object} [options={}] - Update options
    * @param {boolean} [options.new=false] - Return updated document
-   * @returns {Promise<Object>} Update result or updated document
+   * @param {boolean} [options.upsert=false] - Insert a document with this ID when it does not exist
+   * @param {Object|number|boolean} [options.retry] - Retry policy overrides
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @returns {Promise<Object>} Updated record, or the document re-read with `new`
+   * @throws {NotFoundError} If no document has this ID (without upsert)
    */
   async findByIdAndUpdate(id, updateData, options = {}) {
-    const fields = this._prepareFields(updateData);
-    const result = await this.apiClient.updateById(this.collectionName, id, fields);
-    
-    if (options.new) {
-      return await this.findById(id);
-    }
-    return result;
+    const context = { operation: 'findByIdAndUpdate', filters: { id }, data: updateData, options };
+    return await this._withHooks('update', context, async () => {
+      const { id: recordId } = context.filters;
+      let result;
+      try {
+        result = await this._update('findByIdAndUpdate', context, 1, fields =>
+          this.apiClient.updateById(this.collectionName, recordId, fields, context.options)
+        );
+      } catch (error) {
+        if (!context.options.upsert || !(error instanceof NotFoundError)) {
+          throw error;
+        }
+        result = null;
+      }
+
+      // Emulated operator updates return the updated records
+      if (Array.isArray(result)) {
+        result = result[0] || null;
+      }
+
+      if (!result) {
+        if (!context.options.upsert) {
+          throw createError(404, `Record ${recordId} not found in ${this.collectionName}`, {
+            collection: this.collectionName,
+            operation: 'findByIdAndUpdate',
+            filters: { id: recordId }
+          });
+        }
+        result = await this._upsert('findByIdAndUpdate', context);
+      }
+      
+      if (context.options.new && !this._isQueued(result)) {
+        return await this.findById(recordId, context.options);
+      }
+      return this._cast(result);
+    });
   }
 
   /**
    * Find and update one document
    * @param {Object} filters - Filter conditions
-   * @param {Object} updateData - Update data
+   * @param {Object} updateData - Update data: plain fields, or an update document ($set, $unset, $inc, $push, $pull, $addToSet)
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
+   * @param {boolean} [options.upsert=false] - Insert a document built from the filters and update when none matches
    * @returns {Promise<Object>} Update result
    */
-  async findOneAndUpdate(filters, updateData) {
-    const fields = this._prepareFields(updateData);
-    return await this.apiClient.updateOne(this.collectionName, filters, fields);
+  async findOneAndUpdate(filters, updateData, options = {}) {
+    const context = { operation: 'findOneAndUpdate', filters, data: updateData, options };
+    return await this._withHooks('update', context, async () => {
+      const result = await this._update('findOneAndUpdate', context, 1, fields =>
+        this.apiClient.updateOne(this.collectionName, context.filters, fields, context.options)
+      );
+
+      if (context.options.upsert && Array.isArray(result) && result.length === 0) {
+        return [await this._upsert('findOneAndUpdate', context)];
+      }
+      return this._cast(result);
+    });
   }
 
   /**
    * Update many documents
    * @param {Object} filters - Filter conditions
-   * @param {Object} updateData - Update data
+   * @param {Object} updateData - Update data: plain fields, or an update document ($set, $unset, $inc, $push, $pull, $addToSet)
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Update result
    */
-  async updateMany(filters, updateData) {
-    const fields = this._prepareFields(updateData);
-    const res = await this.apiClient.updateMany(this.collectionName, filters, fields);
-
-    return {
-      acknowledged: true,
-      matchedCount: res.length,
-      modifiedCount: res.length
-    };
+  async updateMany(filters, updateData, options = {}) {
+    const context = { operation: 'updateMany', filters, data: updateData, options };
+    return await this._withHooks('update', context, async () => {
+      const res = await this._update('updateMany', context, null, fields =>
+        this.apiClient.updateMany(this.collectionName, context.filters, fields, context.options)
+      );
+      return this._updateResult(res);
+    });
   }
 
   /**
    * Delete one document
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteOne(filters) {
-    const res = await this.apiClient.deleteOne(this.collectionName, filters);
-
-    return {
-      acknowledged: true,
-      deletedCount: res.length
-    };
+  async deleteOne(filters, options = {}) {
+    const context = { operation: 'deleteOne', filters, options };
+    return await this._withHooks('delete', context, async () => {
+      const res = await this.apiClient.deleteOne(this.collectionName, context.filters, context.options);
+      return this._deleteResult(res);
+    });
   }
 
   /**
    * Delete document by ID
    * @param {string} id - Document ID
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async findByIdAndDelete(id) {
-    return await this.apiClient.deleteById(this.collectionName, id);
+  async findByIdAndDelete(id, options = {}) {
+    const context = { operation: 'findByIdAndDelete', filters: { id }, options };
+    return await this._withHooks('delete', context, async () => {
+      const result = await this.apiClient.deleteById(this.collectionName, context.filters.id, context.options);
+      return this._cast(result);
+    });
   }
 
   /**
    * Find and delete one document
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async findOneAndDelete(filters) {
-    return await this.apiClient.deleteOne(this.collectionName, filters);
+  async findOneAndDelete(filters, options = {}) {
+    const context = { operation: 'findOneAndDelete', filters, options };
+    return await this._withHooks('delete', context, async () => {
+      const result = await this.apiClient.deleteOne(this.collectionName, context.filters, context.options);
+      return this._cast(result);
+    });
   }
 
   /**
    * Delete many documents
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteMany(filters) {
-    const res = await this.apiClient.deleteMany(this.collectionName, filters);
+  async deleteMany(filters, options = {}) {
+    const context = { operation: 'deleteMany', filters, options };
+    return await this._withHooks('delete', context, async () => {
+      const res = await this.apiClient.deleteMany(this.collectionName, context.filters, context.options);
+      return this._deleteResult(res);
+    });
+  }
 
-    return {
+  /**
+   * Run a list of insert, update and delete operations
+   * Consecutive inserts are sent together with insertMany; other operations are sent one by one
+   * through the matching model method, so hooks, validation and update operators apply
+   * @param {Array<Object>} operations - Operations: { insertOne: { document } }, { updateOne: { filter, update, upsert } },
+   *   { updateMany: { filter, update } }, { deleteOne: { filter } }, { deleteMany: { filter } }
+   * @param {Object} [options={}] - Bulk options, plus request options passed to each operation
+   * @param {boolean} [options.ordered=true] - Stop at the first failed operation
+   * @returns {Promise<Object>} { acknowledged, insertedCount, matchedCount, modifiedCount, deletedCount,
+   *   upsertedCount, insertedIds, upsertedIds, errors: [{ index, operation, error }] }
+   * @throws {Error} If an operation is malformed (nothing is sent)
+   */
+  async bulkWrite(operations, options = {}) {
+    const { ordered = true, ...requestOptions } = options;
+    const steps = this._planBulkWrite(operations);
+    const result = {
       acknowledged: true,
-      deletedCount: res.length
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {},
+      errors: []
     };
+
+    for (const step of steps) {
+      try {
+        await this._runBulkStep(step, requestOptions, result);
+      } catch (error) {
+        step.indexes.forEach(index => result.errors.push({ index, operation: step.type, error }));
+        if (ordered) {
+          break;
+        }
+      }
+    }
+
+    return result;
   }
 
   /**
    * Count documents
    * @param {Object} [filters={}] - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, signal, cache)
    * @returns {Promise<number>} Document count
    */
-  async countDocuments(filters = {}) {
-    const res = await this.apiClient.count(this.collectionName, filters);
-    return res.count;
+  async countDocuments(filters = {}, options = {}) {
+    return await this._withHooks('count', { operation: 'countDocuments', filters, options }, async (context) => {
+      const res = await this.apiClient.count(this.collectionName, context.filters, this._readOptions(context.options));
+      return res.count;
+    });
   }
 
   /**
    * Check if document exists
    * @param {Object} filters - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, signal, cache)
    * @returns {Promise<boolean>} Existence check result
    */
-  async exists(filters) {
-    const res = await this.apiClient.exists(this.collectionName, filters);
-    return res.exists;
+  async exists(filters, options = {}) {
+    return await this._withHooks('count', { operation: 'exists', filters, options }, async (context) => {
+      const res = await this.apiClient.exists(this.collectionName, context.filters, this._readOptions(context.options));
+      return res.exists;
+    });
+  }
+
+  /**
+   * Get the distinct values of a field
+   * Array values contribute each of their elements; records are read sorted by `id` so paging stays stable
+   * @param {string} field - Field name
+   * @param {Object} [filters={}] - Filter conditions
+   * @param {Object} [options={}] - Request options (retry, timeout, signal, cache), plus batchSize (default 500)
+   * @returns {Promise<Array>} Distinct values, in the order they were first found
+   */
+  async distinct(field, filters = {}, options = {}) {
+    const { batchSize = 500, ...requestOptions } = options;
+    const seen = new Set();
+    const values = [];
+
+    await this.find(filters).select([field]).sort({ id: 1 }).lean().setOptions(requestOptions).eachBatch(batch => {
+      batch.forEach(record => {
+        [].concat(getPath(record, field)).forEach(value => {
+          const key = JSON.stringify(value);
+          if (value !== undefined && !seen.has(key)) {
+            seen.add(key);
+            values.push(value);
+          }
+        });
+      });
+    }, { batchSize });
+
+    return values;
+  }
+
+  /**
+   * Run an aggregation pipeline
+   * Leading `$match`, `$sort`, `$skip` and `$limit` stages are sent as the query; matching records are
+   * fetched in batches (sorted by `id` without a leading `$sort`, so paging stays stable) and the
+   * remaining stages ($group, $project, $unwind, $lookup, ...) run client-side
+   * @param {Array<Object>} pipeline - Stages: $match, $group, $sort, $project, $limit, $skip, $unwind, $lookup
+   * @param {Object} [options={}] - Request options (retry, timeout, signal, cache), plus batchSize (default 500)
+   * @returns {Promise<Array<Object>>} Output documents
+   * @throws {Error} If a stage is malformed or unsupported
+   */
+  async aggregate(pipeline, options = {}) {
+    const { batchSize = 500, ...requestOptions } = options;
+    const { query, stages } = splitPipeline(pipeline);
+    const builder = this.find(query.filters).sort(query.sort || { id: 1 }).lean().setOptions(requestOptions);
+
+    if (query.skip) {
+      builder.skip(query.skip);
+    }
+    if (query.limit) {
+      builder.limit(query.limit);
+    }
+
+    let records = [];
+    await builder.eachBatch(batch => {
+      records = records.concat(batch);
+    }, { batchSize });
+
+    return await runStages(records, stages, {
+      lookup: (from, foreignField, values) => this._lookup(from, foreignField, values, requestOptions)
+    });
+  }
+
+  /**
+   * Stream matching records as text, page by page
+   * Records are read with `sort` (default `{ id: 1 }`) so paging stays stable; CSV columns come
+   * from `select` when given, otherwise from the fields of the first page
+   * @param {Object} [options={}] - Export options, plus request options (retry, timeout, signal, cache)
+   * @param {string} [options.format='ndjson'] - 'ndjson' | 'json' | 'csv'
+   * @param {Object} [options.filters={}] - Filter conditions
+   * @param {string|Array<string>} [options.select] - Fields to export
+   * @param {Object} [options.sort={ id: 1 }] - Sort order
+   * @param {number} [options.batchSize=500] - Records fetched per request
+   * @returns {AsyncGenerator<string>} Text chunks
+   * @throws {Error} If the format is not supported
+   */
+  async *export(options = {}) {
+    const { format = 'ndjson', filters = {}, select, sort = { id: 1 }, batchSize = 500, ...requestOptions } = options;
+    checkFormat(format);
+
+    const query = this.find(filters).sort(sort).lean().setOptions(requestOptions);
+    let columns = null;
+    if (select) {
+      query.select(select);
+      const fields = (Array.isArray(select) ? select : String(select).split(/[\s,]+/)).filter(Boolean);
+      if (!fields.some(field => field.startsWith('-'))) {
+        columns = ['id'].concat(fields.filter(field => field !== 'id'));
+      }
+    }
+
+    const serialize = createSerializer(format, columns);
+    for await (const batch of query._batches(batchSize)) {
+      yield serialize(batch);
+    }
+
+    const end = serialize(null);
+    if (end) {
+      yield end;
+    }
+  }
+
+  /**
+   * Import records from CSV, NDJSON or JSON, inserting them in chunks with `insertMany`
+   * CSV cells are cast to the schema type of their field, or inferred (numbers, booleans, null, JSON)
+   * when the field has no schema type. Rows failing validation, and NDJSON / JSON lines that do not
+   * parse (with their `line` number), are rejected without stopping the import; when a chunk is
+   * refused, its rows are inserted one by one to isolate the bad ones
+   * @param {string|Array<Object>|Iterable|AsyncIterable} source - Text, records, or chunks of text (e.g. a stream)
+   * @param {Object} [options={}] - Import options, plus request options (retry, timeout, idempotent, signal)
+   * @param {string} [options.format='ndjson'] - 'ndjson' | 'json' | 'csv'
+   * @param {number} [options.batchSize=100] - Records per `insertMany`
+   * @param {Object|Function} [options.mapping] - Column to field names, or a function mapping a row
+   *   to a record (return null to skip the row)
+   * @param {Function} [options.onError] - Called with (error, { index, row, line }) for each rejected row
+   * @param {Function} [options.onProgress] - Called with ({ processed, inserted, rejected }) after each chunk
+   * @returns {Promise<Object>} Report: { total, inserted, skipped, rejected: [{ index, row, line, error }] }
+   * @throws {NetworkError|AuthError} If a chunk cannot reach the server
+   */
+  async import(source, options = {}) {
+    const { format = 'ndjson', batchSize = 100, mapping, onError, onProgress, ...requestOptions } = options;
+    checkFormat(format);
+
+    const size = Math.max(1, Math.floor(batchSize));
+    const report = { total: 0, inserted: 0, skipped: 0, rejected: [] };
+    let pending = [];
+    let reported = 0;
+
+    const reject = async (entry, error) => {
+      const info = entry.line !== undefined ? { index: entry.index, row: entry.row, line: entry.line } : { index: entry.index, row: entry.row };
+      report.rejected.push({ ...info, error });
+      if (onError) {
+        await onError(error, info);
+      }
+    };
+
+    const flush = async () => {
+      const chunk = pending;
+      pending = [];
+
+      if (chunk.length > 0) {
+        try {
+          await this.insertMany(chunk.map(entry => entry.record), requestOptions);
+          report.inserted += chunk.length;
+        } catch (error) {
+          if (error instanceof NetworkError || error instanceof AuthError) {
+            throw error;
+          }
+          for (const entry of chunk) {
+            try {
+              await this.create(entry.record, requestOptions);
+              report.inserted++;
+            } catch (rowError) {
+              if (rowError instanceof NetworkError || rowError instanceof AuthError) {
+                throw rowError;
+              }
+              await reject(entry, rowError);
+            }
+          }
+        }
+      }
+
+      reported = report.total;
+      if (onProgress) {
+        await onProgress({ processed: report.total, inserted: report.inserted, rejected: report.rejected.length });
+      }
+    };
+
+    for await (const row of parseRecords(source, format)) {
+      if (row instanceof UnparsedLine) {
+        const error = new ValidationError(`Invalid JSON on line ${row.line}: ${row.error.message}`, {
+          collection: this.collectionName,
+          operation: 'import',
+          cause: row.error
+        });
+        await reject({ index: report.total++, row: row.text, line: row.line }, error);
+        continue;
+      }
+
+      const entry = { index: report.total++, row };
+
+      try {
+        const record = this._importRecord(row, format, mapping);
+        if (record === null || record === undefined) {
+          report.skipped++;
+          continue;
+        }
+        entry.record = await this._validate('import', record);
+      } catch (error) {
+        await reject(entry, error);
+        continue;
+      }
+
+      pending.push(entry);
+      if (pending.length >= size) {
+        await flush();
+      }
+    }
+
+    if (reported < report.total) {
+      await flush();
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the loader batching findById calls
+   * @private
+   * @returns {DataLoader} Loader
+   */
+  _getIdLoader() {
+    if (!this._idLoader) {
+      this._idLoader = new DataLoader(async (ids) => {
+        const query = this.find(ids.length === 1 ? { id: ids[0] } : { id: { $in: ids } });
+        const records = await query.limit(ids.length).lean().exec();
+        const byId = new Map(records.map(record => [String(record.id), record]));
+        return ids.map(id => byId.get(String(id)) || null);
+      }, this.apiClient.batch);
+    }
+    return this._idLoader;
+  }
+
+  /**
+   * Turn an imported row into a record: rename columns, cast CSV cells, then apply a mapping function
+   * @private
+   * @param {Object} row - Parsed row
+   * @param {string} format - Import format
+   * @param {Object|Function} [mapping] - Column names or mapping function
+   * @returns {Object|null} Record, or null to skip the row
+   */
+  _importRecord(row, format, mapping) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      const message = 'Import rows must be objects';
+      const error = new ValidationError(`Validation failed: ${message}`, { errors: [{ path: '', kind: 'type', value: row, message }] });
+      throw this._decorateError(error, 'import');
+    }
+
+    const names = mapping && typeof mapping === 'object' ? mapping : {};
+    const record = {};
+
+    Object.keys(row).forEach(column => {
+      const field = names[column] || column;
+      let value = row[column];
+
+      if (format === 'csv') {
+        const path = this.schema && this.schema.path(field);
+        value = parseCell(value, !path || path.type === 'mixed');
+      }
+      if (value !== undefined) {
+        record[field] = value;
+      }
+    });
+
+    return typeof mapping === 'function' ? mapping(record) : record;
+  }
+
+  /**
+   * Apply the model's default read options
+   * @private
+   * @param {Object} options - Request options
+   * @returns {Object} Request options
+   */
+  _readOptions(options) {
+    if (this.options.cache === undefined || options.cache !== undefined) {
+      return options;
+    }
+    return { ...options, cache: this.options.cache };
+  }
+
+  /**
+   * Register a relation
+   * @private
+   * @param {string} type - 'belongsTo' | 'hasMany' | 'manyToMany'
+   * @param {string} name - Relation name
+   * @param {Object} options - Relation options ({ collection, foreignKey })
+   * @returns {DBModel} This instance for chaining
+   * @throws {Error} If the type is unknown or an option is missing
+   */
+  _addRelation(type, name, options = {}) {
+    if (!RELATION_TYPES.includes(type)) {
+      throw new Error(`Unknown relation type "${type}", expected one of: ${RELATION_TYPES.join(', ')}`);
+    }
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Relations need a name');
+    }
+    if (!options.collection || !options.foreignKey) {
+      throw new Error(`Relation "${name}" needs a collection and a foreignKey`);
+    }
+
+    const hasMany = type === 'hasMany';
+    this.relations[name] = {
+      name,
+      type,
+      collection: options.collection,
+      foreignKey: options.foreignKey,
+      localField: hasMany ? 'id' : options.foreignKey,
+      targetField: hasMany ? options.foreignKey : 'id'
+    };
+    return this;
+  }
+
+  /**
+   * Get a declared relation
+   * @private
+   * @param {string} name - Relation name
+   * @returns {Object} Relation ({ name, type, collection, foreignKey, localField, targetField })
+   * @throws {Error} If the relation is not declared
+   */
+  _relation(name) {
+    const relation = this.relations[name];
+    if (!relation) {
+      const known = Object.keys(this.relations);
+      throw new Error(`Unknown relation "${name}" on "${this.collectionName}"${known.length ? `, expected one of: ${known.join(', ')}` : ''}`);
+    }
+    return relation;
+  }
+
+  /**
+   * Populate declared relations client-side, with batched `$in` queries
+   * Target documents are read through the target model when it is registered (so its hooks,
+   * schema and relations apply to nested populates), otherwise from the collection directly
+   * @private
+   * @param {Array<Object>} records - Records, populated in place
+   * @param {Array<Object>} specs - Populate specs ({ path, select, match, sort, populate })
+   * @param {Object} options - Request options
+   * @returns {Promise<Array<Object>>} The records
+   * @throws {Error} If a relation is not declared, or a nested populate has no target model
+   */
+  async _populate(records, specs, options) {
+    const list = records.filter(record => record && typeof record === 'object');
+
+    for (const spec of specs) {
+      const relation = this._relation(spec.path);
+      const target = this.apiClient.models[relation.collection] || null;
+      if (!target && spec.populate.length > 0) {
+        throw new Error(`Cannot populate "${spec.path}.${spec.populate[0].path}": no model is registered for "${relation.collection}"`);
+      }
+      const keys = [relation.targetField].concat(spec.populate.map(nested => target._relation(nested.path).localField));
+
+      const values = new Map();
+      list.forEach(record => {
+        [].concat(getPath(record, relation.localField))
+          .filter(value => value !== undefined && value !== null)
+          .forEach(value => values.set(String(value), value));
+      });
+
+      const related = values.size > 0 ? await this._fetchRelated(relation, target, spec, keys, Array.from(values.values()), options) : [];
+      const byKey = new Map();
+      related.forEach(target => {
+        [].concat(getPath(target, relation.targetField)).forEach(value => {
+          byKey.set(String(value), (byKey.get(String(value)) || []).concat([target]));
+        });
+      });
+
+      list.forEach(record => {
+        const local = getPath(record, relation.localField);
+        if (relation.type === 'belongsTo') {
+          record[relation.name] = local === undefined || local === null ? null : (byKey.get(String(local)) || [null])[0];
+        } else if (relation.type === 'manyToMany') {
+          record[relation.name] = [].concat(local === undefined || local === null ? [] : local)
+            .map(value => (byKey.get(String(value)) || [null])[0])
+            .filter(Boolean);
+        } else {
+          record[relation.name] = byKey.get(String(local)) || [];
+        }
+      });
+
+      if (spec.select) {
+        this._omitFields(related, unselectedFields(spec.select, keys), spec.populate);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Remove the fields a populate added to the select from populated records
+   * @private
+   * @param {Array<Object>} records - Records, changed in place
+   * @param {Array<string>} fields - Fields the user's select did not ask for
+   * @param {Array<Object>} specs - Populate specs of the records (their paths are kept)
+   */
+  _omitFields(records, fields, specs) {
+    const omitted = fields.filter(field => !specs.some(spec => spec.path === field));
+    if (omitted.length === 0) {
+      return;
+    }
+
+    records.forEach(record => {
+      if (record && typeof record === 'object') {
+        omitted.forEach(field => delete record[field]);
+      }
+    });
+  }
+
+  /**
+   * Fetch the target documents of a relation, LOOKUP_CHUNK_SIZE values per query
+   * @private
+   * @param {Object} relation - Relation
+   * @param {DBModel|null} target - Model of the target collection, if registered
+   * @param {Object} spec - Populate spec
+   * @param {Array<string>} keys - Fields the target documents must keep
+   * @param {Array} values - Values of the local field
+   * @param {Object} options - Request options
+   * @returns {Promise<Array<Object>>} Target documents
+   */
+  async _fetchRelated(relation, target, spec, keys, values, options) {
+    const select = spec.select ? includeFields(spec.select, keys) : null;
+    let records = [];
+
+    for (let i = 0; i < values.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = values.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const condition = { [relation.targetField]: { $in: chunk } };
+      const filters = spec.match ? { $and: [spec.match, condition] } : condition;
+      const limit = relation.targetField === 'id' ? chunk.length : null;
+
+      if (target) {
+        const query = target.find(filters).lean().setOptions(options);
+        if (limit) {
+          query.limit(limit);
+        }
+        if (select) {
+          query.select(select);
+        }
+        if (spec.sort) {
+          query.sort(spec.sort);
+        }
+        records = records.concat(await query.populate(spec.populate).exec());
+      } else {
+        records = records.concat(await this.apiClient.query(relation.collection, { filters, limit, select, sort: spec.sort }, options));
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Register a hook
+   * @private
+   * @param {string} stage - 'pre' | 'post'
+   * @param {string|Array<string>} event - Hook event(s)
+   * @param {Function} fn - Hook function
+   * @returns {DBModel} This instance for chaining
+   */
+  _addHook(stage, event, fn) {
+    [].concat(event).forEach(name => {
+      if (!HOOK_EVENTS.includes(name)) {
+        throw new Error(`Unknown hook event "${name}", expected one of: ${HOOK_EVENTS.join(', ')}`);
+      }
+      if (typeof fn !== 'function') {
+        throw new TypeError(`${stage}('${name}') hook must be a function`);
+      }
+      this.hooks[stage][name] = (this.hooks[stage][name] || []).concat([fn]);
+    });
+    return this;
+  }
+
+  /**
+   * Run the hooks registered for a stage and event, in registration order
+   * @private
+   * @param {string} stage - 'pre' | 'post'
+   * @param {string} event - Hook event
+   * @param {Object} context - Hook context
+   */
+  async _runHooks(stage, event, context) {
+    for (const fn of this.hooks[stage][event] || []) {
+      await fn.call(this, context);
+    }
+  }
+
+  /**
+   * Run an operation wrapped in its pre and post hooks
+   * @private
+   * @param {string} event - Hook event
+   * @param {Object} context - Hook context (operation, filters, data, options)
+   * @param {Function} fn - Operation, receives the context after pre hooks ran
+   * @returns {Promise<*>} Operation result, possibly replaced by post hooks
+   */
+  async _withHooks(event, context, fn) {
+    context.model = this;
+    await this._runHooks('pre', event, context);
+    context.result = await fn(context);
+    await this._runHooks('post', event, context);
+    return context.result;
+  }
+
+  /**
+   * Validate and cast data against the schema, if any
+   * @private
+   * @param {string} operation - Operation name, attached to validation errors
+   * @param {Object} data - Raw data
+   * @param {Object} [options={}] - Schema validation options
+   * @returns {Promise<Object>} Cast data
+   */
+  async _validate(operation, data, options = {}) {
+    if (!this.schema) {
+      return data;
+    }
+
+    try {
+      return await this.schema.validate(data, options);
+    } catch (error) {
+      throw this._decorateError(error, operation);
+    }
+  }
+
+  /**
+   * Validate and cast several records against the schema, if any
+   * @private
+   * @param {string} operation - Operation name, attached to validation errors
+   * @param {Array<Object>} dataArray - Raw records
+   * @returns {Promise<Array<Object>>} Cast records
+   */
+  async _validateMany(operation, dataArray) {
+    if (!this.schema) {
+      return dataArray;
+    }
+
+    try {
+      return await this.schema.validateMany(dataArray);
+    } catch (error) {
+      throw this._decorateError(error, operation);
+    }
+  }
+
+  /**
+   * Run an update with plain fields or an update document
+   * `$set` / `$unset` are sent as fields; other operators are applied to the current records
+   * and written back with a conditional `updateOne` per record
+   * @private
+   * @param {string} operation - Operation name
+   * @param {Object} context - Hook context ({ filters, data, options })
+   * @param {number|null} limit - Maximum number of records to update (null for all)
+   * @param {Function} write - Sends the fields with the operation's own request
+   * @returns {Promise<*>} Response data (updated records when emulated)
+   */
+  async _update(operation, context, limit, write) {
+    if (!isUpdateDocument(context.data)) {
+      return await write(this._prepareFields(await this._validate(operation, context.data, { partial: true })));
+    }
+
+    const update = parseUpdate(context.data);
+    if (!requiresRead(update)) {
+      return await write(this._prepareFields(await this._validate(operation, applyUpdate({}, update), { partial: true })));
+    }
+
+    const records = await this._readForUpdate(context.filters, limit, context.options, operation);
+    let updated = [];
+    for (const record of records) {
+      updated = updated.concat(await this._updateRecord(operation, record, update, context.options));
+    }
+    return updated;
+  }
+
+  /**
+   * Apply an update document to one record and write it if the record did not change meanwhile
+   * The record is re-read and the update re-applied on conflicts
+   * @private
+   * @returns {Promise<Array<Object>>} Updated records (empty if the record was deleted meanwhile)
+   * @throws {WebCakeError} With status 409 when the record keeps changing
+   */
+  async _updateRecord(operation, record, update, options) {
+    let current = record;
+
+    for (let attempt = 1; ; attempt++) {
+      let values;
+      try {
+        values = applyUpdate(current, update);
+      } catch (error) {
+        throw this._decorateError(error, operation);
+      }
+
+      const fields = this._prepareFields(await this._validate(operation, values, { partial: true }));
+      const res = await this.apiClient.updateOne(this.collectionName, updateGuards(current, update), fields, options);
+
+      if (this._isQueued(res) || res.length > 0) {
+        return res;
+      }
+
+      if (attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw createError(409, `Record ${current.id} in ${this.collectionName} kept changing during ${operation}`, {
+          collection: this.collectionName,
+          operation,
+          filters: { id: current.id }
+        });
+      }
+
+      [current] = await this._readForUpdate({ id: current.id }, 1, options, operation);
+      if (!current) {
+        return [];
+      }
+    }
+  }
+
+  /**
+   * Insert the document of an upsert: equality conditions of the filters plus the update
+   * The insert runs the `create` hooks, after the `update` hooks of the operation
+   * @private
+   * @param {string} operation - Operation name
+   * @param {Object} context - Hook context ({ filters, data, options })
+   * @returns {Promise<Object>} Inserted record
+   */
+  async _upsert(operation, context) {
+    const seed = {};
+    Object.keys(context.filters || {}).forEach(key => {
+      const value = context.filters[key];
+      if (key.startsWith('$')) {
+        return;
+      }
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (Object.keys(value).length === 1 && value.$eq !== undefined) {
+          seed[key] = value.$eq;
+        }
+        return;
+      }
+      seed[key] = value;
+    });
+
+    const values = isUpdateDocument(context.data)
+      ? { ...seed, ...applyUpdate(seed, parseUpdate(context.data)) }
+      : { ...seed, ...context.data };
+    return await this._withHooks('create', { operation, data: values, options: context.options }, async (insert) => {
+      const fields = this._prepareFields(await this._validate(operation, insert.data));
+      return this._cast(await this.apiClient.insertOne(this.collectionName, fields, insert.options));
+    });
+  }
+
+  /**
+   * Validate bulk operations and group consecutive inserts
+   * @private
+   * @param {Array<Object>} operations - Bulk operations
+   * @returns {Array<Object>} Steps ({ type, indexes, args })
+   */
+  _planBulkWrite(operations) {
+    if (!Array.isArray(operations)) {
+      throw new TypeError('bulkWrite expects an array of operations');
+    }
+
+    const steps = [];
+    operations.forEach((operation, index) => {
+      const keys = operation && typeof operation === 'object' ? Object.keys(operation) : [];
+      const type = keys[0];
+
+      if (keys.length !== 1 || !BULK_OPERATIONS.includes(type)) {
+        throw new Error(`Invalid bulkWrite operation at index ${index}, expected one of: ${BULK_OPERATIONS.join(', ')}`);
+      }
+
+      const args = operation[type] || {};
+      if (type === 'insertOne') {
+        if (!args.document || typeof args.document !== 'object') {
+          throw new Error(`bulkWrite insertOne at index ${index} requires a document`);
+        }
+        const last = steps[steps.length - 1];
+        if (last && last.type === 'insertOne') {
+          last.indexes.push(index);
+          last.documents.push(args.document);
+        } else {
+          steps.push({ type, indexes: [index], documents: [args.document] });
+        }
+        return;
+      }
+
+      if (!args.filter || typeof args.filter !== 'object') {
+        throw new Error(`bulkWrite ${type} at index ${index} requires a filter`);
+      }
+      if (type.startsWith('update') && (!args.update || typeof args.update !== 'object')) {
+        throw new Error(`bulkWrite ${type} at index ${index} requires an update`);
+      }
+      steps.push({ type, indexes: [index], args });
+    });
+
+    return steps;
+  }
+
+  /**
+   * Run one bulk step and add its outcome to the result
+   * @private
+   */
+  async _runBulkStep(step, options, result) {
+    const { type, args } = step;
+
+    if (type === 'insertOne') {
+      const records = await this.insertMany(step.documents, options);
+      result.insertedCount += step.indexes.length;
+      step.indexes.forEach((index, i) => {
+        result.insertedIds[index] = records && records[i] ? records[i].id : undefined;
+      });
+      return;
+    }
+
+    if (type === 'deleteOne' || type === 'deleteMany') {
+      const res = await this[type](args.filter, options);
+      result.deletedCount += res.deletedCount;
+      return;
+    }
+
+    const res = await this[type](args.filter, args.update, type === 'updateOne' ? { ...options, upsert: !!args.upsert } : options);
+    result.matchedCount += res.matchedCount;
+    result.modifiedCount += res.modifiedCount;
+    if (res.upsertedCount) {
+      result.upsertedCount += res.upsertedCount;
+      result.upsertedIds[step.indexes[0]] = res.upsertedId;
+    }
+  }
+
+  /**
+   * Fetch the records of another collection whose field matches any of the values ($lookup)
+   * @private
+   */
+  async _lookup(from, foreignField, values, options) {
+    let records = [];
+    for (let i = 0; i < values.length; i += LOOKUP_CHUNK_SIZE) {
+      const filters = { [foreignField]: { $in: values.slice(i, i + LOOKUP_CHUNK_SIZE) } };
+      records = records.concat(await this.apiClient.query(from, { filters }, options));
+    }
+    return records;
+  }
+
+  /**
+   * Read raw records for an emulated update, bypassing the cache
+   * In offline mode the read cannot be queued, and would miss the queued writes: it is refused
+   * while offline or while writes are pending, and network failures become OfflineErrors
+   * @private
+   * @throws {OfflineError} If the records cannot be read because the connection is offline
+   */
+  async _readForUpdate(filters, limit, options, operation) {
+    const { offline } = this.apiClient;
+    const offlineError = (reason, cause) => new OfflineError(
+      `Cannot ${operation} ${this.collectionName} offline (${reason}): update operators other than $set and $unset need the current records`,
+      { collection: this.collectionName, operation, filters, cause }
+    );
+
+    if (offline && offline.size > 0) {
+      throw offlineError('writes are pending');
+    }
+    if (offline && !offline.status.online) {
+      throw offlineError('no connectivity');
+    }
+
+    try {
+      return await this.apiClient.query(this.collectionName, { filters, limit }, { ...options, cache: false });
+    } catch (error) {
+      const aborted = options && options.signal && options.signal.aborted;
+      if (offline && error instanceof NetworkError && !aborted) {
+        throw offlineError('network failure', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Attach model context to a schema validation error
+   * @private
+   * @param {Error} error - Error thrown by the schema
+   * @param {string} operation - Operation name
+   * @returns {Error} The same error
+   */
+  _decorateError(error, operation) {
+    if (error instanceof ValidationError) {
+      error.collection = this.collectionName;
+      error.operation = operation;
+    }
+    return error;
+  }
+
+  /**
+   * Build the result of an update operation
+   * @private
+   * @param {Array|Object} res - Updated records, or a queued marker in offline mode
+   * @returns {Object} Update result
+   */
+  _updateResult(res) {
+    if (this._isQueued(res)) {
+      return { acknowledged: false, queued: true, queueId: res.queueId, matchedCount: 0, modifiedCount: 0 };
+    }
+
+    return {
+      acknowledged: true,
+      matchedCount: res.length,
+      modifiedCount: res.length
+    };
+  }
+
+  /**
+   * Build the result of a delete operation
+   * @private
+   * @param {Array|Object} res - Deleted records, or a queued marker in offline mode
+   * @returns {Object} Delete result
+   */
+  _deleteResult(res) {
+    if (this._isQueued(res)) {
+      return { acknowledged: false, queued: true, queueId: res.queueId, deletedCount: 0 };
+    }
+
+    return {
+      acknowledged: true,
+      deletedCount: res.length
+    };
+  }
+
+  /**
+   * Check whether a write was queued by offline mode instead of being sent
+   * @private
+   */
+  _isQueued(result) {
+    return !!result && result.queued === true && typeof result.queueId === 'string';
+  }
+
+  /**
+   * Cast records returned by the server with the schema, if any
+   * @private
+   * @param {Object|Array<Object>} result - Record or records
+   * @returns {Object|Array<Object>} Cast record or records
+   */
+  _cast(result) {
+    if (!this.schema || !result || typeof result !== 'object' || this._isQueued(result)) {
+      return result;
+    }
+
+    return Array.isArray(result) ? result.map(record => this.schema.cast(record)) : this.schema.cast(result);
+  }
+
+  /**
+   * Wrap query results in Document instances when enabled
+   * @private
+   * @param {Array<Object>} records - Records
+   * @param {boolean|null} lean - Query's lean setting (null follows the model's `documents` option)
+   * @returns {Array<Object|Document>} Records or documents
+   */
+  _hydrate(records, lean) {
+    const useDocuments = lean === null ? !!this.options.documents : !lean;
+    if (!useDocuments || !Array.isArray(records)) {
+      return records;
+    }
+    const DocumentClass = this._getDocumentClass();
+    return records.map(record => (record && typeof record === 'object' ? new DocumentClass(this, record) : record));
+  }
+
+  /**
+   * Get the document class, with the methods added by `method()`
+   * @private
+   * @returns {Function} Document or a subclass of it
+   */
+  _getDocumentClass() {
+    if (Object.keys(this.methods).length === 0) {
+      return Document;
+    }
+    if (!this._documentClass) {
+      this._documentClass = class extends Document {};
+      Object.assign(this._documentClass.prototype, this.methods);
+    }
+    return this._documentClass;
   }
 
   /**
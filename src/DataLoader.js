@@ -0,0 +1,72 @@
+const schedule = typeof setImmediate === 'function' ? setImmediate : fn => setTimeout(fn, 0);
+
+const deepCopy = value => (value === undefined || value === null ? value : structuredClone(value));
+
+/**
+ * DataLoader class coalescing individual loads into batched requests
+ * Keys requested during the same tick are passed to the batch function together
+ * Each caller receives its own copy of the value
+ */
+export class DataLoader {
+  /**
+   * @param {Function} batchFn - Receives an array of keys, resolves to an array of values in the same order
+   * @param {Object} [options={}] - Loader options
+   * @param {number} [options.maxBatchSize=100] - Maximum number of keys per batch
+   * @param {Function} [options.clone] - Copies a value for one caller (default: structuredClone)
+   */
+  constructor(batchFn, options = {}) {
+    this.batchFn = batchFn;
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.clone = options.clone || deepCopy;
+    this._queue = [];
+  }
+
+  /**
+   * Load a value by key
+   * Identical keys in the same batch share one entry
+   * @param {*} key - Key
+   * @returns {Promise<*>} Value
+   */
+  load(key) {
+    return new Promise((resolve, reject) => {
+      if (this._queue.length === 0) {
+        schedule(() => this._dispatch());
+      }
+      this._queue.push({ key, resolve, reject });
+    });
+  }
+
+  /**
+   * Send queued keys to the batch function
+   * @private
+   */
+  _dispatch() {
+    const queue = this._queue;
+    this._queue = [];
+
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      this._runBatch(queue.slice(i, i + this.maxBatchSize));
+    }
+  }
+
+  /**
+   * Run one batch and settle its callers
+   * @private
+   * @param {Array<Object>} batch - Queued loads
+   */
+  async _runBatch(batch) {
+    const keys = Array.from(new Set(batch.map(item => item.key)));
+
+    try {
+      const values = await this.batchFn(keys);
+
+      if (!Array.isArray(values) || values.length !== keys.length) {
+        throw new Error('DataLoader batch function must resolve to an array with one value per key');
+      }
+
+      batch.forEach(item => item.resolve(this.clone(values[keys.indexOf(item.key)])));
+    } catch (error) {
+      batch.forEach(item => item.reject(error));
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import { NotFoundError } from './errors.js';
+
+/**
+ * Document class binding a record to its model
+ * Fields are plain properties; changes are detected by comparing them with the last saved state,
+ * so `save()` only sends the fields that were modified
+ */
+export class Document {
+  /**
+   * @param {DBModel} model - Model the record belongs to
+   * @param {Object} [data={}] - Record data
+   */
+  constructor(model, data = {}) {
+    Object.defineProperty(this, '_model', { value: model, writable: true });
+    Object.defineProperty(this, '_original', { value: {}, writable: true });
+    this._init(data);
+  }
+
+  /**
+   * Model the document belongs to
+   * @returns {DBModel} Model
+   */
+  get $model() {
+    return this._model;
+  }
+
+  /**
+   * Check whether a field changed since the document was loaded or saved
+   * @param {string} [path] - Top-level field name (any field if omitted)
+   * @returns {boolean} True if modified
+   */
+  isModified(path) {
+    const paths = this.modifiedPaths();
+    return path === undefined ? paths.length > 0 : paths.includes(path);
+  }
+
+  /**
+   * List the fields changed since the document was loaded or saved
+   * @returns {Array<string>} Field names
+   */
+  modifiedPaths() {
+    const data = this.toJSON();
+    const keys = new Set(Object.keys(data).concat(Object.keys(this._original)));
+
+    return Array.from(keys).filter(key => key !== 'id' && this._serialize(data[key]) !== this._original[key]);
+  }
+
+  /**
+   * Save modified fields with `findByIdAndUpdate`
+   * Removed fields are sent as `null`; nothing is sent when no field changed
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
+   * @returns {Promise<Document>} This document
+   */
+  async save(options = {}) {
+    const paths = this.modifiedPaths();
+    if (paths.length === 0) {
+      return this;
+    }
+
+    const changes = {};
+    paths.forEach(path => {
+      changes[path] = this[path] === undefined ? null : this[path];
+    });
+
+    const result = await this._model.findByIdAndUpdate(this.id, changes, options);
+    if (result && typeof result === 'object' && !Array.isArray(result) && !this._model._isQueued(result)) {
+      this._init({ ...this.toJSON(), ...result });
+    } else {
+      this._init(this.toJSON());
+    }
+
+    return this;
+  }
+
+  /**
+   * Delete the document with `findByIdAndDelete`
+   * @param {Object} [options={}] - Request options (retry, timeout, idempotent, signal)
+   * @returns {Promise<Document>} This document
+   */
+  async remove(options = {}) {
+    await this._model.findByIdAndDelete(this.id, options);
+    return this;
+  }
+
+  /**
+   * Load the latest data from the server, discarding unsaved changes
+   * @param {Object} [options={}] - Request options (retry, timeout, signal)
+   * @returns {Promise<Document>} This document
+   * @throws {NotFoundError} If the record no longer exists
+   */
+  async reload(options = {}) {
+    const records = await this._model.find({ id: this.id }).limit(1).lean().setOptions({ cache: false, ...options }).exec();
+
+    if (!records[0]) {
+      throw new NotFoundError(`Record ${this.id} not found in ${this._model.collectionName}`, {
+        status: 404,
+        collection: this._model.collectionName,
+        operation: 'reload',
+        filters: { id: this.id }
+      });
+    }
+
+    Object.keys(this).forEach(key => delete this[key]);
+    this._init(records[0]);
+    return this;
+  }
+
+  /**
+   * Get a plain object copy of the fields
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return { ...this };
+  }
+
+  /**
+   * Assign fields and record them as the saved state
+   * @private
+   * @param {Object} data - Record data
+   */
+  _init(data) {
+    Object.assign(this, data);
+    this._original = {};
+    Object.keys(this).forEach(key => {
+      this._original[key] = this._serialize(this[key]);
+    });
+  }
+
+  /**
+   * Serialize a value for comparison
+   * @private
+   */
+  _serialize(value) {
+    return value === undefined ? undefined : JSON.stringify(value);
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * EventEmitter class with a minimal on/off/once/emit API
+ * Works in browsers and Node without depending on `events`
+ */
+export class EventEmitter {
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * Add a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  on(event, listener) {
+    this._listeners[event] = (this._listeners[event] || []).concat([listener]);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Add a listener called at most once
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener, or every listener of an event
+   * @param {string} event - Event name
+   * @param {Function} [listener] - Listener
+   */
+  off(event, listener) {
+    if (!listener) {
+      delete this._listeners[event];
+      return;
+    }
+    this._listeners[event] = (this._listeners[event] || []).filter(fn => fn !== listener);
+  }
+
+  /**
+   * Call the listeners of an event
+   * Errors thrown by listeners are reported on the `error` event (or rethrown when it has no listeners)
+   * @param {string} event - Event name
+   * @param {...*} args - Listener arguments
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this._listeners[event] || [];
+
+    listeners.forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        if (event === 'error' || !this.listenerCount('error')) {
+          throw error;
+        }
+        this.emit('error', error);
+      }
+    });
+
+    return listeners.length > 0;
+  }
+
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @returns {number} Listener count
+   */
+  listenerCount(event) {
+    return (this._listeners[event] || []).length;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * FetchTransport class for sending requests through a fetch implementation
+ * Default transport used by DBConnection
+ */
+export class FetchTransport {
+  /**
+   * @param {Object} [options={}] - Transport options
+   * @param {Function} [options.fetch] - Custom fetch implementation (defaults to global fetch)
+   * @throws {Error} If no fetch implementation is available
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || null;
+
+    if (!this.fetch && typeof fetch === 'undefined') {
+      throw new Error('No fetch implementation available: pass `fetch` or `transport` (e.g. HttpTransport) to DBConnection');
+    }
+  }
+
+  /**
+   * Send a request
+   * @param {string} url - Request URL
+   * @param {Object} [init={}] - Request options (method, headers, body, signal)
+   * @returns {Promise<Response>} Fetch response
+   */
+  async request(url, init = {}) {
+    const fetchFn = this.fetch || fetch;
+    return await fetchFn(url, init);
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * HttpTransport class for sending requests with the Node.js http/https modules
+ * Useful on Node versions without a global fetch
+ */
+export class HttpTransport {
+  /**
+   * @param {Object} [options={}] - Transport options
+   * @param {Object} [options.agent] - http.Agent / https.Agent to use for requests
+   */
+  constructor(options = {}) {
+    this.agent = options.agent;
+  }
+
+  /**
+   * Send a request
+   * @param {string} url - Absolute request URL
+   * @param {Object} [init={}] - Request options (method, headers, body, signal)
+   * @returns {Promise<Object>} Fetch-like response
+   */
+  async request(url, init = {}) {
+    const target = new URL(url);
+    const lib = target.protocol === 'https:' ? await import('https') : await import('http');
+
+    return await new Promise((resolve, reject) => {
+      const req = lib.request(target, {
+        method: init.method || 'GET',
+        headers: init.headers,
+        agent: this.agent,
+        signal: init.signal
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          resolve(this._createResponse(res, Buffer.concat(chunks).toString('utf8')));
+        });
+      });
+
+      req.on('error', reject);
+
+      if (init.body !== undefined && init.body !== null) {
+        req.write(init.body);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Wrap a Node response in a fetch-like object
+   * @private
+   * @param {Object} res - Node IncomingMessage
+   * @param {string} text - Response body
+   * @returns {Object} Fetch-like response
+   */
+  _createResponse(res, text) {
+    return {
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      status: res.statusCode,
+      statusText: res.statusMessage || '',
+      headers: {
+        get: name => {
+          const value = res.headers[name.toLowerCase()];
+          return value === undefined ? null : [].concat(value).join(', ');
+        }
+      },
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * IndexedDBQueueStore class persisting offline writes in IndexedDB
+ * Suited to larger queues than Web Storage allows
+ */
+export class IndexedDBQueueStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.dbName='webcake-data'] - Database name
+   * @param {string} [options.storeName='offline-queue'] - Object store name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to window.indexedDB)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'webcake-data';
+    this.storeName = options.storeName || 'offline-queue';
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this._db = null;
+
+    if (!this.indexedDB) {
+      throw new Error('IndexedDBQueueStore requires indexedDB or an `indexedDB` option');
+    }
+  }
+
+  /**
+   * Load persisted entries
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async load() {
+    const db = await this._open();
+    const entries = await this._wrap(db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get('entries'));
+    return entries || [];
+  }
+
+  /**
+   * Persist entries
+   * @param {Array<Object>} entries - Entries
+   * @returns {Promise<void>}
+   */
+  async save(entries) {
+    const db = await this._open();
+    await this._wrap(db.transaction(this.storeName, 'readwrite').objectStore(this.storeName).put(entries, 'entries'));
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @private
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  async _open() {
+    if (!this._db) {
+      const request = this.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      this._db = this._wrap(request);
+    }
+    return await this._db;
+  }
+
+  /**
+   * Convert an IDBRequest to a promise
+   * @private
+   */
+  _wrap(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
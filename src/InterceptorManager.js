@@ -0,0 +1,62 @@
+/**
+ * InterceptorManager class holding an ordered list of interceptor functions
+ * Used for `db.interceptors.request` and `db.interceptors.response`
+ */
+export class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Add an interceptor
+   * @param {Function} fn - Called with (value, ...context); may be async; returns the new value, or undefined to keep it
+   * @returns {Function} Function removing the interceptor
+   */
+  use(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Interceptor must be a function');
+    }
+    this.handlers = this.handlers.concat([fn]);
+    return () => this.eject(fn);
+  }
+
+  /**
+   * Remove an interceptor
+   * @param {Function} fn - Interceptor added with `use`
+   */
+  eject(fn) {
+    this.handlers = this.handlers.filter(handler => handler !== fn);
+  }
+
+  /**
+   * Remove every interceptor
+   */
+  clear() {
+    this.handlers = [];
+  }
+
+  /**
+   * Number of interceptors
+   * @returns {number} Interceptor count
+   */
+  get size() {
+    return this.handlers.length;
+  }
+
+  /**
+   * Pass a value through the interceptors, in the order they were added
+   * @param {*} value - Initial value
+   * @param {...*} context - Extra arguments given to every interceptor
+   * @returns {Promise<*>} Final value
+   */
+  async run(value, ...context) {
+    let result = value;
+    for (const handler of this.handlers) {
+      const next = await handler(result, ...context);
+      if (next !== undefined) {
+        result = next;
+      }
+    }
+    return result;
+  }
+}
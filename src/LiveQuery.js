@@ -0,0 +1,168 @@
+import { EventEmitter } from './EventEmitter.js';
+import { PollingStrategy } from './PollingStrategy.js';
+
+/**
+ * LiveQuery class keeping the results of a query in sync
+ * Each refresh is diffed against the previous snapshot by `id`
+ *
+ * Events:
+ * - `insert` (doc) - A document started matching the query
+ * - `update` (doc, previous) - A matching document changed
+ * - `delete` (doc) - A document stopped matching the query
+ * - `change` ({ snapshot, inserted, updated, deleted, initial }) - The snapshot was loaded or changed
+ * - `error` (error) - A refresh failed
+ */
+export class LiveQuery extends EventEmitter {
+  /**
+   * @param {QueryBuilder} query - Query to watch
+   * @param {Object} [options={}] - Live query options (also passed to the default PollingStrategy)
+   * @param {Object} [options.strategy] - Strategy with start(liveQuery)/stop() (defaults to PollingStrategy)
+   */
+  constructor(query, options = {}) {
+    super();
+    this.query = query;
+    this.strategy = options.strategy || new PollingStrategy(options);
+    this.snapshot = null;
+    this.running = false;
+    this._subscribers = 0;
+    this._refreshPromise = null;
+  }
+
+  /**
+   * Subscribe to changes, starting the live query if needed
+   * The listener is called with the current snapshot right away when one is loaded
+   * @param {Function|Object} listener - Change listener, or an object of event listeners ({ insert, update, delete, change, error })
+   * @returns {Function} Unsubscribe function; the live query stops when its last subscriber leaves
+   */
+  subscribe(listener) {
+    const handlers = typeof listener === 'function' ? { change: listener } : listener || {};
+    const removers = Object.keys(handlers).map(event => this.on(event, handlers[event]));
+    let subscribed = true;
+
+    if (handlers.change && this.snapshot) {
+      handlers.change({ snapshot: this.snapshot.slice(), inserted: [], updated: [], deleted: [], initial: true });
+    }
+
+    this._subscribers++;
+    this.start();
+
+    return () => {
+      if (!subscribed) {
+        return;
+      }
+      subscribed = false;
+      removers.forEach(remove => remove());
+      if (--this._subscribers === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  /**
+   * Start refreshing
+   * @returns {LiveQuery} This instance for chaining
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.strategy.start(this);
+    }
+    return this;
+  }
+
+  /**
+   * Stop refreshing
+   * @returns {LiveQuery} This instance for chaining
+   */
+  stop() {
+    if (this.running) {
+      this.running = false;
+      this.strategy.stop();
+    }
+    return this;
+  }
+
+  /**
+   * Re-run the query (bypassing the cache) and apply the results
+   * Concurrent calls share one request
+   * @returns {Promise<Array<Object>>} Current snapshot
+   */
+  async refresh() {
+    if (!this._refreshPromise) {
+      this._refreshPromise = this._load()
+        .then(records => this.apply(records))
+        .catch(error => {
+          this.emit('error', error);
+          throw error;
+        })
+        .finally(() => {
+          this._refreshPromise = null;
+        });
+    }
+    return await this._refreshPromise;
+  }
+
+  /**
+   * Replace the snapshot with a new result set and emit the differences
+   * Used by strategies that receive results from another channel
+   * @param {Array<Object>} records - New result set
+   * @returns {Array<Object>} Current snapshot
+   */
+  apply(records) {
+    const previous = this.snapshot;
+    const initial = previous === null;
+    const before = new Map((previous || []).filter(doc => doc && doc.id !== undefined).map(doc => [String(doc.id), doc]));
+    const seen = new Set();
+    const changes = { inserted: [], updated: [], deleted: [] };
+
+    records.forEach(doc => {
+      if (!doc || doc.id === undefined) {
+        return;
+      }
+
+      const id = String(doc.id);
+      const old = before.get(id);
+      seen.add(id);
+
+      if (!old) {
+        changes.inserted.push(doc);
+      } else if (JSON.stringify(old) !== JSON.stringify(doc)) {
+        changes.updated.push({ doc, previous: old });
+      }
+    });
+
+    before.forEach((doc, id) => {
+      if (!seen.has(id)) {
+        changes.deleted.push(doc);
+      }
+    });
+
+    this.snapshot = records.slice();
+
+    if (!initial) {
+      changes.inserted.forEach(doc => this.emit('insert', doc));
+      changes.updated.forEach(({ doc, previous: old }) => this.emit('update', doc, old));
+      changes.deleted.forEach(doc => this.emit('delete', doc));
+    }
+
+    if (initial || changes.inserted.length || changes.updated.length || changes.deleted.length) {
+      this.emit('change', {
+        snapshot: this.snapshot.slice(),
+        inserted: initial ? [] : changes.inserted,
+        updated: changes.updated.map(change => change.doc),
+        deleted: changes.deleted,
+        initial
+      });
+    }
+
+    return this.snapshot.slice();
+  }
+
+  /**
+   * Run the query without the cache
+   * @private
+   */
+  async _load() {
+    return await this.query._run(this.query._getQueryParams(), { ...this.query.requestOptions, cache: false });
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * LocalStorageCacheStore class keeping cache entries in Web Storage
+ * Entries survive page reloads; use a distinct prefix per application
+ */
+export class LocalStorageCacheStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.prefix='webcake-data:'] - Prefix for storage keys
+   * @param {Storage} [options.storage] - Storage object (defaults to window.localStorage)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'webcake-data:';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    if (!this.storage) {
+      throw new Error('LocalStorageCacheStore requires localStorage or a `storage` option');
+    }
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Entry
+   */
+  get(key) {
+    const raw = this.storage.getItem(this.prefix + key);
+    if (raw === null) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      this.delete(key);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an entry
+   * Storage quota errors are ignored: the entry is simply not cached
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry ({ value, expiresAt })
+   */
+  set(key, entry) {
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (error) {
+      // quota exceeded or storage disabled
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey && storageKey.startsWith(this.prefix)) {
+        keys.push(storageKey.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+}
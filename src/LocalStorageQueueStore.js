@@ -0,0 +1,39 @@
+/**
+ * LocalStorageQueueStore class persisting offline writes in Web Storage
+ */
+export class LocalStorageQueueStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.key='webcake-data:offline-queue'] - Storage key
+   * @param {Storage} [options.storage] - Storage object (defaults to window.localStorage)
+   */
+  constructor(options = {}) {
+    this.key = options.key || 'webcake-data:offline-queue';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    if (!this.storage) {
+      throw new Error('LocalStorageQueueStore requires localStorage or a `storage` option');
+    }
+  }
+
+  /**
+   * Load persisted entries
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async load() {
+    try {
+      return JSON.parse(this.storage.getItem(this.key)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist entries
+   * @param {Array<Object>} entries - Entries
+   * @returns {Promise<void>}
+   */
+  async save(entries) {
+    this.storage.setItem(this.key, JSON.stringify(entries));
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * MemoryCacheStore class keeping cache entries in a Map
+ * Default store used by QueryCache
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.maxEntries=500] - Maximum number of entries; the oldest are evicted first
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Entry
+   */
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry ({ value, expiresAt })
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * MemoryQueueStore class keeping offline writes in memory
+ * Default store used by OfflineQueue; pending writes are lost on reload
+ */
+export class MemoryQueueStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Load persisted entries
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async load() {
+    return this.entries.slice();
+  }
+
+  /**
+   * Persist entries
+   * @param {Array<Object>} entries - Entries
+   * @returns {Promise<void>}
+   */
+  async save(entries) {
+    this.entries = entries.slice();
+  }
+}
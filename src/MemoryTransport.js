@@ -0,0 +1,362 @@
+import { matches, createMatcher, sortRecords, selectFields, getPath } from './filters.js';
+
+/**
+ * MemoryTransport class implementing the WebCake records API in memory
+ * Intended for tests and local prototyping without a server. Records are stored per site: the
+ * base path of the request URL (everything before `/collections/`, e.g. `/api/v1/<siteId>`)
+ * selects the site, so connections to different sites sharing a transport do not share records
+ */
+export class MemoryTransport {
+  /**
+   * @param {Object} [options={}] - Transport options
+   * @param {Object<string, Array<Object>>} [options.data={}] - Initial records keyed by collection name,
+   *   copied into every site the first time it is used
+   */
+  constructor(options = {}) {
+    this.sites = {};
+    this._seed = {};
+    this._nextId = 1;
+
+    Object.keys(options.data || {}).forEach(tableName => {
+      options.data[tableName].forEach(record => this._insert(this._seed, tableName, record));
+    });
+  }
+
+  /**
+   * Get a copy of all records stored for a collection
+   * @param {string} tableName - Table name
+   * @param {string} [site] - Site ID or base path; may be left out while a single site is used
+   * @returns {Array<Object>} Records
+   * @throws {Error} If no site is given and several sites were used
+   */
+  getRecords(tableName, site) {
+    return this._clone(this._table(this._collections(site), tableName));
+  }
+
+  /**
+   * Remove all records from every site, initial records included
+   */
+  reset() {
+    this.sites = {};
+    this._seed = {};
+    this._nextId = 1;
+  }
+
+  /**
+   * Handle a request
+   * @param {string} url - Request URL
+   * @param {Object} [init={}] - Request options (method, headers, body)
+   * @returns {Promise<Object>} Fetch-like response
+   */
+  async request(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const { pathname, searchParams } = new URL(url, 'http://memory.local');
+    const match = pathname.match(/^(.*?)\/collections\/([^/]+)\/records(?:\/([^/]+))?\/?$/);
+
+    if (!match) {
+      return this._respond(404, 'Not Found', { success: false, message: `No route for ${method} ${pathname}` });
+    }
+
+    const collections = this._site(match[1] || '/');
+    const tableName = decodeURIComponent(match[2]);
+    const action = match[3] ? decodeURIComponent(match[3]) : null;
+
+    try {
+      const body = init.body ? JSON.parse(init.body) : {};
+      const data = this._route(collections, method, tableName, action, body, searchParams);
+      return this._respond(200, 'OK', { success: true, data });
+    } catch (error) {
+      const status = error.status || 400;
+      return this._respond(status, status === 404 ? 'Not Found' : 'Bad Request', {
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Dispatch a request to the matching route handler
+   * @private
+   * @returns {*} Response data
+   */
+  _route(collections, method, tableName, action, body, searchParams) {
+    const route = `${method} ${action === null ? '' : action}`;
+
+    switch (route) {
+      case 'POST ':
+        return this._clone(this._insert(collections, tableName, this._fieldsToObject(body.fields)));
+      case 'POST bulk':
+        return (body.records || []).map(fields => this._clone(this._insert(collections, tableName, this._fieldsToObject(fields))));
+      case 'GET ':
+        return this._query(collections, tableName, this._parseParams(searchParams));
+      case 'GET count':
+        return { count: this._filter(collections, tableName, this._parseParams(searchParams).filters).length };
+      case 'GET exists':
+        return { exists: this._filter(collections, tableName, this._parseParams(searchParams).filters).length > 0 };
+      case 'PATCH update':
+        return this._update(collections, tableName, body.filters, body.fields, body.limit);
+      case 'DELETE delete':
+        return this._delete(collections, tableName, body.filters, body.limit);
+    }
+
+    if (action !== null && method === 'PATCH') {
+      const updated = this._update(collections, tableName, { id: action }, body.fields, 1);
+      if (updated.length === 0) {
+        throw this._notFound(tableName, action);
+      }
+      return updated[0];
+    }
+
+    if (action !== null && method === 'DELETE') {
+      const deleted = this._delete(collections, tableName, { id: action }, 1);
+      if (deleted.length === 0) {
+        throw this._notFound(tableName, action);
+      }
+      return deleted[0];
+    }
+
+    const error = new Error(`No route for ${method} /collections/${tableName}/records${action ? `/${action}` : ''}`);
+    error.status = 404;
+    throw error;
+  }
+
+  /**
+   * Get (and create from the initial records if missing) the collections of a site
+   * @private
+   * @param {string} basePath - URL path before `/collections/`
+   */
+  _site(basePath) {
+    if (!this.sites[basePath]) {
+      this.sites[basePath] = this._clone(this._seed);
+    }
+    return this.sites[basePath];
+  }
+
+  /**
+   * Find the collections of a site by site ID or base path, for getRecords
+   * Sites not used yet hold the initial records
+   * @private
+   */
+  _collections(site) {
+    const basePaths = Object.keys(this.sites);
+
+    if (site === undefined || site === null) {
+      if (basePaths.length > 1) {
+        throw new Error(`Several sites are stored (${basePaths.join(', ')}); pass the site to getRecords()`);
+      }
+      return basePaths.length ? this.sites[basePaths[0]] : this._seed;
+    }
+
+    const basePath = basePaths.find(path => path === site || path.endsWith(`/${site}`));
+    return basePath ? this.sites[basePath] : this._seed;
+  }
+
+  /**
+   * Get (and create if missing) the record list for a collection
+   * @private
+   */
+  _table(collections, tableName) {
+    if (!collections[tableName]) {
+      collections[tableName] = [];
+    }
+    return collections[tableName];
+  }
+
+  /**
+   * Insert a record
+   * @private
+   */
+  _insert(collections, tableName, values) {
+    const id = values.id !== undefined && values.id !== null ? String(values.id) : String(this._nextId++);
+    if (/^\d+$/.test(id) && Number(id) >= this._nextId) {
+      this._nextId = Number(id) + 1;
+    }
+    const record = { id, ...this._clone(values) };
+    record.id = id;
+    this._table(collections, tableName).push(record);
+    return record;
+  }
+
+  /**
+   * Run a query with filters, sort, skip, limit, select and populate
+   * @private
+   */
+  _query(collections, tableName, params) {
+    let records = this._filter(collections, tableName, params.filters);
+
+    if (params.sort) {
+      records = sortRecords(records, params.sort);
+    }
+
+    const skip = Number(params.skip) || 0;
+    const limit = Number(params.limit) || 0;
+    records = records.slice(skip, limit > 0 ? skip + limit : undefined);
+
+    return records.map(record => {
+      let result = this._clone(record);
+      (params.populate || []).forEach(config => {
+        result[config.field] = this._populate(collections, record, config);
+      });
+      if (params.select) {
+        result = selectFields(result, params.select);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Update matching records
+   * @private
+   */
+  _update(collections, tableName, filters, fields, limit) {
+    const values = this._fieldsToObject(fields);
+    delete values.id;
+
+    return this._limit(this._filter(collections, tableName, filters), limit).map(record => {
+      Object.assign(record, this._clone(values));
+      return this._clone(record);
+    });
+  }
+
+  /**
+   * Delete matching records
+   * @private
+   */
+  _delete(collections, tableName, filters, limit) {
+    const matched = this._limit(this._filter(collections, tableName, filters), limit);
+    collections[tableName] = this._table(collections, tableName).filter(record => !matched.includes(record));
+    return this._clone(matched);
+  }
+
+  /**
+   * Resolve a populate configuration for a record
+   * Matches target rows whose `referenceField` equals the record id, or, when the
+   * record already holds a value under `field`, target rows whose id equals that value
+   * @private
+   */
+  _populate(collections, record, config) {
+    const local = getPath(record, config.field);
+    let related;
+
+    if (local !== undefined && local !== null) {
+      const ids = [].concat(local).map(String);
+      related = this._table(collections, config.table).filter(target => ids.includes(String(target.id)));
+    } else {
+      related = this._table(collections, config.table).filter(target => {
+        return String(getPath(target, config.referenceField)) === String(record.id);
+      });
+    }
+
+    if (config.where && typeof config.where === 'object') {
+      related = related.filter(target => matches(target, config.where));
+    }
+    if (config.sort) {
+      related = sortRecords(related, this._parseSort(config.sort));
+    }
+
+    const skip = Number(config.skip) || 0;
+    const limit = Number(config.limit) || 0;
+    related = related.slice(skip, limit > 0 ? skip + limit : undefined).map(target => {
+      return config.select ? selectFields(this._clone(target), config.select) : this._clone(target);
+    });
+
+    return config.justOne ? (related[0] || null) : related;
+  }
+
+  /**
+   * Filter records of a collection
+   * @private
+   */
+  _filter(collections, tableName, filters = {}) {
+    return this._table(collections, tableName).filter(createMatcher(filters));
+  }
+
+  /**
+   * Parse a populate sort option ("field DESC, other ASC" or an object)
+   * @private
+   */
+  _parseSort(sort) {
+    if (typeof sort !== 'string') {
+      return sort;
+    }
+    return sort.split(',').reduce((acc, part) => {
+      const [field, direction = 'ASC'] = part.trim().split(/\s+/);
+      if (field) {
+        acc[field] = direction.toUpperCase() === 'DESC' ? -1 : 1;
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Parse URL search params sent by DBConnection
+   * @private
+   */
+  _parseParams(searchParams) {
+    const params = {};
+    ['filters', 'sort', 'select', 'populate'].forEach(key => {
+      if (searchParams.has(key)) {
+        params[key] = JSON.parse(searchParams.get(key));
+      }
+    });
+    ['limit', 'skip'].forEach(key => {
+      if (searchParams.has(key)) {
+        params[key] = Number(searchParams.get(key));
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Convert a fields array to a plain object
+   * @private
+   */
+  _fieldsToObject(fields = []) {
+    return fields.reduce((acc, { field_name, field_value }) => {
+      acc[field_name] = field_value;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Apply an optional limit to a list
+   * @private
+   */
+  _limit(records, limit) {
+    return limit ? records.slice(0, limit) : records;
+  }
+
+  /**
+   * Build a not-found error
+   * @private
+   */
+  _notFound(tableName, id) {
+    const error = new Error(`Record ${id} not found in ${tableName}`);
+    error.status = 404;
+    return error;
+  }
+
+  /**
+   * Deep clone JSON data
+   * @private
+   */
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Build a fetch-like response
+   * @private
+   */
+  _respond(status, statusText, payload) {
+    const text = JSON.stringify(payload);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText,
+      headers: { get: name => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  }
+}
@@ -0,0 +1,303 @@
+import { EventEmitter } from './EventEmitter.js';
+import { createError } from './errors.js';
+
+const LOCK_NAME = '__lock__';
+const MIGRATION_FILE = /\.(m?js|cjs)$/;
+
+/**
+ * Migrator class applying versioned data migrations in order
+ * Applied migrations are recorded in a collection (default `_migrations`), and a lock record
+ * in the same collection prevents two runs from migrating at the same time
+ *
+ * A migration is an object (or module) with a `name`, an `up(db)` function and optionally `down(db)`.
+ * Migrations are ordered by name, so prefix them with a timestamp or sequence number
+ *
+ * Events:
+ * - `migrating` ({ name, direction }) - A migration is about to run
+ * - `migrated` ({ name, direction, duration }) - A migration finished and was recorded
+ */
+export class Migrator extends EventEmitter {
+  /**
+   * @param {DBConnection} connection - Connection passed to the migrations
+   * @param {Object} [options={}] - Migrator options
+   * @param {Array<Object>} [options.migrations] - Migrations ({ name, up, down })
+   * @param {string} [options.directory] - Directory of migration files exporting `up` / `down` (Node.js only)
+   * @param {string} [options.collection='_migrations'] - Collection recording applied migrations and the lock
+   * @param {number} [options.lockTimeout=600000] - Milliseconds after which a lock left by a crashed run expires
+   */
+  constructor(connection, options = {}) {
+    super();
+    this.connection = connection;
+    this.directory = options.directory || null;
+    this.collection = options.collection || '_migrations';
+    this.lockTimeout = options.lockTimeout || 10 * 60 * 1000;
+    this._migrations = options.migrations ? this._normalize(options.migrations) : null;
+  }
+
+  /**
+   * Model of the migrations collection
+   * @returns {DBModel} Model
+   */
+  get model() {
+    return this.connection.model(this.collection);
+  }
+
+  /**
+   * List known and applied migrations
+   * @returns {Promise<Array<Object>>} Entries ({ name, applied, appliedAt, missing }) ordered by name;
+   *   `missing` marks applied migrations whose definition no longer exists
+   */
+  async status() {
+    const migrations = await this.load();
+    const applied = await this._applied();
+    const byName = new Map(applied.map(record => [record.name, record]));
+
+    const entries = migrations.map(migration => {
+      const record = byName.get(migration.name);
+      return { name: migration.name, applied: !!record, appliedAt: record ? record.appliedAt : null, missing: false };
+    });
+
+    applied
+      .filter(record => !migrations.some(migration => migration.name === record.name))
+      .forEach(record => entries.push({ name: record.name, applied: true, appliedAt: record.appliedAt, missing: true }));
+
+    return entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} [options={}] - Run options
+   * @param {string} [options.to] - Last migration to apply (all pending ones by default)
+   * @param {boolean} [options.dryRun=false] - Only return the migrations that would run
+   * @returns {Promise<Array<string>>} Names of the applied (or, in a dry run, pending) migrations
+   * @throws {WebCakeError} With status 409 when another run holds the lock
+   */
+  async up(options = {}) {
+    const migrations = await this.load();
+    const plan = async () => {
+      const applied = new Set((await this._applied()).map(record => record.name));
+      const pending = migrations.filter(migration => !applied.has(migration.name));
+      return options.to ? pending.filter(migration => migration.name <= this._find(migrations, options.to).name) : pending;
+    };
+
+    if (options.dryRun) {
+      return (await plan()).map(migration => migration.name);
+    }
+
+    return await this._withLock(async () => {
+      const done = [];
+      for (const migration of await plan()) {
+        await this._run(migration, 'up');
+        await this.model.create({ type: 'migration', name: migration.name, appliedAt: new Date().toISOString() });
+        done.push(migration.name);
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Revert applied migrations, most recent first
+   * @param {Object} [options={}] - Run options
+   * @param {number} [options.steps=1] - Number of migrations to revert
+   * @param {string} [options.to] - Revert every migration applied after this one (overrides `steps`)
+   * @param {boolean} [options.dryRun=false] - Only return the migrations that would be reverted
+   * @returns {Promise<Array<string>>} Names of the reverted (or, in a dry run, revertible) migrations
+   * @throws {Error} If a migration to revert has no `down` function or no longer exists
+   * @throws {WebCakeError} With status 409 when another run holds the lock
+   */
+  async down(options = {}) {
+    const migrations = await this.load();
+    const plan = async () => {
+      const applied = (await this._applied()).slice().reverse();
+      if (options.to) {
+        const target = this._find(migrations, options.to).name;
+        return applied.filter(record => record.name > target);
+      }
+      return applied.slice(0, options.steps === undefined ? 1 : options.steps);
+    };
+
+    if (options.dryRun) {
+      return (await plan()).map(record => record.name);
+    }
+
+    return await this._withLock(async () => {
+      const done = [];
+      for (const record of await plan()) {
+        const migration = this._find(migrations, record.name);
+        if (typeof migration.down !== 'function') {
+          throw new Error(`Migration "${migration.name}" has no down() and cannot be reverted`);
+        }
+        await this._run(migration, 'down');
+        await this.model.deleteOne({ id: record.id });
+        done.push(migration.name);
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Remove the lock record, e.g. after a run was killed
+   * @returns {Promise<number>} Number of removed locks
+   */
+  async unlock() {
+    const result = await this.model.deleteMany({ type: 'lock', name: LOCK_NAME });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Load the migrations, from the `migrations` option or the `directory`
+   * @returns {Promise<Array<Object>>} Migrations ordered by name
+   * @throws {Error} If no migrations source is configured or a migration is malformed
+   */
+  async load() {
+    if (this._migrations) {
+      return this._migrations;
+    }
+    if (!this.directory) {
+      throw new Error('Migrator needs `migrations` or `directory`');
+    }
+
+    const fs = await import('fs');
+    const path = await import('path');
+    const { pathToFileURL } = await import('url');
+
+    const files = (await fs.promises.readdir(this.directory))
+      .filter(file => MIGRATION_FILE.test(file))
+      .sort();
+    const migrations = [];
+
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.resolve(this.directory, file)).href);
+      const definition = module.up ? module : module.default || {};
+      migrations.push({ name: file.replace(MIGRATION_FILE, ''), up: definition.up, down: definition.down });
+    }
+
+    this._migrations = this._normalize(migrations);
+    return this._migrations;
+  }
+
+  /**
+   * Run one migration function
+   * @private
+   * @param {Object} migration - Migration
+   * @param {string} direction - 'up' | 'down'
+   */
+  async _run(migration, direction) {
+    const started = Date.now();
+    this.emit('migrating', { name: migration.name, direction });
+
+    try {
+      await migration[direction](this.connection);
+    } catch (error) {
+      error.message = `Migration "${migration.name}" ${direction} failed: ${error.message}`;
+      error.migration = migration.name;
+      throw error;
+    }
+
+    this.emit('migrated', { name: migration.name, direction, duration: Date.now() - started });
+  }
+
+  /**
+   * Get the applied migration records, oldest first
+   * @private
+   * @returns {Promise<Array<Object>>} Records ({ id, name, appliedAt })
+   */
+  async _applied() {
+    const records = [];
+    for await (const record of this.model.find({ type: 'migration' }).sort({ appliedAt: 1 }).lean().setOptions({ cache: false }).cursor({ batchSize: 500 })) {
+      records.push(record);
+    }
+    return records.sort((a, b) => (a.appliedAt === b.appliedAt ? (a.name < b.name ? -1 : 1) : a.appliedAt < b.appliedAt ? -1 : 1));
+  }
+
+  /**
+   * Run a function while holding the lock record
+   * The lock is taken by inserting a record, then checking it is the oldest live lock,
+   * so two runs starting at the same time cannot both proceed; expired locks are removed first
+   * @private
+   * @param {Function} fn - Function to run
+   * @returns {Promise<*>} Function result
+   * @throws {WebCakeError} With status 409 when another run holds the lock
+   */
+  async _withLock(fn) {
+    const now = Date.now();
+    const owner = `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const live = { type: 'lock', name: LOCK_NAME, expiresAt: { $gt: new Date(now).toISOString() } };
+
+    await this.model.deleteMany({ type: 'lock', name: LOCK_NAME, expiresAt: { $lte: new Date(now).toISOString() } });
+    if (await this.model.exists(live, { cache: false })) {
+      throw this._lockError();
+    }
+
+    const lock = await this.model.create({
+      type: 'lock',
+      name: LOCK_NAME,
+      owner,
+      lockedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.lockTimeout).toISOString()
+    });
+
+    try {
+      const locks = await this.model.find(live).lean().setOptions({ cache: false }).exec();
+      const first = locks.sort((a, b) => (a.lockedAt === b.lockedAt ? (a.owner < b.owner ? -1 : 1) : a.lockedAt < b.lockedAt ? -1 : 1))[0];
+      if (!first || first.owner !== owner) {
+        throw this._lockError();
+      }
+
+      return await fn();
+    } finally {
+      await this.model.deleteOne({ id: lock.id });
+    }
+  }
+
+  /**
+   * Error thrown when another run holds the lock
+   * @private
+   */
+  _lockError() {
+    return createError(409, 'Migrations are locked by another run; wait for it to finish or remove the lock with unlock()', {
+      collection: this.collection,
+      operation: 'migrate'
+    });
+  }
+
+  /**
+   * Find a migration by name
+   * @private
+   * @throws {Error} If there is no such migration
+   */
+  _find(migrations, name) {
+    const migration = migrations.find(item => item.name === name);
+    if (!migration) {
+      throw new Error(`Unknown migration "${name}"`);
+    }
+    return migration;
+  }
+
+  /**
+   * Validate migrations and order them by name
+   * @private
+   * @throws {Error} If a migration has no name or up function, or a name is used twice
+   */
+  _normalize(migrations) {
+    const names = new Set();
+
+    migrations.forEach(migration => {
+      if (!migration || typeof migration.name !== 'string' || !migration.name) {
+        throw new Error('Every migration needs a name');
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration "${migration.name}" must export an up() function`);
+      }
+      if (migration.down !== undefined && typeof migration.down !== 'function') {
+        throw new Error(`Migration "${migration.name}" down must be a function`);
+      }
+      if (names.has(migration.name)) {
+        throw new Error(`Duplicate migration "${migration.name}"`);
+      }
+      names.add(migration.name);
+    });
+
+    return migrations.slice().sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+}
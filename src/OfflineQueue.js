@@ -0,0 +1,341 @@
+import { EventEmitter } from './EventEmitter.js';
+import { MemoryQueueStore } from './MemoryQueueStore.js';
+import { NetworkError, TimeoutError } from './errors.js';
+
+/**
+ * OfflineQueue class persisting writes that fail on network errors and replaying them in order
+ *
+ * Events:
+ * - `queued` (entry) - A write was added to the queue
+ * - `replayed` (entry, result) - A queued write succeeded
+ * - `conflict` (error, entry) - A replayed write was rejected by the server, or timed out and is not idempotent
+ * - `drained` () - The queue became empty after a replay
+ * - `change` (status) - The queue status changed
+ * - `error` (error) - The store failed to load or save (entries are kept in memory)
+ */
+export class OfflineQueue extends EventEmitter {
+  /**
+   * @param {DBConnection} connection - Connection used to replay writes
+   * @param {Object} [options={}] - Queue options
+   * @param {Object} [options.store] - Store with load/save (defaults to MemoryQueueStore)
+   * @param {Function} [options.onConflict] - Called with (error, entry) when a replayed write fails;
+   *   return 'discard' (default) to drop it, 'keep' to keep it and pause replay, or { body } to retry it with a new body
+   * @param {boolean} [options.autoReplay=true] - Replay when the browser goes back online
+   * @param {number} [options.retryInterval=0] - Also try to replay every N milliseconds while entries are pending
+   */
+  constructor(connection, options = {}) {
+    super();
+    this.connection = connection;
+    this.store = options.store || new MemoryQueueStore();
+    this.onConflict = options.onConflict || null;
+    this.retryInterval = options.retryInterval || 0;
+    this.autoReplay = options.autoReplay !== false;
+    this.entries = [];
+    this.replaying = false;
+    this._nextId = 1;
+    this._timer = null;
+    this._replayPromise = null;
+    this._onOnline = null;
+    this.closed = false;
+
+    this._ready = this._load();
+
+    if (this.autoReplay && typeof window !== 'undefined' && window.addEventListener) {
+      this._onOnline = () => this.replay();
+      window.addEventListener('online', this._onOnline);
+    }
+  }
+
+  /**
+   * Number of pending writes
+   * @returns {number} Queue size
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Current queue status
+   * @returns {Object} { size, replaying, online }
+   */
+  get status() {
+    return { size: this.entries.length, replaying: this.replaying, online: this._isOnline() };
+  }
+
+  /**
+   * Get a copy of the pending writes
+   * @returns {Promise<Array<Object>>} Entries ({ id, request, options, queuedAt, attempts })
+   */
+  async pending() {
+    await this._ready;
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Send a write, queueing it when the network is unavailable
+   * Writes are queued directly while earlier writes are still pending so order is preserved
+   * @param {Object} request - Request description
+   * @param {Object} options - Request options
+   * @param {Function} send - Sends the request
+   * @returns {Promise<*>} Response data, or a queued marker ({ queued: true, queueId, operation, collection })
+   */
+  async send(request, options, send) {
+    await this._ready;
+
+    if (!this._isAborted(options) && (this.entries.length > 0 || !this._isOnline())) {
+      return await this.enqueue(request, options);
+    }
+
+    try {
+      return await send();
+    } catch (error) {
+      if (this._shouldQueue(error, request, options)) {
+        return await this.enqueue(request, options);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add a write to the queue
+   * @param {Object} request - Request description
+   * @param {Object} [options={}] - Request options (only retry and timeout are persisted)
+   * @returns {Promise<Object>} Queued marker
+   */
+  async enqueue(request, options = {}) {
+    await this._ready;
+
+    const entry = {
+      id: `${Date.now()}-${this._nextId++}`,
+      request,
+      options: { retry: options.retry, timeout: options.timeout, idempotent: options.idempotent },
+      queuedAt: new Date().toISOString(),
+      attempts: 0
+    };
+
+    this.entries.push(entry);
+    await this._save();
+    this._schedule();
+    this.emit('queued', entry);
+
+    return { queued: true, queueId: entry.id, operation: request.operation, collection: request.collection };
+  }
+
+  /**
+   * Replay pending writes in order
+   * Stops at the first network failure; server rejections, and timeouts of writes that are not
+   * idempotent (the server may have applied them), go through `onConflict`
+   * @returns {Promise<Object>} { replayed, remaining }
+   */
+  async replay() {
+    await this._ready;
+
+    if (!this._replayPromise) {
+      this._replayPromise = this._replay().finally(() => {
+        this._replayPromise = null;
+      });
+    }
+    return await this._replayPromise;
+  }
+
+  /**
+   * Remove a pending write
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True if the entry was removed
+   */
+  async remove(id) {
+    await this._ready;
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length !== before) {
+      await this._save();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove every pending write
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._ready;
+    this.entries = [];
+    await this._save();
+  }
+
+  /**
+   * Stop replaying automatically: removes the `online` listener and the retry timer
+   * Pending writes stay in the store and can still be replayed with replay()
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    if (this._onOnline) {
+      window.removeEventListener('online', this._onOnline);
+      this._onOnline = null;
+    }
+  }
+
+  /**
+   * Replay loop
+   * @private
+   */
+  async _replay() {
+    let replayed = 0;
+    this.replaying = true;
+    this.emit('change', this.status);
+
+    try {
+      while (this.entries.length > 0) {
+        const entry = this.entries[0];
+        entry.attempts++;
+
+        try {
+          const result = await this.connection._cachedRequest(entry.request, entry.options);
+          this.entries.shift();
+          replayed++;
+          await this._save();
+          this.emit('replayed', entry, result);
+        } catch (error) {
+          if (this._shouldQueue(error, entry.request, entry.options)) {
+            await this._save();
+            break;
+          }
+          if (!(await this._resolveConflict(error, entry))) {
+            break;
+          }
+        }
+      }
+    } finally {
+      this.replaying = false;
+      this._schedule();
+      this.emit('change', this.status);
+    }
+
+    if (this.entries.length === 0 && replayed > 0) {
+      this.emit('drained');
+    }
+
+    return { replayed, remaining: this.entries.length };
+  }
+
+  /**
+   * Apply the conflict handler's resolution to a failed entry
+   * @private
+   * @returns {Promise<boolean>} True if replay should continue
+   */
+  async _resolveConflict(error, entry) {
+    this.emit('conflict', error, entry);
+    const resolution = this.onConflict ? await this.onConflict(error, entry) : 'discard';
+
+    if (resolution === 'keep') {
+      await this._save();
+      return false;
+    }
+
+    if (resolution && typeof resolution === 'object') {
+      entry.request = { ...entry.request, ...(resolution.body !== undefined ? { body: resolution.body } : resolution.request) };
+      await this._save();
+      return true;
+    }
+
+    this.entries.shift();
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Check whether a failed write should be queued
+   * Writes cancelled by their caller's signal are never queued, and timeouts are only queued
+   * for idempotent writes, since the server may have applied them
+   * @private
+   */
+  _shouldQueue(error, request, options) {
+    if (!(error instanceof NetworkError) || this._isAborted(options)) {
+      return false;
+    }
+    if (error instanceof TimeoutError) {
+      return options.idempotent !== undefined ? !!options.idempotent : !!request.idempotent;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether the caller cancelled a write with its signal
+   * @private
+   */
+  _isAborted(options) {
+    return !!(options && options.signal && options.signal.aborted);
+  }
+
+  /**
+   * Check connectivity (always true outside browsers)
+   * @private
+   */
+  _isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Start or stop the periodic replay timer
+   * @private
+   */
+  _schedule() {
+    if (!this.retryInterval || this.replaying || this.closed) {
+      return;
+    }
+
+    if (this.entries.length === 0) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    } else if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this.replay();
+      }, this.retryInterval);
+    }
+  }
+
+  /**
+   * Load entries from the store
+   * @private
+   */
+  async _load() {
+    try {
+      this.entries = (await this.store.load()).concat(this.entries);
+    } catch (error) {
+      this._reportError(error);
+    }
+    this._schedule();
+
+    if (this.autoReplay && !this.closed && this.entries.length > 0 && this._isOnline()) {
+      this.replay();
+    }
+  }
+
+  /**
+   * Save entries to the store
+   * @private
+   */
+  async _save() {
+    try {
+      await this.store.save(this.entries);
+    } catch (error) {
+      this._reportError(error);
+    }
+    this.emit('change', this.status);
+  }
+
+  /**
+   * Report a store failure; the queue keeps working in memory
+   * @private
+   */
+  _reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
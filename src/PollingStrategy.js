@@ -0,0 +1,87 @@
+/**
+ * PollingStrategy class refreshing a live query on an interval
+ * Polling slows down while the tab is hidden or requests fail, and resumes immediately when the tab is shown
+ *
+ * A strategy is any object with `start(liveQuery)` and `stop()`; it calls `liveQuery.refresh()`
+ * to re-run the query or `liveQuery.apply(records)` to push a new result set
+ */
+export class PollingStrategy {
+  /**
+   * @param {Object} [options={}] - Polling options
+   * @param {number} [options.interval=5000] - Delay between refreshes in milliseconds
+   * @param {number} [options.backoff=2] - Factor applied to the delay while hidden or failing
+   * @param {number} [options.maxInterval=60000] - Longest delay in milliseconds
+   */
+  constructor(options = {}) {
+    this.interval = options.interval || 5000;
+    this.backoff = options.backoff || 2;
+    this.maxInterval = Math.max(options.maxInterval || 60000, this.interval);
+    this.delay = this.interval;
+    this._liveQuery = null;
+    this._timer = null;
+    this._onVisibilityChange = null;
+  }
+
+  /**
+   * Start polling
+   * @param {LiveQuery} liveQuery - Live query to refresh
+   */
+  start(liveQuery) {
+    this.stop();
+    this._liveQuery = liveQuery;
+    this.delay = this.interval;
+
+    if (typeof document !== 'undefined' && document.addEventListener) {
+      this._onVisibilityChange = () => {
+        if (!document.hidden) {
+          this.delay = this.interval;
+          this._tick();
+        }
+      };
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+
+    this._tick();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._liveQuery = null;
+
+    if (this._onVisibilityChange) {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      this._onVisibilityChange = null;
+    }
+  }
+
+  /**
+   * Refresh once and schedule the next refresh
+   * @private
+   */
+  async _tick() {
+    const liveQuery = this._liveQuery;
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    let failed = false;
+    try {
+      await liveQuery.refresh();
+    } catch (error) {
+      failed = true;
+    }
+
+    if (this._liveQuery !== liveQuery || this._timer) {
+      return;
+    }
+
+    const hidden = typeof document !== 'undefined' && document.hidden;
+    this.delay = hidden || failed
+      ? Math.min(this.delay * this.backoff, this.maxInterval)
+      : this.interval;
+    this._timer = setTimeout(() => this._tick(), this.delay);
+  }
+}
@@ -1,33 +1,66 @@
+import { LiveQuery } from './LiveQuery.js';
+import { matches, applyQuery, includeFields, unselectedFields } from './filters.js';
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor', '$not'];
+
 /**
  * QueryBuilder class for building database queries
  * Provides a fluent interface for constructing complex database queries
  */
 export class QueryBuilder {
-  constructor(collectionName, apiClient) {
+  /**
+   * @param {string} collectionName - Name of the collection
+   * @param {DBConnection} apiClient - Connection used for requests
+   * @param {DBModel|null} [model=null] - Model whose schema casts the results
+   */
+  constructor(collectionName, apiClient, model = null) {
     this.collectionName = collectionName;
     this.apiClient = apiClient;
+    this.model = model;
     this.filters = {};
     this.sortOptions = {};
     this.limitValue = null;
     this.skipValue = 0;
     this.selectFields = null;
     this.populateFields = [];
+    this.populatePaths = [];
+    this.requestOptions = {};
+    this.leanValue = null;
+
+    if (model) {
+      Object.keys(model.queryHelpers).forEach(name => {
+        this[name] = model.queryHelpers[name];
+      });
+    }
   }
 
   /**
    * Add a filter condition
-   * @param {string} field - Field name
-   * @param {string|*} operator - Operator or value (if only 2 args)
+   * Conditions on the same field are merged, so `.gte('age', 18).lte('age', 65)` keeps both
+   * @param {string|Object} field - Field name, or a filter object (may contain `$and`, `$or`, `$nor`, `$not`)
+   * @param {string|*} operator - Operator or value (if only 2 args); an operator object ({ $gt: 1 }) is merged as is
    * @param {*} value - Value (if 3 args)
    * @returns {QueryBuilder} This instance for chaining
    */
   where(field, operator, value) {
-    if (arguments.length === 2) {
-      // where(field, value) - equals
-      this.filters[field] = { '$eq': operator };
+    if (arguments.length === 1 && field && typeof field === 'object') {
+      Object.keys(field).forEach(key => {
+        if (LOGICAL_OPERATORS.includes(key)) {
+          this._addLogical(key, field[key]);
+        } else {
+          this.where(key, field[key]);
+        }
+      });
+    } else if (arguments.length === 2) {
+      if (this._isOperatorObject(operator)) {
+        Object.keys(operator).forEach(key => this._addCondition(field, key, operator[key]));
+      } else {
+        // where(field, value) - equals
+        this._addCondition(field, '$eq', operator);
+      }
     } else {
       // where(field, operator, value)
-      this.filters[field] = { [operator]: value };
+      this._addCondition(field, operator, value);
     }
     return this;
   }
@@ -39,7 +72,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   eq(field, value) {
-    this.filters[field] = { '$eq': value };
+    this._addCondition(field, '$eq', value);
     return this;
   }
 
@@ -50,7 +83,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   gt(field, value) {
-    this.filters[field] = { '$gt': value };
+    this._addCondition(field, '$gt', value);
     return this;
   }
 
@@ -61,7 +94,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   gte(field, value) {
-    this.filters[field] = { '$gte': value };
+    this._addCondition(field, '$gte', value);
     return this;
   }
 
@@ -72,7 +105,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   lt(field, value) {
-    this.filters[field] = { '$lt': value };
+    this._addCondition(field, '$lt', value);
     return this;
   }
 
@@ -83,7 +116,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   lte(field, value) {
-    this.filters[field] = { '$lte': value };
+    this._addCondition(field, '$lte', value);
     return this;
   }
 
@@ -94,7 +127,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   in(field, values) {
-    this.filters[field] = { '$in': values };
+    this._addCondition(field, '$in', values);
     return this;
   }
 
@@ -105,7 +138,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   nin(field, values) {
-    this.filters[field] = { '$nin': values };
+    this._addCondition(field, '$nin', values);
     return this;
   }
 
@@ -116,7 +149,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   ne(field, value) {
-    this.filters[field] = { '$ne': value };
+    this._addCondition(field, '$ne', value);
     return this;
   }
 
@@ -128,7 +161,7 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   between(field, value1, value2) {
-    this.filters[field] = { '$between': [value1, value2] };
+    this._addCondition(field, '$between', [value1, value2]);
     return this;
   }
 
@@ -139,10 +172,46 @@ export class QueryBuilder {
    * @returns {QueryBuilder} This instance for chaining
    */
   like(field, pattern) {
-    this.filters[field] = { '$like': pattern };
+    this._addCondition(field, '$like', pattern);
     return this;
   }
 
+  /**
+   * Require at least one of several conditions to match
+   * @param {...(QueryBuilder|Object|Function)} conditions - Sub-builders, filter objects, or functions receiving a fresh builder (an array is also accepted)
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  or(...conditions) {
+    return this._addLogical('$or', conditions);
+  }
+
+  /**
+   * Require all of several conditions to match
+   * @param {...(QueryBuilder|Object|Function)} conditions - Sub-builders, filter objects, or functions receiving a fresh builder (an array is also accepted)
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  and(...conditions) {
+    return this._addLogical('$and', conditions);
+  }
+
+  /**
+   * Require none of several conditions to match
+   * @param {...(QueryBuilder|Object|Function)} conditions - Sub-builders, filter objects, or functions receiving a fresh builder (an array is also accepted)
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  nor(...conditions) {
+    return this._addLogical('$nor', conditions);
+  }
+
+  /**
+   * Require a condition not to match
+   * @param {QueryBuilder|Object|Function} condition - Sub-builder, filter object, or function receiving a fresh builder
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  not(condition) {
+    return this._addLogical('$not', condition);
+  }
+
   /**
    * Set sort options
    * @param {Object} sortObj - Sort object {field: 1|-1}
@@ -185,7 +254,13 @@ export class QueryBuilder {
 
   /**
    * Add populate configuration
-   * @param {Object} config - Populate configuration
+   * Pass the name of a relation declared on the model (or `{ path, select, match, sort, populate }`,
+   * or an array of them) to populate it: single-level `hasMany` relations are populated by the server,
+   * `belongsTo` / `manyToMany` relations and nested populates are resolved with batched `$in` queries
+   * @param {string|Object|Array} config - Relation name(s), populate options, or a populate configuration
+   * @param {string} config.path - Relation name
+   * @param {Object} [config.match] - Filters on the populated documents
+   * @param {string|Object|Array} [config.populate] - Populates of the populated documents
    * @param {string} config.field - Field to populate
    * @param {string} config.table - Table to populate from
    * @param {string} config.referenceField - Reference field
@@ -196,18 +271,29 @@ export class QueryBuilder {
    * @param {number} [config.skip=0] - Skip
    * @param {boolean} [config.justOne=false] - Return single record
    * @returns {QueryBuilder} This instance for chaining
+   * @throws {Error} If a relation is used without a model, or is not declared on it
    */
-  populate({
-    field,
-    table,
-    referenceField, 
-    select = "", 
-    where = "", 
-    sort = "", 
-    limit = null, 
-    skip = 0,
-    justOne = false
-  }) {
+  populate(config) {
+    if (Array.isArray(config)) {
+      config.forEach(item => this.populate(item));
+      return this;
+    }
+    if (typeof config === 'string' || (config && config.path !== undefined)) {
+      return this._populateRelation(toPopulateSpec(config));
+    }
+
+    const {
+      field,
+      table,
+      referenceField,
+      select = "",
+      where = "",
+      sort = "",
+      limit = null,
+      skip = 0,
+      justOne = false
+    } = config;
+
     this.populateFields = this.populateFields.concat([{ 
       field, 
       table, 
@@ -222,21 +308,400 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Set request options used when the query is executed
+   * @param {Object} options - Request options
+   * @param {Object|number|boolean} [options.retry] - Retry policy overrides
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number|Object|boolean} [options.cache] - TTL in seconds, cache options, or false to bypass the cache
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  setOptions(options) {
+    this.requestOptions = { ...this.requestOptions, ...options };
+    return this;
+  }
+
+  /**
+   * Return plain objects instead of Document instances
+   * @param {boolean} [value=true] - False to return documents even if the model does not by default
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  lean(value = true) {
+    this.leanValue = !!value;
+    return this;
+  }
+
+  /**
+   * Cache the results of this query (requires a cache on the connection)
+   * @param {number} [ttl] - Time to live in seconds (defaults to the model's or connection's TTL)
+   * @param {Object} [options={}] - Cache options
+   * @param {boolean} [options.staleWhileRevalidate] - Serve expired results while refreshing them
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  cache(ttl, options = {}) {
+    return this.setOptions({ cache: ttl === undefined ? { ...options } : { ...options, ttl } });
+  }
+
   /**
    * Execute the query
    * @returns {Promise<Array>} Query results
    */
   async exec() {
-    const queryParams = {
+    return await this._run(this._getQueryParams());
+  }
+
+  /**
+   * Iterate over every matching document, fetching them in batches
+   * Respects the builder's filters, sort, select, skip and limit; add a sort for stable paging
+   * @param {Object} [options={}] - Cursor options
+   * @param {number} [options.batchSize=100] - Number of documents fetched per request
+   * @returns {AsyncGenerator<Object>} Async iterator of documents
+   */
+  async *cursor(options = {}) {
+    for await (const batch of this._batches(options.batchSize)) {
+      yield* batch;
+    }
+  }
+
+  /**
+   * Call a function for each batch of matching documents
+   * @param {Function} fn - Called with (batch, batchIndex); may be async
+   * @param {Object} [options={}] - Batch options
+   * @param {number} [options.batchSize=100] - Number of documents fetched per request
+   * @returns {Promise<number>} Number of documents processed
+   */
+  async eachBatch(fn, options = {}) {
+    let index = 0;
+    let processed = 0;
+
+    for await (const batch of this._batches(options.batchSize)) {
+      await fn(batch, index++);
+      processed += batch.length;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Fetch one page of results together with the total count
+   * The page query and the count run in parallel, inside one run of the find hooks so that both use
+   * the same filters (count hooks do not run); the builder's own skip/limit are ignored
+   * @param {Object} [options={}] - Pagination options
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.perPage=20] - Documents per page
+   * @returns {Promise<Object>} { items, total, page, perPage, pages, hasNext }
+   */
+  async paginate(options = {}) {
+    const page = Math.max(1, Math.floor(options.page || 1));
+    const perPage = Math.max(1, Math.floor(options.perPage || 20));
+    const params = this._getQueryParams();
+
+    const { items, total } = await this._fetch({ ...params, skip: (page - 1) * perPage, limit: perPage }, this.requestOptions, true);
+
+    const pages = Math.ceil(total / perPage);
+    return { items, total, page, perPage, pages, hasNext: page < pages };
+  }
+
+  /**
+   * Check whether a local document matches the query's filters
+   * Uses the same operator semantics as the server
+   * @param {Object} doc - Document
+   * @returns {boolean} True if the document matches
+   * @throws {ValidationError} If the filters use an unknown operator
+   */
+  test(doc) {
+    return matches(doc, this.filters);
+  }
+
+  /**
+   * Run the query against a local array
+   * Applies filters, sort, skip, limit and select (populate is ignored)
+   * @param {Array<Object>} docs - Documents
+   * @returns {Array<Object>} Matching documents
+   * @throws {ValidationError} If the filters use an unknown operator
+   */
+  applyTo(docs) {
+    return applyQuery(docs, this._getQueryParams());
+  }
+
+  /**
+   * Keep the results of this query in sync
+   * The query is re-run periodically (or by a custom strategy) and diffed by `id`
+   * @param {Object} [options={}] - Live query options
+   * @param {number} [options.interval=5000] - Polling interval in milliseconds
+   * @param {number} [options.backoff=2] - Factor applied to the interval while the tab is hidden or requests fail
+   * @param {number} [options.maxInterval=60000] - Longest polling interval in milliseconds
+   * @param {Object} [options.strategy] - Strategy replacing polling (see PollingStrategy)
+   * @returns {LiveQuery} Live query; call subscribe() or start() to begin
+   */
+  live(options = {}) {
+    return new LiveQuery(this, options);
+  }
+
+  /**
+   * Copy the query, so a base query can be extended without changing it
+   * Request options are copied shallowly (a `signal` is shared)
+   * @returns {QueryBuilder} New query builder
+   */
+  clone() {
+    const copy = new QueryBuilder(this.collectionName, this.apiClient, this.model);
+
+    copy.filters = copyValue(this.filters);
+    copy.sortOptions = copyValue(this.sortOptions);
+    copy.limitValue = this.limitValue;
+    copy.skipValue = this.skipValue;
+    copy.selectFields = copyValue(this.selectFields);
+    copy.populateFields = copyValue(this.populateFields);
+    copy.populatePaths = copyValue(this.populatePaths);
+    copy.requestOptions = { ...this.requestOptions };
+    copy.leanValue = this.leanValue;
+    return copy;
+  }
+
+  /**
+   * Describe the query as plain data
+   * Shows the builder state; `find` hooks may still change the filters when the query runs
+   * @returns {Object} { collection, filters, sort, limit, skip, select, populate }
+   */
+  toJSON() {
+    return { collection: this.collectionName, ...copyValue(this._getQueryParams()) };
+  }
+
+  /**
+   * Get the URL of the request the connection would send for this query
+   * @returns {string} Request URL
+   */
+  toURL() {
+    const params = this.apiClient._buildQueryParams(this._getQueryParams());
+    return this.apiClient._url(`/collections/${this.collectionName}/records`, params);
+  }
+
+  /**
+   * Build query parameters from the builder state
+   * @private
+   * @returns {Object} Query parameters
+   */
+  _getQueryParams() {
+    const localFields = this._populateKeys();
+    return {
       filters: this.filters,
       sort: this.sortOptions,
       limit: this.limitValue,
       skip: this.skipValue,
-      select: this.selectFields,
+      select: localFields.length > 0 ? includeFields(this.selectFields, localFields) : this.selectFields,
       populate: this.populateFields
     };
+  }
+
+  /**
+   * Local fields of the client-side populated relations, added to the select so they can be resolved
+   * @private
+   * @returns {Array<string>} Field names
+   */
+  _populateKeys() {
+    return this.populatePaths.map(spec => this.model._relation(spec.path).localField);
+  }
+
+  /**
+   * Populate a relation declared on the model
+   * @private
+   * @param {Object} spec - Populate spec ({ path, select, match, sort, populate })
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  _populateRelation(spec) {
+    if (!this.model) {
+      throw new Error(`Cannot populate "${spec.path}": relations need a query created from a model`);
+    }
+
+    const relation = this.model._relation(spec.path);
+    if (relation.type !== 'hasMany' || spec.populate.length > 0) {
+      this.populatePaths = this.populatePaths.concat([spec]);
+      return this;
+    }
+
+    this.populateFields = this.populateFields.concat([{
+      field: relation.name,
+      table: relation.collection,
+      referenceField: relation.foreignKey,
+      select: [].concat(spec.select || []).join(' '),
+      where: spec.match || "",
+      sort: spec.sort || "",
+      limit: null,
+      skip: 0,
+      justOne: false
+    }]);
+    return this;
+  }
+
+  /**
+   * Run a query, wrapped in the model's find hooks
+   * @private
+   * @param {Object} queryParams - Query parameters
+   * @param {Object} [requestOptions] - Request options (defaults to the builder's)
+   * @returns {Promise<Array>} Query results
+   */
+  async _run(queryParams, requestOptions = this.requestOptions) {
+    const { items } = await this._fetch(queryParams, requestOptions, false);
+    return items;
+  }
+
+  /**
+   * Run a query, and optionally count all its matches, wrapped in the model's find hooks
+   * @private
+   * @param {Object} queryParams - Query parameters
+   * @param {Object} requestOptions - Request options
+   * @param {boolean} withCount - Also count the documents matching the filters
+   * @returns {Promise<Object>} { items, total } (total is undefined without withCount)
+   */
+  async _fetch(queryParams, requestOptions, withCount) {
+    const count = async (filters, options) => {
+      return withCount ? (await this.apiClient.count(this.collectionName, filters, options)).count : undefined;
+    };
+
+    if (!this.model) {
+      const [items, total] = await Promise.all([
+        this.apiClient.query(this.collectionName, queryParams, requestOptions),
+        count(queryParams.filters, requestOptions)
+      ]);
+      return { items, total };
+    }
+
+    const options = this.model._readOptions(requestOptions);
+    const context = { operation: 'find', query: this, filters: { ...queryParams.filters }, options };
+    let total;
+    const items = await this.model._withHooks('find', context, async () => {
+      const [records, matched] = await Promise.all([
+        this.apiClient.query(this.collectionName, { ...queryParams, filters: context.filters }, context.options),
+        count(context.filters, context.options)
+      ]);
+      total = matched;
+
+      const results = this.model._cast(records);
+      if (this.populatePaths.length > 0) {
+        await this.model._populate(results, this.populatePaths, context.options);
+        this.model._omitFields(results, unselectedFields(this.selectFields, this._populateKeys()), this.populatePaths);
+      }
+      return this.model._hydrate(results, this.leanValue);
+    });
+    return { items, total };
+  }
+
+  /**
+   * Fetch matching documents in batches
+   * @private
+   * @param {number} [batchSize=100] - Documents per request
+   * @returns {AsyncGenerator<Array>} Async iterator of batches
+   */
+  async *_batches(batchSize = 100) {
+    const params = this._getQueryParams();
+    const size = Math.max(1, Math.floor(batchSize));
+    const start = params.skip || 0;
+    const max = params.limit || Infinity;
+    let fetched = 0;
+
+    while (fetched < max) {
+      const limit = Math.min(size, max - fetched);
+      const batch = await this._run({ ...params, skip: start + fetched, limit });
+
+      if (batch.length > 0) {
+        yield batch;
+      }
+
+      fetched += batch.length;
+      if (batch.length < limit) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Add an operator condition to a field, merging with existing conditions
+   * @private
+   * @param {string} field - Field name
+   * @param {string} operator - Operator (e.g. `$gt`)
+   * @param {*} value - Operand
+   */
+  _addCondition(field, operator, value) {
+    const current = this.filters[field];
+    this.filters[field] = this._isOperatorObject(current)
+      ? { ...current, [operator]: value }
+      : { [operator]: value };
+  }
+
+  /**
+   * Add a logical condition ($and, $or, $nor, $not)
+   * Repeated $or / $nor / $not groups are combined with $and
+   * @private
+   * @param {string} operator - Logical operator
+   * @param {*} conditions - Condition or conditions
+   */
+  _addLogical(operator, conditions) {
+    if (!LOGICAL_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown logical operator "${operator}", expected one of: ${LOGICAL_OPERATORS.join(', ')}`);
+    }
+
+    if (operator === '$not') {
+      return this._appendLogical('$not', this._toFilters(conditions));
+    }
+
+    const list = [].concat(...[].concat(conditions)).map(condition => this._toFilters(condition));
+    if (list.length === 0) {
+      return this;
+    }
+
+    if (operator === '$and') {
+      this.filters.$and = (this.filters.$and || []).concat(list);
+      return this;
+    }
 
-    return await this.apiClient.query(this.collectionName, queryParams);
+    return this._appendLogical(operator, list);
+  }
+
+  /**
+   * Set a logical operator, moving it into $and when it is already present
+   * @private
+   */
+  _appendLogical(operator, value) {
+    if (this.filters[operator] === undefined) {
+      this.filters[operator] = value;
+    } else {
+      this.filters.$and = (this.filters.$and || []).concat([{ [operator]: value }]);
+    }
+    return this;
+  }
+
+  /**
+   * Convert a sub-builder, filter object or builder function to normalized filters
+   * @private
+   * @param {QueryBuilder|Object|Function} condition - Condition
+   * @returns {Object} Filters
+   */
+  _toFilters(condition) {
+    if (condition instanceof QueryBuilder) {
+      return condition.filters;
+    }
+
+    const builder = new QueryBuilder(this.collectionName, this.apiClient);
+
+    if (typeof condition === 'function') {
+      condition(builder);
+    } else if (condition && typeof condition === 'object') {
+      builder.where(condition);
+    } else {
+      throw new TypeError('Logical conditions must be query builders, filter objects or functions');
+    }
+
+    return builder.filters;
+  }
+
+  /**
+   * Check whether a value is an operator object ({ $gt: 1 })
+   * @private
+   */
+  _isOperatorObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
   }
 
   /**
@@ -249,3 +714,41 @@ export class QueryBuilder {
     return this.exec().then(resolve, reject);
   }
 }
+
+/**
+ * Normalize a populate argument to { path, select, match, sort, populate }
+ * @private
+ * @param {string|Object} config - Relation name or populate options
+ * @returns {Object} Populate spec
+ */
+function toPopulateSpec(config) {
+  const options = typeof config === 'string' ? { path: config } : config;
+  if (typeof options.path !== 'string' || !options.path) {
+    throw new TypeError('populate() needs a relation name');
+  }
+
+  return {
+    path: options.path,
+    select: options.select || null,
+    match: options.match || null,
+    sort: options.sort || null,
+    populate: [].concat(options.populate || []).map(toPopulateSpec)
+  };
+}
+
+/**
+ * Deep copy query state (dates and regular expressions are kept)
+ * @private
+ */
+function copyValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(copyValue);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof RegExp)) {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = copyValue(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
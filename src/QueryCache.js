@@ -0,0 +1,161 @@
+import { MemoryCacheStore } from './MemoryCacheStore.js';
+
+/**
+ * QueryCache class caching read results with a TTL
+ * Entries are grouped by collection so writes can invalidate them; a result loaded while its
+ * collection was invalidated is returned but not stored, as it may predate the write
+ */
+export class QueryCache {
+  /**
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.ttl=60] - Default time to live in seconds
+   * @param {boolean} [options.staleWhileRevalidate=false] - Serve expired entries while refreshing them in the background
+   * @param {Object} [options.store] - Store with get/set/delete/keys (defaults to MemoryCacheStore)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : 60;
+    this.staleWhileRevalidate = !!options.staleWhileRevalidate;
+    this.store = options.store || new MemoryCacheStore();
+    this._revalidating = new Map();
+    this._generations = new Map();
+    this._epoch = 0;
+  }
+
+  /**
+   * Build a cache key
+   * @param {string} scope - Connection scope (e.g. base URL)
+   * @param {string} collection - Collection name
+   * @param {string} operation - Operation name
+   * @param {Object} params - Serialized query parameters
+   * @param {Object} [identity={}] - Who the results were read for
+   * @param {string} [identity.site] - Site ID
+   * @param {string|null} [identity.token] - Auth token (only a hash of it is part of the key)
+   * @returns {string} Cache key
+   */
+  key(scope, collection, operation, params, identity = {}) {
+    const site = identity.site || '';
+    const token = identity.token ? this._hash(String(identity.token)) : '';
+    return `${this._prefix(scope, collection)}${operation}::${site}::${token}::${JSON.stringify(params || {})}`;
+  }
+
+  /**
+   * Get a cached value or load and cache it
+   * @param {string} key - Cache key
+   * @param {Object} [options={}] - Per-call options
+   * @param {number} [options.ttl] - Time to live in seconds
+   * @param {boolean} [options.staleWhileRevalidate] - Serve stale entries while refreshing
+   * @param {Function} load - Loads the value when it is missing or expired
+   * @returns {Promise<*>} Value
+   */
+  async wrap(key, options, load) {
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+    const swr = options.staleWhileRevalidate !== undefined ? options.staleWhileRevalidate : this.staleWhileRevalidate;
+    const entry = await this.store.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      return this._clone(entry.value);
+    }
+
+    if (entry && swr) {
+      this._revalidate(key, ttl, load);
+      return this._clone(entry.value);
+    }
+
+    return await this._refresh(key, ttl, load);
+  }
+
+  /**
+   * Remove every entry of a collection (or of a whole scope)
+   * @param {string} scope - Connection scope
+   * @param {string} [collection] - Collection name
+   * @returns {Promise<void>}
+   */
+  async invalidate(scope, collection) {
+    const prefix = collection ? this._prefix(scope, collection) : `${scope}::`;
+    this._generations.set(prefix, (this._generations.get(prefix) || 0) + 1);
+    const keys = await this.store.keys();
+
+    await Promise.all(keys.filter(key => key.startsWith(prefix)).map(key => this.store.delete(key)));
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._epoch++;
+    const keys = await this.store.keys();
+    await Promise.all(keys.map(key => this.store.delete(key)));
+  }
+
+  /**
+   * Load a value and store it
+   * @private
+   */
+  async _refresh(key, ttl, load) {
+    const generation = this._generation(key);
+    const value = await load();
+    if (this._generation(key) === generation) {
+      await this.store.set(key, { value: this._clone(value), expiresAt: Date.now() + ttl * 1000 });
+    }
+    return value;
+  }
+
+  /**
+   * Number of invalidations that covered a key, used to detect invalidations during a load
+   * @private
+   */
+  _generation(key) {
+    let generation = this._epoch;
+    this._generations.forEach((count, prefix) => {
+      if (key.startsWith(prefix)) {
+        generation += count;
+      }
+    });
+    return generation;
+  }
+
+  /**
+   * Refresh an entry in the background, once per key at a time
+   * @private
+   */
+  _revalidate(key, ttl, load) {
+    if (this._revalidating.has(key)) {
+      return;
+    }
+
+    const pending = this._refresh(key, ttl, load)
+      .catch(() => {})
+      .then(() => this._revalidating.delete(key));
+    this._revalidating.set(key, pending);
+  }
+
+  /**
+   * Key prefix of a collection
+   * @private
+   */
+  _prefix(scope, collection) {
+    return `${scope}::${collection}::`;
+  }
+
+  /**
+   * Hash a string (FNV-1a), so that tokens are not written to the store
+   * @private
+   */
+  _hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Copy JSON data so callers cannot mutate cached values
+   * @private
+   */
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
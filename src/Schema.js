@@ -0,0 +1,337 @@
+import { ValidationError } from './errors.js';
+
+const TYPE_ALIASES = new Map([
+  [String, 'string'],
+  [Number, 'number'],
+  [Boolean, 'boolean'],
+  [Date, 'date'],
+  [Array, 'array'],
+  [Object, 'object']
+]);
+
+const TYPES = ['string', 'number', 'boolean', 'date', 'array', 'object', 'reference', 'mixed'];
+
+/**
+ * Schema class describing the fields of a collection
+ * Validates and casts data before it is sent and casts query results on the way out
+ */
+export class Schema {
+  /**
+   * @param {Object} definition - Field definitions keyed by field name
+   * @param {Object} [options={}] - Schema options
+   * @param {boolean} [options.strict=true] - Reject fields that are not declared in the schema
+   */
+  constructor(definition = {}, options = {}) {
+    this.fields = {};
+    this.options = { strict: true, ...options };
+
+    Object.keys(definition).forEach(name => {
+      this.fields[name] = this._normalizeField(name, definition[name]);
+    });
+  }
+
+  /**
+   * Validate and cast data
+   * @param {Object} data - Raw data
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate provided fields (for updates): skip required checks and defaults
+   * @returns {Promise<Object>} Cast data
+   * @throws {ValidationError} Lists every failing field in `errors`
+   */
+  async validate(data, options = {}) {
+    const { value, errors } = await this._check(data, options);
+
+    if (errors.length > 0) {
+      throw new ValidationError(this._formatMessage(errors), { errors });
+    }
+
+    return value;
+  }
+
+  /**
+   * Validate and cast several records, collecting errors from all of them
+   * Error paths are prefixed with the record index (e.g. `2.email`)
+   * @param {Array<Object>} dataArray - Raw records
+   * @param {Object} [options={}] - Validation options (see validate)
+   * @returns {Promise<Array<Object>>} Cast records
+   * @throws {ValidationError} Lists every failing field in `errors`
+   */
+  async validateMany(dataArray, options = {}) {
+    const values = [];
+    const errors = [];
+
+    for (let index = 0; index < dataArray.length; index++) {
+      const result = await this._check(dataArray[index], options);
+      values.push(result.value);
+      result.errors.forEach(error => errors.push({ ...error, path: `${index}.${error.path}` }));
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(this._formatMessage(errors), { errors });
+    }
+
+    return values;
+  }
+
+  /**
+   * Cast a record returned by the server (e.g. ISO strings to Date)
+   * Values that cannot be cast are left unchanged
+   * @param {Object} record - Raw record
+   * @returns {Object} Cast record
+   */
+  cast(record) {
+    if (!record || typeof record !== 'object') {
+      return record;
+    }
+
+    const result = { ...record };
+    Object.keys(this.fields).forEach(name => {
+      if (result[name] === undefined || result[name] === null) {
+        return;
+      }
+      try {
+        result[name] = this._castValue(this.fields[name], result[name]);
+      } catch (error) {
+        // keep the raw value
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Get the definition of a field
+   * @param {string} name - Field name
+   * @returns {Object|null} Normalized field definition
+   */
+  path(name) {
+    return this.fields[name] || null;
+  }
+
+  /**
+   * Add (or replace) field definitions
+   * @param {Object} definition - Field definitions keyed by field name
+   * @returns {Schema} This instance for chaining
+   */
+  add(definition) {
+    Object.keys(definition).forEach(name => {
+      this.fields[name] = this._normalizeField(name, definition[name]);
+    });
+    return this;
+  }
+
+  /**
+   * Validate and cast data, returning errors instead of throwing
+   * @private
+   */
+  async _check(data, { partial = false } = {}) {
+    const value = {};
+    const errors = [];
+    const input = data || {};
+
+    for (const key of Object.keys(input)) {
+      if (!this.fields[key] && key !== 'id') {
+        if (this.options.strict) {
+          errors.push({ path: key, kind: 'strict', value: input[key], message: `Field "${key}" is not defined in the schema` });
+        } else {
+          value[key] = input[key];
+        }
+      }
+    }
+
+    if (input.id !== undefined) {
+      value.id = input.id;
+    }
+
+    for (const name of Object.keys(this.fields)) {
+      const field = this.fields[name];
+      let fieldValue = input[name];
+
+      if (fieldValue === undefined && !partial && field.default !== undefined) {
+        fieldValue = typeof field.default === 'function' ? field.default() : field.default;
+      }
+
+      if (fieldValue === undefined && partial) {
+        continue;
+      }
+
+      const error = await this._checkField(field, fieldValue);
+      if (error) {
+        errors.push(error);
+      } else if (fieldValue !== undefined) {
+        value[name] = this._isUnset(field, fieldValue) ? null : this._castValue(field, fieldValue);
+      }
+    }
+
+    return { value, errors };
+  }
+
+  /**
+   * Validate a single field value
+   * @private
+   * @returns {Promise<Object|null>} Error entry or null
+   */
+  async _checkField(field, rawValue) {
+    const fail = (kind, message) => ({ path: field.name, kind, value: rawValue, message });
+
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+      return field.required ? fail('required', `${field.name} is required`) : null;
+    }
+
+    let value;
+    try {
+      value = this._castValue(field, rawValue);
+    } catch (error) {
+      return fail('type', error.message);
+    }
+
+    if (field.enum && !field.enum.some(option => option === value)) {
+      return fail('enum', `${field.name} must be one of: ${field.enum.join(', ')}`);
+    }
+
+    const measure = this._measure(value);
+    if (field.min !== undefined && measure < this._measure(field.min)) {
+      return fail('min', `${field.name} must be at least ${this._describeBound(field.min, value)}`);
+    }
+    if (field.max !== undefined && measure > this._measure(field.max)) {
+      return fail('max', `${field.name} must be at most ${this._describeBound(field.max, value)}`);
+    }
+
+    if (field.match && !field.match.test(String(value))) {
+      return fail('match', `${field.name} does not match ${field.match}`);
+    }
+
+    for (const validator of field.validators) {
+      const result = await validator.validator(value);
+      if (result === false || typeof result === 'string') {
+        return fail('validator', typeof result === 'string' ? result : (validator.message || `${field.name} is invalid`));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a value leaves a field unset: null, or an empty string (e.g. an empty form
+   * input or CSV cell) on a field that is not a string, which is stored as null
+   * @private
+   */
+  _isUnset(field, value) {
+    return value === null || (value === '' && field.type !== 'string' && field.type !== 'mixed');
+  }
+
+  /**
+   * Cast a value to a field's type
+   * @private
+   * @throws {ValidationError} If the value cannot be cast
+   */
+  _castValue(field, value) {
+    const invalid = () => {
+      const message = `${field.name} must be of type ${field.type}`;
+      return new ValidationError(message, { errors: [{ path: field.name, kind: 'type', value, message }] });
+    };
+
+    switch (field.type) {
+      case 'string':
+        if (typeof value === 'string') return value;
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        if (value instanceof Date) return value.toISOString();
+        throw invalid();
+      case 'number': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number === 'number' && Number.isFinite(number)) return number;
+        throw invalid();
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 1 || value === '1') return true;
+        if (value === 'false' || value === 0 || value === '0') return false;
+        throw invalid();
+      case 'date': {
+        const date = value instanceof Date ? value : (typeof value === 'string' || typeof value === 'number' ? new Date(value) : null);
+        if (date && !Number.isNaN(date.getTime())) return date;
+        throw invalid();
+      }
+      case 'array':
+        if (!Array.isArray(value)) throw invalid();
+        return field.of ? value.map(item => this._castValue({ ...field.of, name: field.name }, item)) : value;
+      case 'object':
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) return value;
+        throw invalid();
+      case 'reference':
+        if (typeof value === 'string' || typeof value === 'number') return String(value);
+        if (value && typeof value === 'object' && value.id !== undefined) return String(value.id);
+        throw invalid();
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Get the comparable size of a value for min/max checks
+   * @private
+   */
+  _measure(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    return value;
+  }
+
+  /**
+   * Describe a min/max bound in an error message
+   * @private
+   */
+  _describeBound(bound, value) {
+    if (typeof value === 'string') return `${bound} characters`;
+    if (Array.isArray(value)) return `${bound} items`;
+    return bound instanceof Date ? bound.toISOString() : bound;
+  }
+
+  /**
+   * Build a ValidationError message from errors
+   * @private
+   */
+  _formatMessage(errors) {
+    return `Validation failed: ${errors.map(error => `${error.path}: ${error.message}`).join(', ')}`;
+  }
+
+  /**
+   * Normalize a field definition
+   * @private
+   */
+  _normalizeField(name, definition) {
+    const field = this._isShorthand(definition) ? { type: definition } : { ...definition };
+
+    if (Array.isArray(field.type)) {
+      field.of = field.type.length > 0 ? this._normalizeField(name, field.type[0]) : undefined;
+      field.type = 'array';
+    } else if (field.of !== undefined) {
+      field.of = this._normalizeField(name, field.of);
+    }
+
+    field.name = name;
+    field.type = TYPE_ALIASES.get(field.type) || field.type || 'mixed';
+
+    if (!TYPES.includes(field.type)) {
+      throw new Error(`Unknown schema type "${field.type}" for field "${name}"`);
+    }
+
+    if (field.match && !(field.match instanceof RegExp)) {
+      field.match = new RegExp(field.match);
+    }
+
+    field.validators = [].concat(field.validate || []).map(validator => {
+      return typeof validator === 'function' ? { validator } : validator;
+    });
+    delete field.validate;
+
+    return field;
+  }
+
+  /**
+   * Check whether a definition is a bare type (`'string'`, `Number`, `[String]`)
+   * @private
+   */
+  _isShorthand(definition) {
+    return typeof definition === 'string' || typeof definition === 'function' || Array.isArray(definition);
+  }
+}
@@ -0,0 +1,314 @@
+import { matches, sortRecords, getPath } from './filters.js';
+
+/**
+ * Supported aggregation stages
+ */
+export const AGGREGATION_STAGES = ['$match', '$group', '$sort', '$project', '$limit', '$skip', '$unwind', '$lookup'];
+
+/**
+ * Supported $group accumulators
+ */
+export const GROUP_ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$count', '$push'];
+
+/**
+ * Validate a pipeline and split it into the part sent as a query and the stages run client-side
+ * Leading `$match` stages, then one `$sort`, `$skip` and `$limit` (in that order) become the query
+ * @param {Array<Object>} pipeline - Aggregation pipeline
+ * @returns {Object} { query: { filters, sort, skip, limit }, stages }
+ * @throws {Error} If a stage is malformed or unsupported
+ */
+export function splitPipeline(pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new TypeError('aggregate expects an array of stages');
+  }
+
+  pipeline.forEach((stage, index) => {
+    const keys = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+    if (keys.length !== 1 || !AGGREGATION_STAGES.includes(keys[0])) {
+      throw new Error(`Invalid aggregation stage at index ${index}, expected one of: ${AGGREGATION_STAGES.join(', ')}`);
+    }
+  });
+
+  const query = { filters: {}, sort: null, skip: 0, limit: null };
+  const matchFilters = [];
+  let i = 0;
+
+  while (i < pipeline.length && pipeline[i].$match) {
+    matchFilters.push(pipeline[i++].$match);
+  }
+  if (i < pipeline.length && pipeline[i].$sort) {
+    query.sort = pipeline[i++].$sort;
+  }
+  if (i < pipeline.length && pipeline[i].$skip !== undefined) {
+    query.skip = toCount('$skip', pipeline[i++].$skip);
+  }
+  if (i < pipeline.length && pipeline[i].$limit !== undefined) {
+    query.limit = toCount('$limit', pipeline[i++].$limit);
+  }
+
+  if (matchFilters.length === 1) {
+    query.filters = matchFilters[0];
+  } else if (matchFilters.length > 1) {
+    query.filters = { $and: matchFilters };
+  }
+
+  return { query, stages: pipeline.slice(i) };
+}
+
+/**
+ * Run aggregation stages over records
+ * @param {Array<Object>} records - Input records
+ * @param {Array<Object>} stages - Stages (see splitPipeline)
+ * @param {Object} context - Stage context
+ * @param {Function} context.lookup - Called with (from, foreignField, values), resolves to matching records
+ * @returns {Promise<Array<Object>>} Output documents
+ */
+export async function runStages(records, stages, context) {
+  let docs = records;
+
+  for (const stage of stages) {
+    const name = Object.keys(stage)[0];
+    docs = await runStage(name, stage[name], docs, context);
+  }
+
+  return docs;
+}
+
+/**
+ * Evaluate an expression against a document
+ * `'$field'` reads a (dotted) path; objects and arrays are evaluated recursively; anything else is a literal
+ * @param {*} expression - Expression
+ * @param {Object} doc - Document
+ * @returns {*} Value
+ */
+export function evaluate(expression, doc) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc));
+  }
+  if (expression && typeof expression === 'object') {
+    const keys = Object.keys(expression);
+    if (keys.some(key => key.startsWith('$'))) {
+      throw new Error(`Expression operators are not supported (${keys.join(', ')})`);
+    }
+    return keys.reduce((acc, key) => {
+      acc[key] = evaluate(expression[key], doc);
+      return acc;
+    }, {});
+  }
+  return expression;
+}
+
+/**
+ * Run one stage
+ * @private
+ */
+async function runStage(name, spec, docs, context) {
+  switch (name) {
+    case '$match':
+      return docs.filter(doc => matches(doc, spec));
+    case '$sort':
+      return sortRecords(docs, spec);
+    case '$skip':
+      return docs.slice(toCount(name, spec));
+    case '$limit':
+      return docs.slice(0, toCount(name, spec));
+    case '$group':
+      return group(spec, docs);
+    case '$project':
+      return docs.map(doc => project(spec, doc));
+    case '$unwind':
+      return unwind(spec, docs);
+    case '$lookup':
+      return await lookup(spec, docs, context);
+    default:
+      throw new Error(`Unsupported aggregation stage "${name}"`);
+  }
+}
+
+/**
+ * $group: group documents by `_id` and compute accumulators
+ * @private
+ */
+function group(spec, docs) {
+  if (!spec || typeof spec !== 'object' || !('_id' in spec)) {
+    throw new Error('$group requires an _id expression');
+  }
+
+  const fields = Object.keys(spec).filter(key => key !== '_id');
+  fields.forEach(field => {
+    const accumulator = spec[field] && typeof spec[field] === 'object' ? Object.keys(spec[field]) : [];
+    if (accumulator.length !== 1 || !GROUP_ACCUMULATORS.includes(accumulator[0])) {
+      throw new Error(`$group field "${field}" must use one of: ${GROUP_ACCUMULATORS.join(', ')}`);
+    }
+  });
+
+  const groups = new Map();
+  docs.forEach(doc => {
+    const id = evaluate(spec._id, doc);
+    const key = JSON.stringify(id === undefined ? null : id);
+    if (!groups.has(key)) {
+      groups.set(key, { id: id === undefined ? null : id, docs: [] });
+    }
+    groups.get(key).docs.push(doc);
+  });
+
+  return Array.from(groups.values()).map(({ id, docs: members }) => {
+    const result = { _id: id };
+    fields.forEach(field => {
+      const operator = Object.keys(spec[field])[0];
+      result[field] = accumulate(operator, spec[field][operator], members);
+    });
+    return result;
+  });
+}
+
+/**
+ * Compute one accumulator over the documents of a group
+ * @private
+ */
+function accumulate(operator, expression, docs) {
+  const values = docs.map(doc => evaluate(expression, doc));
+  const present = values.filter(value => value !== undefined && value !== null);
+  const numbers = values.filter(value => typeof value === 'number');
+
+  switch (operator) {
+    case '$sum':
+      return numbers.reduce((sum, value) => sum + value, 0);
+    case '$avg':
+      return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    case '$min':
+      return present.length > 0 ? present.reduce((min, value) => (value < min ? value : min)) : null;
+    case '$max':
+      return present.length > 0 ? present.reduce((max, value) => (value > max ? value : max)) : null;
+    case '$count':
+      return docs.length;
+    case '$push':
+      return values;
+    default:
+      throw new Error(`Unsupported $group accumulator "${operator}"`);
+  }
+}
+
+/**
+ * $project: include (1), exclude (0) or compute fields
+ * `id` and `_id` are kept unless excluded
+ * @private
+ */
+function project(spec, doc) {
+  const keys = Object.keys(spec);
+  const isExclusion = (value) => value === 0 || value === false;
+  const exclusion = keys.filter(key => key !== 'id' && key !== '_id').every(key => isExclusion(spec[key]));
+
+  if (exclusion) {
+    const result = { ...doc };
+    keys.filter(key => isExclusion(spec[key])).forEach(key => delete result[key]);
+    return result;
+  }
+
+  const result = {};
+  ['id', '_id'].forEach(key => {
+    if (doc[key] !== undefined && !isExclusion(spec[key])) {
+      result[key] = doc[key];
+    }
+  });
+
+  keys.forEach(key => {
+    const value = spec[key];
+    if (isExclusion(value)) {
+      if (key !== 'id' && key !== '_id') {
+        throw new Error(`$project cannot mix inclusion and exclusion (field "${key}")`);
+      }
+      return;
+    }
+    if (value === 1 || value === true) {
+      const included = getPath(doc, key);
+      if (included !== undefined) {
+        result[key] = included;
+      }
+      return;
+    }
+    result[key] = evaluate(value, doc);
+  });
+
+  return result;
+}
+
+/**
+ * $unwind: output one document per array element
+ * @private
+ */
+function unwind(spec, docs) {
+  const options = typeof spec === 'string' ? { path: spec } : spec || {};
+  if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+    throw new Error('$unwind requires a field path such as "$tags"');
+  }
+
+  const field = options.path.slice(1);
+  return docs.reduce((acc, doc) => {
+    const value = getPath(doc, field);
+
+    if (Array.isArray(value) && value.length > 0) {
+      return acc.concat(value.map(item => setField(doc, field, item)));
+    }
+    if (value !== undefined && value !== null && !Array.isArray(value)) {
+      return acc.concat([doc]);
+    }
+    return options.preserveNullAndEmptyArrays ? acc.concat([doc]) : acc;
+  }, []);
+}
+
+/**
+ * $lookup: attach matching records of another collection
+ * @private
+ */
+async function lookup(spec, docs, context) {
+  const { from, localField, foreignField, as } = spec || {};
+  if (!from || !localField || !foreignField || !as) {
+    throw new Error('$lookup requires from, localField, foreignField and as');
+  }
+
+  const key = value => JSON.stringify(value);
+  const localValues = [];
+  docs.forEach(doc => {
+    [].concat(getPath(doc, localField)).forEach(value => {
+      if (value !== undefined && value !== null && !localValues.some(existing => key(existing) === key(value))) {
+        localValues.push(value);
+      }
+    });
+  });
+
+  const foreign = localValues.length > 0 ? await context.lookup(from, foreignField, localValues) : [];
+
+  return docs.map(doc => {
+    const wanted = [].concat(getPath(doc, localField)).filter(value => value !== undefined && value !== null).map(key);
+    const related = foreign.filter(record => {
+      return [].concat(getPath(record, foreignField)).some(value => wanted.includes(key(value)));
+    });
+    return setField(doc, as, related);
+  });
+}
+
+/**
+ * Copy a document with a (possibly dotted) field replaced
+ * @private
+ */
+function setField(doc, path, value) {
+  const [head, ...rest] = path.split('.');
+  const current = doc && typeof doc === 'object' ? doc[head] : undefined;
+  return { ...doc, [head]: rest.length > 0 ? setField(current || {}, rest.join('.'), value) : value };
+}
+
+/**
+ * Validate a $skip / $limit value
+ * @private
+ */
+function toCount(name, value) {
+  const min = name === '$limit' ? 1 : 0;
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < min) {
+    throw new Error(`${name} expects ${min === 1 ? 'a positive' : 'a non-negative'} integer`);
+  }
+  return value;
+}
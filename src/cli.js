@@ -0,0 +1,571 @@
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { DBConnection } from './DBConnection.js';
+import { HttpTransport } from './HttpTransport.js';
+import { Migrator } from './Migrator.js';
+import { FORMATS } from './formats.js';
+
+/**
+ * Commands of the `webcake-data` command-line tool
+ */
+export const CLI_COMMANDS = ['find', 'count', 'insert', 'update', 'delete', 'export', 'import', 'migrate', 'help'];
+
+/**
+ * Default configuration file, looked up in the working directory
+ */
+export const CONFIG_FILE = '.webcakerc.json';
+
+const BOOLEAN_FLAGS = ['json', 'many', 'dry-run', 'upsert', 'help'];
+const MIGRATE_ACTIONS = ['up', 'down', 'status', 'unlock'];
+const DEFAULT_FIND_LIMIT = 100;
+const MAX_CELL_WIDTH = 40;
+
+const USAGE = `Usage: webcake-data <command> <collection> [options]
+
+Commands:
+  find <collection>      List documents (--filter, --sort, --limit, --skip, --select)
+  count <collection>     Count documents (--filter)
+  insert <collection>    Insert a document or an array of documents (--data, or JSON on stdin)
+  update <collection>    Update documents (--filter, --data, --many, --upsert, --dry-run)
+  delete <collection>    Delete documents (--filter, --many, --dry-run)
+  export <collection>    Write documents as ndjson, json or csv (--format, --filter, --select, --sort, --out)
+  import <collection>    Insert documents from ndjson, json or csv (--file or stdin, --format, --batch-size, --mapping)
+  migrate <action>       Run migrations: up, down, status or unlock (--dir, --to, --steps, --dry-run, --collection)
+
+Connection (flags, then WEBCAKE_* environment variables, then the config file):
+  --base-url <url>       API base URL, e.g. https://api.webcake.com/api/v1 (WEBCAKE_BASE_URL)
+  --site-id <id>         Site ID, appended to the base URL (WEBCAKE_SITE_ID)
+  --token <token>        Bearer token (WEBCAKE_TOKEN)
+  --config <path>        JSON config file with baseURL, siteId, token and headers
+                         (WEBCAKE_CONFIG, default ./${CONFIG_FILE})
+
+Options:
+  --filter <json>        Filter object, e.g. '{"age":{"$gte":18}}'
+  --sort <spec>          Sort object ('{"age":-1}') or fields ('-age,name')
+  --limit <n>            Maximum documents listed by find (default ${DEFAULT_FIND_LIMIT}, 0 for all)
+  --json                 Print JSON instead of tables
+  --help                 Show this help
+`;
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} argv - Arguments after the executable (e.g. `process.argv.slice(2)`)
+ * @param {Object} [io={}] - Process bindings, defaulting to the current process
+ * @param {Object} [io.stdout] - Writable stream for results
+ * @param {Object} [io.stderr] - Writable stream for errors and progress
+ * @param {Object} [io.stdin] - Readable stream for piped input
+ * @param {Object} [io.env] - Environment variables
+ * @param {string} [io.cwd] - Working directory
+ * @returns {Promise<number>} Exit code (0 success, 1 failure, 2 usage error)
+ */
+export async function run(argv, io = {}) {
+  const context = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    stdin: io.stdin || process.stdin,
+    env: io.env || process.env,
+    cwd: io.cwd || process.cwd()
+  };
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    context.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command, collection] = args._;
+  if (!command || command === 'help' || args.flags.help) {
+    context.stdout.write(USAGE);
+    return 0;
+  }
+  if (!CLI_COMMANDS.includes(command)) {
+    context.stderr.write(`Error: Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+  if (!collection) {
+    const missing = command === 'migrate' ? `an action (${MIGRATE_ACTIONS.join(', ')})` : 'a collection name';
+    context.stderr.write(`Error: ${command} requires ${missing}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const config = await loadConfig(args.flags, context.env, context.cwd);
+    const db = new DBConnection({
+      ...config,
+      transport: typeof fetch === 'undefined' ? new HttpTransport() : undefined
+    });
+    return await COMMANDS[command](db, collection, args.flags, context);
+  } catch (error) {
+    context.stderr.write(`Error: ${error.message}\n`);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * `--name value` and `--name=value` set a flag; boolean flags (--json, --many, --dry-run, --upsert, --help) take no value
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} { _: positional arguments, flags: { camelCasedName: value } }
+ * @throws {Error} If a flag is missing its value
+ */
+export function parseArgs(argv) {
+  const result = { _: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      result.flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inline] = splitFlag(arg.slice(2));
+      const key = name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+      if (BOOLEAN_FLAGS.includes(name)) {
+        result.flags[key] = inline === undefined ? true : inline !== 'false';
+      } else if (inline !== undefined) {
+        result.flags[key] = inline;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        result.flags[key] = argv[++i];
+      } else {
+        throw new Error(`--${name} requires a value`);
+      }
+    } else {
+      result._.push(arg);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the connection config from flags, WEBCAKE_* environment variables and a config file, in that order
+ * The site ID is appended to the base URL, unless the base URL already ends with it
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment variables
+ * @param {string} cwd - Working directory, used to find the default config file
+ * @returns {Promise<Object>} DBConnection config ({ baseURL, siteId, token, headers })
+ * @throws {Error} If the config file cannot be read or no base URL is set
+ */
+export async function loadConfig(flags, env, cwd) {
+  const explicit = flags.config || env.WEBCAKE_CONFIG;
+  const file = path.resolve(cwd, explicit || CONFIG_FILE);
+  let fileConfig = {};
+
+  try {
+    fileConfig = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (explicit || error.code !== 'ENOENT') {
+      throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+  }
+
+  const baseURL = flags.baseUrl || env.WEBCAKE_BASE_URL || fileConfig.baseURL;
+  const siteId = flags.siteId || env.WEBCAKE_SITE_ID || fileConfig.siteId;
+
+  if (!baseURL) {
+    throw new UsageError(`Missing base URL: pass --base-url, set WEBCAKE_BASE_URL or add baseURL to ${CONFIG_FILE}`);
+  }
+
+  return {
+    baseURL: siteURL(baseURL, siteId),
+    siteId,
+    token: flags.token || env.WEBCAKE_TOKEN || fileConfig.token,
+    headers: fileConfig.headers
+  };
+}
+
+/**
+ * Build the URL of a site from the API base URL
+ * @private
+ * @param {string} baseURL - API base URL, with or without the site ID
+ * @param {string} [siteId] - Site ID
+ * @returns {string} Site URL
+ */
+function siteURL(baseURL, siteId) {
+  const base = String(baseURL).replace(/\/+$/, '');
+  if (!siteId || base.endsWith(`/${siteId}`)) {
+    return base;
+  }
+  return `${base}/${siteId}`;
+}
+
+/**
+ * Format records as a text table
+ * Nested values are shown as JSON and long cells are truncated
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} [columns] - Columns (defaults to every field, `id` first)
+ * @returns {string} Table text
+ */
+export function formatTable(records, columns) {
+  if (records.length === 0) {
+    return '(no documents)\n';
+  }
+
+  const keys = columns || Array.from(new Set(['id'].concat(...records.map(record => Object.keys(record)))))
+    .filter(key => key !== 'id' || records.some(record => record.id !== undefined));
+  const rows = records.map(record => keys.map(key => formatCell(record[key])));
+  const widths = keys.map((key, i) => Math.max(key.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(keys), line(widths.map(width => '-'.repeat(width)))]
+    .concat(rows.map(line))
+    .join('\n') + '\n';
+}
+
+/**
+ * Error caused by invalid arguments (exit code 2)
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Command handlers, receiving (db, name, flags, context) and resolving to an exit code
+ * @private
+ */
+const COMMANDS = {
+  async find(db, name, flags, context) {
+    const model = db.model(name);
+    const query = model.find(parseJSON('filter', flags.filter, {})).lean();
+    const limit = flags.limit === undefined ? DEFAULT_FIND_LIMIT : parseCount('limit', flags.limit);
+
+    if (flags.sort) {
+      query.sort(parseSort(flags.sort));
+    }
+    if (flags.skip) {
+      query.skip(parseCount('skip', flags.skip));
+    }
+    if (limit > 0) {
+      query.limit(limit);
+    }
+    if (flags.select) {
+      query.select(parseList(flags.select));
+    }
+
+    const records = await query.exec();
+    const columns = flags.select ? ['id'].concat(parseList(flags.select).filter(field => field !== 'id')) : undefined;
+    context.stdout.write(flags.json ? toJSON(records) : formatTable(records, columns));
+    return 0;
+  },
+
+  async count(db, name, flags, context) {
+    const model = db.model(name);
+    const count = await model.countDocuments(parseJSON('filter', flags.filter, {}));
+    context.stdout.write(flags.json ? toJSON({ count }) : `${count}\n`);
+    return 0;
+  },
+
+  async insert(db, name, flags, context) {
+    const model = db.model(name);
+    const data = flags.data !== undefined
+      ? parseJSON('data', flags.data)
+      : parseJSON('stdin', await readText(context.stdin));
+
+    const result = Array.isArray(data) ? await model.insertMany(data) : await model.create(data);
+    const records = [].concat(result);
+    context.stdout.write(flags.json ? toJSON(result) : formatTable(records));
+    return 0;
+  },
+
+  async update(db, name, flags, context) {
+    const model = db.model(name);
+    const filter = requireFilter('update', flags);
+    const data = parseJSON('data', flags.data);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new UsageError('update requires --data with an object of fields or an update document');
+    }
+
+    if (flags.dryRun) {
+      return await dryRun(model, filter, flags, context, 'update');
+    }
+
+    const options = flags.upsert ? { upsert: true } : {};
+    const result = flags.many
+      ? await model.updateMany(filter, data, options)
+      : await model.updateOne(filter, data, options);
+    context.stdout.write(toJSON(result));
+    return 0;
+  },
+
+  async delete(db, name, flags, context) {
+    const model = db.model(name);
+    const filter = requireFilter('delete', flags);
+
+    if (flags.dryRun) {
+      return await dryRun(model, filter, flags, context, 'delete');
+    }
+
+    const result = flags.many ? await model.deleteMany(filter) : await model.deleteOne(filter);
+    context.stdout.write(toJSON(result));
+    return 0;
+  },
+
+  async export(db, name, flags, context) {
+    const model = db.model(name);
+    const options = {
+      format: parseFormat(flags.format || formatFromPath(flags.out)),
+      filters: parseJSON('filter', flags.filter, {})
+    };
+    if (flags.select) {
+      options.select = parseList(flags.select);
+    }
+    if (flags.sort) {
+      options.sort = parseSort(flags.sort);
+    }
+    if (flags.batchSize) {
+      options.batchSize = parseCount('batch-size', flags.batchSize);
+    }
+
+    const output = flags.out ? createWriteStream(path.resolve(context.cwd, flags.out)) : context.stdout;
+    for await (const chunk of model.export(options)) {
+      await write(output, chunk);
+    }
+    if (flags.out) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    }
+    return 0;
+  },
+
+  async import(db, name, flags, context) {
+    const model = db.model(name);
+    const source = flags.file ? createReadStream(path.resolve(context.cwd, flags.file)) : context.stdin;
+    const options = {
+      format: parseFormat(flags.format || formatFromPath(flags.file)),
+      onProgress: ({ processed, inserted, rejected }) => {
+        context.stderr.write(`Processed ${processed}, inserted ${inserted}, rejected ${rejected}\n`);
+      }
+    };
+    if (flags.mapping) {
+      options.mapping = parseJSON('mapping', flags.mapping);
+    }
+    if (flags.batchSize) {
+      options.batchSize = parseCount('batch-size', flags.batchSize);
+    }
+
+    const report = await model.import(source, options);
+    const rejected = report.rejected.map(({ index, row, error }) => ({ index, error: error.message, row }));
+
+    if (flags.json) {
+      context.stdout.write(toJSON({ ...report, rejected }));
+    } else {
+      context.stdout.write(`Imported ${report.inserted} of ${report.total} documents (${report.skipped} skipped, ${rejected.length} rejected)\n`);
+      if (rejected.length > 0) {
+        context.stdout.write(formatTable(rejected, ['index', 'error', 'row']));
+      }
+    }
+    return rejected.length > 0 ? 1 : 0;
+  },
+
+  async migrate(db, action, flags, context) {
+    if (!MIGRATE_ACTIONS.includes(action)) {
+      throw new UsageError(`Unknown migrate action "${action}", expected one of: ${MIGRATE_ACTIONS.join(', ')}`);
+    }
+
+    const migrator = new Migrator(db, {
+      directory: path.resolve(context.cwd, flags.dir || 'migrations'),
+      collection: flags.collection
+    });
+
+    if (action === 'status') {
+      const entries = await migrator.status();
+      context.stdout.write(flags.json ? toJSON(entries) : formatTable(entries.map(entry => ({
+        name: entry.name,
+        status: entry.missing ? 'applied (missing)' : entry.applied ? 'applied' : 'pending',
+        appliedAt: entry.appliedAt
+      }))));
+      return 0;
+    }
+    if (action === 'unlock') {
+      const removed = await migrator.unlock();
+      context.stdout.write(flags.json ? toJSON({ removed }) : `Removed ${removed} lock(s)\n`);
+      return 0;
+    }
+
+    const options = { dryRun: !!flags.dryRun, to: flags.to };
+    if (flags.steps !== undefined) {
+      options.steps = parseCount('steps', flags.steps);
+    }
+    if (!flags.json) {
+      migrator.on('migrating', ({ name, direction }) => context.stderr.write(`${direction === 'up' ? 'Applying' : 'Reverting'} ${name}\n`));
+    }
+
+    const names = await migrator[action](options);
+    const verb = action === 'up' ? 'apply' : 'revert';
+    if (flags.json) {
+      context.stdout.write(toJSON({ dryRun: options.dryRun, [action === 'up' ? 'applied' : 'reverted']: names }));
+    } else if (names.length === 0) {
+      context.stdout.write(`Nothing to ${verb}\n`);
+    } else {
+      const heading = options.dryRun ? `Would ${verb}` : `${verb === 'apply' ? 'Applied' : 'Reverted'}`;
+      context.stdout.write(`${heading} ${names.length} migration(s):\n${names.map(name => `  ${name}\n`).join('')}`);
+    }
+    return 0;
+  }
+};
+
+/**
+ * Report how many documents an update or delete would affect
+ * @private
+ */
+async function dryRun(model, filter, flags, context, action) {
+  const matched = await model.countDocuments(filter);
+  const affected = flags.many ? matched : Math.min(matched, 1);
+
+  if (flags.json) {
+    context.stdout.write(toJSON({ dryRun: true, matchedCount: matched, affectedCount: affected }));
+  } else {
+    context.stdout.write(`Dry run: ${matched} matching document(s), ${affected} would be ${action}d\n`);
+  }
+  return 0;
+}
+
+/**
+ * Get the filter of a write command; an explicit `--filter '{}'` is needed to match every document
+ * @private
+ */
+function requireFilter(command, flags) {
+  if (flags.filter === undefined) {
+    throw new UsageError(`${command} requires --filter (use --filter '{}' to match every document)`);
+  }
+  return parseJSON('filter', flags.filter);
+}
+
+/**
+ * Parse a JSON flag value
+ * @private
+ */
+function parseJSON(name, value, fallback) {
+  if (value === undefined) {
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    throw new UsageError(`Missing --${name}`);
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new UsageError(`Invalid JSON in ${name === 'stdin' ? 'input' : `--${name}`}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse --sort as a JSON object or a list of fields (`-field` for descending)
+ * @private
+ */
+function parseSort(value) {
+  if (value.trim().startsWith('{')) {
+    return parseJSON('sort', value);
+  }
+  return parseList(value).reduce((sort, field) => {
+    if (field.startsWith('-')) {
+      sort[field.slice(1)] = -1;
+    } else {
+      sort[field] = 1;
+    }
+    return sort;
+  }, {});
+}
+
+/**
+ * Split a comma or space separated list
+ * @private
+ */
+function parseList(value) {
+  return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Parse a non-negative integer flag
+ * @private
+ */
+function parseCount(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} expects a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Check a --format value
+ * @private
+ */
+function parseFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unsupported format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Guess a format from a file extension (ndjson when unknown)
+ * @private
+ */
+function formatFromPath(file) {
+  const extension = file ? path.extname(file).toLowerCase() : '';
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  return extension === '.json' ? 'json' : 'ndjson';
+}
+
+/**
+ * Split `name=value`
+ * @private
+ */
+function splitFlag(flag) {
+  const index = flag.indexOf('=');
+  return index === -1 ? [flag, undefined] : [flag.slice(0, index), flag.slice(index + 1)];
+}
+
+/**
+ * Format a table cell
+ * @private
+ */
+function formatCell(value) {
+  let text;
+  if (value === undefined || value === null) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  text = text.replace(/\s+/g, ' ');
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Serialize a value for output
+ * @private
+ */
+function toJSON(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+/**
+ * Read a stream to the end as text
+ * @private
+ */
+async function readText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ * @private
+ */
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await new Promise(resolve => stream.once('drain', resolve));
+  }
+}
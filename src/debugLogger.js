@@ -0,0 +1,79 @@
+const PREFIX = '[webcake-data]';
+
+/**
+ * Log the requests of a connection and warn about risky patterns
+ * Each message is passed with the event info as second argument, for structured loggers
+ * @param {DBConnection} connection - Connection to observe
+ * @param {Object} [options={}] - Debug options
+ * @param {Function} [options.log] - Called with each request line (defaults to console.log)
+ * @param {Function} [options.warn] - Called with each warning (defaults to console.warn)
+ * @param {number} [options.slowThreshold=1000] - Duration in milliseconds above which a request is slow
+ * @param {number} [options.largeResult=1000] - Query result count above which a result is large
+ * @returns {Function} Function detaching the logger
+ */
+export function attachDebugLogger(connection, options = {}) {
+  const log = options.log || ((message) => console.log(message));
+  const warn = options.warn || ((message) => console.warn(message));
+  const slowThreshold = options.slowThreshold === undefined ? 1000 : options.slowThreshold;
+  const largeResult = options.largeResult === undefined ? 1000 : options.largeResult;
+
+  const offRequest = connection.on('request', (info) => {
+    requestWarnings(info).forEach(message => warn(`${PREFIX} ${message}`, info));
+  });
+
+  const offResponse = connection.on('response', (info) => {
+    const count = info.count === null || info.count === undefined ? '' : `, ${info.count} record(s)`;
+    log(`${PREFIX} #${info.requestId} ${info.operation} ${info.collection}: ${info.method} ${readableURL(info.url)} -> ${info.status} in ${info.duration}ms${count}`, info);
+
+    if (info.duration > slowThreshold) {
+      warn(`${PREFIX} Slow request #${info.requestId}: ${info.operation} ${info.collection} took ${info.duration}ms`, info);
+    }
+    if (info.operation === 'query' && info.count > largeResult) {
+      warn(`${PREFIX} Large result #${info.requestId}: ${info.operation} ${info.collection} returned ${info.count} records; page with .limit() / .cursor()`, info);
+    }
+  });
+
+  const offError = connection.on('error', (error, info = {}) => {
+    const label = info.requestId ? `#${info.requestId} ${info.operation} ${info.collection}` : 'listener';
+    const duration = info.duration === undefined ? '' : ` after ${info.duration}ms`;
+    log(`${PREFIX} ${label} failed${duration}: ${error && error.message}`, info);
+  });
+
+  return () => {
+    offRequest();
+    offResponse();
+    offError();
+  };
+}
+
+/**
+ * Detect risky request patterns
+ * @private
+ * @param {Object} info - Request event info
+ * @returns {Array<string>} Warnings
+ */
+function requestWarnings(info) {
+  const warnings = [];
+
+  if (info.operation === 'query' && !new URL(info.url, 'http://localhost').searchParams.has('limit')) {
+    warnings.push(`Unbounded query #${info.requestId} on "${info.collection}": no limit, every matching record is fetched; add .limit() or iterate with .cursor()`);
+  }
+
+  if ((info.operation === 'updateMany' || info.operation === 'deleteMany') && (!info.filters || Object.keys(info.filters).length === 0)) {
+    warnings.push(`${info.operation} #${info.requestId} on "${info.collection}" has no filters and affects every record`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Decode a URL for display
+ * @private
+ */
+function readableURL(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch (error) {
+    return url;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Error classes thrown by WebCake Data
+ * Every error carries the HTTP status, parsed server payload and request context
+ */
+
+/**
+ * Base error for all WebCake Data failures
+ */
+export class WebCakeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {number|null} [details.status] - HTTP status code
+   * @param {*} [details.payload] - Parsed server response body
+   * @param {string} [details.collection] - Collection name
+   * @param {string} [details.operation] - Operation name (e.g. `insertOne`)
+   * @param {Object} [details.filters] - Filters sent with the request
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status !== undefined ? details.status : null;
+    this.payload = details.payload !== undefined ? details.payload : null;
+    this.collection = details.collection || null;
+    this.operation = details.operation || null;
+    this.filters = details.filters || null;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+/**
+ * Requested record or route does not exist (HTTP 404)
+ */
+export class NotFoundError extends WebCakeError {}
+
+/**
+ * Request data was rejected (HTTP 400 / 422, or by a model schema)
+ */
+export class ValidationError extends WebCakeError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details (see WebCakeError)
+   * @param {Array<Object>} [details.errors] - Failing fields ({ path, kind, value, message })
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = details.errors || (details.payload && details.payload.errors) || [];
+  }
+}
+
+/**
+ * Missing or invalid credentials (HTTP 401 / 403)
+ */
+export class AuthError extends WebCakeError {}
+
+/**
+ * Request could not reach the server
+ */
+export class NetworkError extends WebCakeError {}
+
+/**
+ * Request did not complete within its timeout
+ */
+export class TimeoutError extends NetworkError {}
+
+/**
+ * Write that cannot be queued by offline mode (update operators that need the current record)
+ */
+export class OfflineError extends NetworkError {}
+
+/**
+ * Create the error matching an HTTP status
+ * @param {number|null} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [details={}] - Error details (see WebCakeError)
+ * @returns {WebCakeError} Error instance
+ */
+export function createError(status, message, details = {}) {
+  const info = { ...details, status };
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new ValidationError(message, info);
+    case 401:
+    case 403:
+      return new AuthError(message, info);
+    case 404:
+      return new NotFoundError(message, info);
+    default:
+      return new WebCakeError(message, info);
+  }
+}
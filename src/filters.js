@@ -0,0 +1,404 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Field operators understood by the server
+ */
+export const FILTER_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$between', '$like', '$not'];
+
+/**
+ * Operators combining whole filter objects
+ */
+export const LOGICAL_FILTER_OPERATORS = ['$and', '$or', '$nor', '$not'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Check whether a record matches a filter object, with the same semantics as the server
+ * Supports plain values, operator objects and `$and` / `$or` / `$nor` / `$not`
+ * @param {Object} record - Record
+ * @param {Object} filters - Filter conditions
+ * @returns {boolean} True if the record matches
+ * @throws {ValidationError} If the filters use an unknown operator
+ */
+export function matches(record, filters) {
+  return createMatcher(filters)(record);
+}
+
+/**
+ * Validate filters once and build a predicate for many records
+ * @param {Object} filters - Filter conditions
+ * @returns {Function} Predicate receiving a record
+ * @throws {ValidationError} If the filters use an unknown operator
+ */
+export function createMatcher(filters) {
+  validateFilters(filters);
+  return record => matchRecord(record, filters || {});
+}
+
+/**
+ * Check that filters only use supported operators with well-formed operands
+ * @param {Object} filters - Filter conditions
+ * @returns {Object} The same filters
+ * @throws {ValidationError} With status 400 describing the first problem found
+ */
+export function validateFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return filters;
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw filterError('', filters, 'Filters must be an object');
+  }
+
+  Object.keys(filters).forEach(key => {
+    const condition = filters[key];
+
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (!Array.isArray(condition) || condition.some(sub => !sub || typeof sub !== 'object' || Array.isArray(sub))) {
+        throw filterError(key, condition, `${key} expects an array of filter objects`);
+      }
+      condition.forEach(validateFilters);
+    } else if (key === '$not') {
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        throw filterError(key, condition, '$not expects a filter object');
+      }
+      validateFilters(condition);
+    } else if (key.startsWith('$')) {
+      throw filterError(key, condition, `Unknown logical operator "${key}", expected one of: ${LOGICAL_FILTER_OPERATORS.join(', ')}`);
+    } else {
+      validateCondition(key, condition);
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * Filter, sort, page and project records like a server query
+ * @param {Array<Object>} records - Records
+ * @param {Object} [query={}] - Query ({ filters, sort, skip, limit, select })
+ * @returns {Array<Object>} Resulting records (selected records are copies)
+ */
+export function applyQuery(records, query = {}) {
+  let result = records.filter(createMatcher(query.filters));
+
+  if (query.sort && Object.keys(query.sort).length > 0) {
+    result = sortRecords(result, query.sort);
+  }
+
+  const skip = Number(query.skip) || 0;
+  const limit = Number(query.limit) || 0;
+  result = result.slice(skip, limit > 0 ? skip + limit : undefined);
+
+  return query.select ? result.map(record => selectFields(record, query.select)) : result;
+}
+
+/**
+ * Apply a select option ("a b", "a,b", ["a", "b"] or "-a -b") to a record
+ * Inclusion always keeps `id`
+ * @param {Object} record - Record
+ * @param {string|Array<string>} select - Fields to include, or `-field` to exclude
+ * @returns {Object} Selected fields
+ */
+export function selectFields(record, select) {
+  const fields = (Array.isArray(select) ? select : String(select).split(/[\s,]+/)).filter(Boolean);
+  if (fields.length === 0) {
+    return record;
+  }
+
+  if (fields.every(field => field.startsWith('-'))) {
+    const result = { ...record };
+    fields.forEach(field => delete result[field.slice(1)]);
+    return result;
+  }
+
+  return fields.reduce((acc, field) => {
+    if (record[field] !== undefined) {
+      acc[field] = record[field];
+    }
+    return acc;
+  }, { id: record.id });
+}
+
+/**
+ * Make sure a select option keeps some fields
+ * Inclusion lists get the missing fields added, exclusion lists stop excluding them
+ * @param {string|Array<string>|null} select - Select option
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {string|Array<string>|null} Select option (unchanged when empty)
+ */
+export function includeFields(select, fields) {
+  const list = selectList(select);
+  if (list.length === 0) {
+    return select;
+  }
+
+  if (list.every(field => field.startsWith('-'))) {
+    return list.filter(field => !fields.includes(field.slice(1)));
+  }
+  return list.concat(fields.filter(field => !list.includes(field)));
+}
+
+/**
+ * Get the fields that a select option leaves out, i.e. those includeFields had to add
+ * `id` is always returned, and an empty select returns every field
+ * @param {string|Array<string>|null} select - Select option
+ * @param {Array<string>} fields - Fields to check
+ * @returns {Array<string>} Fields the select option does not return
+ */
+export function unselectedFields(select, fields) {
+  const list = selectList(select);
+  if (list.length === 0) {
+    return [];
+  }
+
+  const exclusion = list.every(field => field.startsWith('-'));
+  return fields.filter(field => field !== 'id' && (exclusion ? list.includes(`-${field}`) : !list.includes(field)));
+}
+
+/**
+ * Split a select option into field names
+ * @private
+ */
+function selectList(select) {
+  return (Array.isArray(select) ? select : String(select || '').split(/[\s,]+/)).filter(Boolean);
+}
+
+/**
+ * Sort records by a sort object ({ field: 1 | -1 }); missing values sort first
+ * @param {Array<Object>} records - Records
+ * @param {Object} sort - Sort object
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortRecords(records, sort) {
+  const keys = Object.keys(sort);
+  return records.slice().sort((a, b) => {
+    for (const key of keys) {
+      const direction = Number(sort[key]) < 0 ? -1 : 1;
+      const left = getPath(a, key);
+      const right = getPath(b, key);
+      if (left === right) {
+        continue;
+      }
+      if (left === undefined || left === null) {
+        return -direction;
+      }
+      if (right === undefined || right === null) {
+        return direction;
+      }
+      return left < right ? -direction : direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Get a (possibly dotted) path from a record
+ * @param {Object} record - Record
+ * @param {string} path - Field path
+ * @returns {*} Value, or undefined
+ */
+export function getPath(record, path) {
+  return String(path).split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, record);
+}
+
+/**
+ * Check whether a record matches validated filters
+ * @private
+ */
+function matchRecord(record, filters) {
+  return Object.keys(filters).every(key => {
+    const condition = filters[key];
+
+    switch (key) {
+      case '$and':
+        return condition.every(sub => matchRecord(record, sub));
+      case '$or':
+        return condition.some(sub => matchRecord(record, sub));
+      case '$nor':
+        return !condition.some(sub => matchRecord(record, sub));
+      case '$not':
+        return !matchRecord(record, condition);
+      default:
+        return matchesValue(getPath(record, key), condition);
+    }
+  });
+}
+
+/**
+ * Validate the condition of a field (plain value or operator object)
+ * @private
+ */
+function validateCondition(field, condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return;
+  }
+
+  const keys = Object.keys(condition);
+  const operators = keys.filter(key => key.startsWith('$'));
+  if (operators.length === 0) {
+    return;
+  }
+  if (operators.length !== keys.length) {
+    throw filterError(field, condition, `Field "${field}" mixes operators with plain keys; use { $eq: {...} } to match an object`);
+  }
+
+  operators.forEach(operator => {
+    const operand = condition[operator];
+
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw filterError(field, operand, `Unknown filter operator "${operator}" on field "${field}", expected one of: ${FILTER_OPERATORS.join(', ')}`);
+    }
+    if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+      throw filterError(field, operand, `${operator} on field "${field}" expects an array`);
+    }
+    if (operator === '$between' && (!Array.isArray(operand) || operand.length !== 2)) {
+      throw filterError(field, operand, `$between on field "${field}" expects [min, max]`);
+    }
+    if (operator === '$like' && typeof operand !== 'string') {
+      throw filterError(field, operand, `$like on field "${field}" expects a string pattern`);
+    }
+    if (operator === '$not') {
+      validateCondition(field, operand);
+    }
+  });
+}
+
+/**
+ * Build a filter validation error
+ * @private
+ */
+function filterError(path, value, message) {
+  return new ValidationError(`Invalid filter: ${message}`, {
+    status: 400,
+    errors: [{ path, kind: 'filter', value, message }]
+  });
+}
+
+/**
+ * Check whether a field value matches a condition (plain value or operator object)
+ * @private
+ */
+function matchesValue(value, condition) {
+  if (!isOperatorObject(condition)) {
+    return equals(value, condition);
+  }
+
+  return Object.keys(condition).every(operator => compare(value, operator, condition[operator]));
+}
+
+/**
+ * Evaluate a single operator
+ * @private
+ */
+function compare(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return equals(value, operand);
+    case '$ne':
+      return !equals(value, operand);
+    case '$gt':
+      return order(value, operand) > 0;
+    case '$gte':
+      return order(value, operand) >= 0;
+    case '$lt':
+      return order(value, operand) < 0;
+    case '$lte':
+      return order(value, operand) <= 0;
+    case '$in':
+      return [].concat(operand).some(item => equals(value, item));
+    case '$nin':
+      return ![].concat(operand).some(item => equals(value, item));
+    case '$between':
+      return order(value, operand[0]) >= 0 && order(value, operand[1]) <= 0;
+    case '$like':
+      return typeof value === 'string' && likeToRegExp(operand).test(value);
+    case '$not':
+      return !matchesValue(value, operand);
+    default:
+      throw filterError(operator, operand, `Unknown filter operator "${operator}"`);
+  }
+}
+
+/**
+ * Compare two values for equality (arrays match when they contain the value)
+ * @private
+ */
+function equals(value, operand) {
+  if (Array.isArray(value) && !Array.isArray(operand)) {
+    return value.some(item => equals(item, operand));
+  }
+  if (value === undefined) {
+    return operand === null || operand === undefined;
+  }
+  const times = dateTimes(value, operand);
+  if (times) {
+    return times[0] === times[1];
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value) === JSON.stringify(operand);
+  }
+  return value === operand;
+}
+
+/**
+ * Order a field value against an operand for range operators
+ * Dates compared with Dates or ISO date strings are compared as timestamps
+ * @private
+ * @returns {number} Negative, zero or positive; NaN when the value is missing or not comparable
+ */
+function order(value, operand) {
+  if (value === undefined || value === null) {
+    return NaN;
+  }
+  const [left, right] = dateTimes(value, operand) || [value, operand];
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return left <= right && left >= right ? 0 : NaN;
+}
+
+/**
+ * Convert a pair of values to timestamps when one is a Date and the other a Date or an ISO date string
+ * @private
+ * @returns {Array<number>|null} [valueTime, operandTime], or null when they are not both dates
+ */
+function dateTimes(value, operand) {
+  if (!(value instanceof Date) && !(operand instanceof Date)) {
+    return null;
+  }
+  const left = toTime(value);
+  const right = toTime(operand);
+  return left === null || right === null ? null : [left, right];
+}
+
+/**
+ * Get the timestamp of a Date or an ISO date string
+ * @private
+ * @returns {number|null} Milliseconds since the epoch, or null
+ */
+function toTime(value) {
+  const time = value instanceof Date ? value.getTime() : (typeof value === 'string' && ISO_DATE.test(value) ? Date.parse(value) : NaN);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Convert an SQL LIKE pattern (`%` and `_` wildcards) to a RegExp
+ * @private
+ */
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a filter value is an operator object ({ $gt: 1 })
+ * @private
+ */
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
@@ -0,0 +1,305 @@
+/**
+ * Supported export / import formats
+ */
+export const FORMATS = ['ndjson', 'json', 'csv'];
+
+/**
+ * Check a format name
+ * @param {string} format - Format name
+ * @returns {string} The format
+ * @throws {Error} If the format is not supported
+ */
+export function checkFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Serialize records to text chunks
+ * Call with each page of records, then with `null` to get the closing chunk
+ * @param {string} format - 'ndjson' | 'json' | 'csv'
+ * @param {Array<string>|null} [columns] - CSV columns (defaults to the keys of the first page)
+ * @returns {Function} Serializer receiving a page (or null) and returning a string
+ */
+export function createSerializer(format, columns = null) {
+  let started = false;
+  let header = columns;
+
+  return (records) => {
+    const first = !started;
+    started = true;
+
+    if (records === null) {
+      if (format === 'json') {
+        return first ? '[]\n' : '\n]\n';
+      }
+      return first && format === 'csv' && header ? csvLine(header) : '';
+    }
+
+    switch (format) {
+      case 'json':
+        return (first ? '[\n' : ',\n') + records.map(record => JSON.stringify(record)).join(',\n');
+      case 'csv': {
+        let text = '';
+        if (first) {
+          header = header || Array.from(new Set([].concat(...records.map(record => Object.keys(record)))));
+          text += csvLine(header);
+        }
+        return text + records.map(record => csvLine(header.map(column => record[column]))).join('');
+      }
+      default:
+        return records.map(record => `${JSON.stringify(record)}\n`).join('');
+    }
+  };
+}
+
+/**
+ * Line of a source that is not valid JSON, yielded by parseRecords in place of its record
+ */
+export class UnparsedLine {
+  /**
+   * @param {number} line - Line number (1-based)
+   * @param {string} text - Line text
+   * @param {Error} error - Parse error
+   */
+  constructor(line, text, error) {
+    this.line = line;
+    this.text = text;
+    this.error = error;
+  }
+}
+
+/**
+ * Parse records from a source
+ * NDJSON lines that are not valid JSON are yielded as UnparsedLine and parsing continues; an
+ * invalid JSON document is yielded as a single UnparsedLine pointing at the failing line
+ * @param {string|Array<Object>|Iterable|AsyncIterable} source - Text, parsed records, or chunks of text (e.g. a stream)
+ * @param {string} format - 'ndjson' | 'json' | 'csv'
+ * @returns {AsyncGenerator<Object|UnparsedLine>} Rows (CSV rows have string values keyed by header)
+ */
+export async function* parseRecords(source, format) {
+  if (Array.isArray(source) && source.every(item => item && typeof item === 'object' && !ArrayBuffer.isView(item))) {
+    yield* source;
+    return;
+  }
+
+  const chunks = typeof source === 'string' ? [source] : source;
+  const toText = createDecoder();
+
+  if (format === 'json') {
+    let text = '';
+    for await (const chunk of chunks) {
+      text += toText(chunk);
+    }
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message);
+      const line = position ? text.slice(0, Number(position[1])).split('\n').length : 1;
+      yield new UnparsedLine(line, text.split(/\r?\n/)[line - 1], error);
+      return;
+    }
+    if (!Array.isArray(data)) {
+      throw new Error('JSON import expects an array of records');
+    }
+    yield* data;
+    return;
+  }
+
+  if (format === 'csv') {
+    let header = null;
+    for await (const cells of csvRows(chunks, toText)) {
+      if (!header) {
+        header = cells;
+        continue;
+      }
+      if (cells.length === 1 && cells[0] === '') {
+        continue;
+      }
+      yield header.reduce((row, column, i) => {
+        row[column] = cells[i] === undefined ? '' : cells[i];
+        return row;
+      }, {});
+    }
+    return;
+  }
+
+  let buffer = '';
+  let lineNumber = 0;
+  const parseLine = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return new UnparsedLine(lineNumber, text, error);
+    }
+  };
+
+  for await (const chunk of chunks) {
+    buffer += toText(chunk);
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      lineNumber++;
+      if (line.trim()) {
+        yield parseLine(line);
+      }
+    }
+  }
+  lineNumber++;
+  if (buffer.trim()) {
+    yield parseLine(buffer);
+  }
+}
+
+/**
+ * Convert a CSV cell to a value
+ * Empty cells are undefined; JSON arrays and objects are parsed; with `infer`,
+ * numbers, booleans and null are converted too
+ * @param {string} cell - Cell text
+ * @param {boolean} [infer=true] - Infer scalar types
+ * @returns {*} Value
+ */
+export function parseCell(cell, infer = true) {
+  if (cell === '') {
+    return undefined;
+  }
+
+  const trimmed = cell.trim();
+  if ((trimmed.startsWith('[') && trimmed.endsWith(']')) || (trimmed.startsWith('{') && trimmed.endsWith('}'))) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return cell;
+    }
+  }
+
+  if (!infer) {
+    return cell;
+  }
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (trimmed === 'null') {
+    return null;
+  }
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  return cell;
+}
+
+/**
+ * Format one CSV line
+ * @private
+ */
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\n`;
+}
+
+/**
+ * Format one CSV cell
+ * @private
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text chunks into rows of cells (RFC 4180 quoting, quoted newlines allowed)
+ * @private
+ */
+async function* csvRows(chunks, toText) {
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let pendingQuote = false;
+  let pendingCR = false;
+  let empty = true;
+
+  for await (const chunk of chunks) {
+    for (const char of toText(chunk)) {
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (quoted) {
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            cell += '"';
+            continue;
+          }
+          quoted = false;
+        } else if (char === '"') {
+          pendingQuote = true;
+          continue;
+        } else {
+          cell += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && cell === '') {
+        quoted = true;
+        empty = false;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+        empty = false;
+      } else if (char === '\n' || char === '\r') {
+        pendingCR = char === '\r';
+        cells.push(cell);
+        yield cells;
+        cells = [];
+        cell = '';
+        empty = true;
+      } else {
+        cell += char;
+        empty = false;
+      }
+    }
+  }
+
+  if (quoted && !pendingQuote) {
+    throw new Error('Unterminated quoted CSV field');
+  }
+  if (!empty) {
+    cells.push(cell);
+    yield cells;
+  }
+}
+
+/**
+ * Create a function converting chunks (strings, Buffers or Uint8Arrays) to text
+ * Multi-byte characters split across chunks are decoded correctly
+ * @private
+ */
+function createDecoder() {
+  let decoder = null;
+  return (chunk) => {
+    if (typeof chunk === 'string') {
+      return chunk;
+    }
+    decoder = decoder || new TextDecoder();
+    return decoder.decode(chunk, { stream: true });
+  };
+}
@@ -0,0 +1,149 @@
+import { createError } from './errors.js';
+import { isUpdateDocument } from './updateOperators.js';
+
+/**
+ * Declare plugin fields as optional dates on the model's schema, if it has one
+ * Fields the schema already defines are left as they are
+ * @private
+ */
+function addDateFields(model, fields) {
+  if (!model.schema) {
+    return;
+  }
+
+  fields.filter(field => !model.schema.path(field)).forEach(field => {
+    model.schema.add({ [field]: { type: 'date' } });
+  });
+}
+
+/**
+ * Plugin stamping creation and update times
+ * `create` / `insertMany` set both fields (values given by the caller are kept), and
+ * every update sets the update field, inside `$set` for update documents.
+ * The fields are added to the model's schema as optional dates
+ * @param {DBModel} model - Model
+ * @param {Object} [options={}] - Plugin options
+ * @param {string|false} [options.createdAt='created_at'] - Creation time field, or false to disable it
+ * @param {string|false} [options.updatedAt='updated_at'] - Update time field, or false to disable it
+ * @param {Function} [options.now] - Returns the current time (defaults to `new Date()`)
+ */
+export function timestamps(model, options = {}) {
+  const createdAt = options.createdAt === undefined ? 'created_at' : options.createdAt;
+  const updatedAt = options.updatedAt === undefined ? 'updated_at' : options.updatedAt;
+  const now = options.now || (() => new Date());
+  addDateFields(model, [createdAt, updatedAt].filter(Boolean));
+
+  model.pre('create', (context) => {
+    const time = now();
+    const stamp = (data) => {
+      const stamped = { ...data };
+      [createdAt, updatedAt].filter(Boolean).forEach(field => {
+        if (stamped[field] === undefined || stamped[field] === null) {
+          stamped[field] = time;
+        }
+      });
+      return stamped;
+    };
+
+    context.data = Array.isArray(context.data) ? context.data.map(stamp) : stamp(context.data);
+  });
+
+  if (updatedAt) {
+    model.pre('update', (context) => {
+      const time = now();
+      context.data = isUpdateDocument(context.data)
+        ? { ...context.data, $set: { ...context.data.$set, [updatedAt]: time } }
+        : { ...context.data, [updatedAt]: time };
+    });
+  }
+}
+
+/**
+ * Plugin replacing deletes with a deletion time
+ * Delete methods set the field instead of removing documents (pass `{ force: true }` to really
+ * delete) and leave already deleted documents alone, so `findByIdAndDelete` throws a
+ * NotFoundError for them like for missing ones; `find`, `countDocuments` and `exists` skip deleted documents unless the query uses
+ * `.withDeleted()` or the `withDeleted` option, or filters on the field itself.
+ * Adds `model.restore(filters)` (an `updateMany` result) and, for documents, `restore()`.
+ * The field is added to the model's schema as an optional date
+ * @param {DBModel} model - Model
+ * @param {Object} [options={}] - Plugin options
+ * @param {string} [options.field='deleted_at'] - Deletion time field
+ * @param {Function} [options.now] - Returns the current time (defaults to `new Date()`)
+ */
+export function softDelete(model, options = {}) {
+  const field = options.field || 'deleted_at';
+  const now = options.now || (() => new Date());
+  const notDeleted = (filters) => ({ ...filters, [field]: { $eq: null } });
+  addDateFields(model, [field]);
+
+  const excludeDeleted = (context) => {
+    if (!context.options.withDeleted && (!context.filters || context.filters[field] === undefined)) {
+      context.filters = notDeleted(context.filters);
+    }
+  };
+  model.pre(['find', 'count'], excludeDeleted);
+
+  const hardDelete = {
+    deleteOne: model.deleteOne.bind(model),
+    deleteMany: model.deleteMany.bind(model),
+    findOneAndDelete: model.findOneAndDelete.bind(model),
+    findByIdAndDelete: model.findByIdAndDelete.bind(model)
+  };
+
+  const softDeleteWith = (operation, update) => async (filters, deleteOptions = {}) => {
+    const { force, ...requestOptions } = deleteOptions;
+    if (force) {
+      return await hardDelete[operation](filters, requestOptions);
+    }
+
+    const context = {
+      operation,
+      filters: operation === 'findByIdAndDelete' ? { id: filters } : filters,
+      options: requestOptions
+    };
+    return await model._withHooks('delete', context, () => update(context, { $set: { [field]: now() } }));
+  };
+
+  const deleteResult = (res) => (res.queued
+    ? { acknowledged: false, queued: true, queueId: res.queueId, deletedCount: 0 }
+    : { acknowledged: true, deletedCount: res.modifiedCount });
+
+  model.deleteOne = softDeleteWith('deleteOne', async (context, update) => {
+    return deleteResult(await model.updateOne(notDeleted(context.filters), update, context.options));
+  });
+  model.deleteMany = softDeleteWith('deleteMany', async (context, update) => {
+    return deleteResult(await model.updateMany(notDeleted(context.filters), update, context.options));
+  });
+  model.findOneAndDelete = softDeleteWith('findOneAndDelete', async (context, update) => {
+    return await model.findOneAndUpdate(notDeleted(context.filters), update, context.options);
+  });
+  model.findByIdAndDelete = softDeleteWith('findByIdAndDelete', async (context, update) => {
+    const result = await model.findOneAndUpdate(notDeleted(context.filters), update, context.options);
+    if (!Array.isArray(result)) {
+      return result;
+    }
+    if (!result.length) {
+      throw createError(404, `Record ${context.filters.id} not found in ${model.collectionName}`, {
+        collection: model.collectionName,
+        operation: 'findByIdAndDelete',
+        filters: context.filters
+      });
+    }
+    return result[0];
+  });
+
+  model.static('restore', async function (filters = {}, requestOptions = {}) {
+    return await this.updateMany({ ...filters, [field]: { $ne: null } }, { $set: { [field]: null } }, requestOptions);
+  });
+
+  model.method('restore', async function (requestOptions = {}) {
+    await this.$model.restore({ id: this.id }, requestOptions);
+    this._init({ ...this.toJSON(), [field]: null });
+    return this;
+  });
+
+  model.queryHelper('withDeleted', function () {
+    return this.setOptions({ withDeleted: true });
+  });
+}
@@ -0,0 +1,94 @@
+import { NetworkError } from './errors.js';
+
+/**
+ * Default retry policy applied to idempotent requests
+ */
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  minDelay: 100,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Merge a retry option into a base policy
+ * @param {Object} base - Base policy
+ * @param {Object|number|boolean} [override] - Policy overrides, number of attempts, or false to disable retries
+ * @returns {Object} Retry policy
+ */
+export function resolveRetryPolicy(base, override) {
+  if (override === undefined || override === null || override === true) {
+    return { ...base };
+  }
+
+  if (override === false) {
+    return { ...base, attempts: 1 };
+  }
+
+  if (typeof override === 'number') {
+    return { ...base, attempts: Math.max(1, override) };
+  }
+
+  return { ...base, ...override };
+}
+
+/**
+ * Check whether an error may be retried under a policy
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - Error thrown by the previous attempt
+ * @returns {boolean} True if the request may be retried
+ */
+export function isRetryableError(policy, error) {
+  if (error instanceof NetworkError) {
+    return true;
+  }
+
+  return typeof error.status === 'number' && policy.statusCodes.includes(error.status);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Returns -1 when the server asked to wait longer than the policy's `maxDelay`
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Error} [error] - Error thrown by that attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt, error) {
+  if (error && typeof error.retryAfter === 'number') {
+    return error.retryAfter > policy.maxDelay ? -1 : error.retryAfter;
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+  return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
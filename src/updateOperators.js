@@ -0,0 +1,185 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Supported update operators
+ */
+export const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull', '$addToSet'];
+
+/**
+ * Operators that translate directly to the `fields` format; the others are
+ * emulated by reading the record, applying them and writing it back conditionally
+ */
+export const NATIVE_UPDATE_OPERATORS = ['$set', '$unset'];
+
+/**
+ * Check whether update data is an update document ({ $inc: { views: 1 } })
+ * @param {Object} update - Update data
+ * @returns {boolean} True if any key is an operator
+ */
+export function isUpdateDocument(update) {
+  return !!update && typeof update === 'object' && Object.keys(update).some(key => key.startsWith('$'));
+}
+
+/**
+ * Validate an update document and normalize it
+ * @param {Object} update - Update document
+ * @returns {Object} Operators mapped to their `{ field: operand }` objects
+ * @throws {Error} For unknown operators, plain fields mixed with operators, nested paths or a field used twice
+ */
+export function parseUpdate(update) {
+  const keys = Object.keys(update);
+  const plain = keys.filter(key => !key.startsWith('$'));
+
+  if (plain.length > 0) {
+    throw new Error(`Cannot mix update operators with plain fields (${plain.join(', ')}); move them into $set`);
+  }
+
+  const seen = {};
+  keys.forEach(operator => {
+    if (!UPDATE_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown update operator "${operator}", expected one of: ${UPDATE_OPERATORS.join(', ')}`);
+    }
+
+    const operand = update[operator];
+    if (!operand || typeof operand !== 'object' || Array.isArray(operand)) {
+      throw new Error(`${operator} expects an object of fields`);
+    }
+
+    Object.keys(operand).forEach(field => {
+      if (field === 'id') {
+        throw new Error(`${operator} cannot modify the id field`);
+      }
+      if (field.includes('.')) {
+        throw new Error(`${operator} on nested path "${field}" is not supported; update the top-level field instead`);
+      }
+      if (seen[field]) {
+        throw new Error(`Field "${field}" cannot be used in both ${seen[field]} and ${operator}`);
+      }
+      seen[field] = operator;
+    });
+  });
+
+  return update;
+}
+
+/**
+ * Check whether an update document needs the current record
+ * @param {Object} update - Parsed update document
+ * @returns {boolean} True if it contains emulated operators
+ */
+export function requiresRead(update) {
+  return Object.keys(update).some(operator => !NATIVE_UPDATE_OPERATORS.includes(operator));
+}
+
+/**
+ * Compute the new field values of a record
+ * @param {Object} record - Current record (may be empty for native-only updates)
+ * @param {Object} update - Parsed update document
+ * @returns {Object} Changed fields; unset fields are null
+ * @throws {ValidationError} When an operator does not apply to the current value
+ */
+export function applyUpdate(record, update) {
+  const values = {};
+
+  Object.keys(update).forEach(operator => {
+    const operand = update[operator];
+
+    Object.keys(operand).forEach(field => {
+      values[field] = applyOperator(operator, field, record[field], operand[field]);
+    });
+  });
+
+  return values;
+}
+
+/**
+ * Build the filters that make a write conditional on the values it was computed from
+ * @param {Object} record - Record the update was applied to
+ * @param {Object} update - Parsed update document
+ * @returns {Object} Filters ({ id, field: { $eq: current } })
+ */
+export function updateGuards(record, update) {
+  const guards = { id: record.id };
+
+  Object.keys(update)
+    .filter(operator => !NATIVE_UPDATE_OPERATORS.includes(operator))
+    .forEach(operator => {
+      Object.keys(update[operator]).forEach(field => {
+        guards[field] = { $eq: record[field] === undefined ? null : record[field] };
+      });
+    });
+
+  return guards;
+}
+
+/**
+ * Apply one operator to a field value
+ * @private
+ */
+function applyOperator(operator, field, current, operand) {
+  switch (operator) {
+    case '$set':
+      return operand;
+    case '$unset':
+      return null;
+    case '$inc':
+      if (typeof operand !== 'number' || (current !== undefined && current !== null && typeof current !== 'number')) {
+        throw operatorError(operator, field, current, 'requires numeric values');
+      }
+      return (current || 0) + operand;
+    case '$push':
+      return toArray(operator, field, current).concat(eachValues(operand));
+    case '$addToSet':
+      return eachValues(operand).reduce((list, value) => {
+        return list.some(item => sameValue(item, value)) ? list : list.concat([value]);
+      }, toArray(operator, field, current));
+    case '$pull':
+      return toArray(operator, field, current).filter(item => !sameValue(item, operand));
+    default:
+      throw new Error(`Unknown update operator "${operator}"`);
+  }
+}
+
+/**
+ * Get the current array value of a field (missing values are empty arrays)
+ * @private
+ */
+function toArray(operator, field, current) {
+  if (current === undefined || current === null) {
+    return [];
+  }
+  if (!Array.isArray(current)) {
+    throw operatorError(operator, field, current, 'requires an array field');
+  }
+  return current.slice();
+}
+
+/**
+ * Values added by $push / $addToSet, supporting { $each: [...] }
+ * @private
+ */
+function eachValues(operand) {
+  if (operand && typeof operand === 'object' && Array.isArray(operand.$each)) {
+    return operand.$each;
+  }
+  return [operand];
+}
+
+/**
+ * Compare values by content
+ * @private
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Error for an operator that does not apply to a value
+ * @private
+ */
+function operatorError(operator, field, value, reason) {
+  const message = `${operator} on "${field}" ${reason}`;
+  return new ValidationError(`Validation failed: ${message}`, {
+    errors: [{ path: field, kind: operator, value, message }]
+  });
+}
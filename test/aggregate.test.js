@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport } from '../index.js';
+
+const data = () => ({
+  users: [{ id: 'u1', name: 'Ann' }, { id: 'u2', name: 'Bob' }],
+  orders: [
+    { status: 'paid', total: 10, user: 'u1', tags: ['a', 'b'] },
+    { status: 'paid', total: 30, user: 'u2', tags: ['b'] },
+    { status: 'open', total: 5, user: 'u1', tags: [] },
+    { status: 'paid', total: 7, user: 'u1' }
+  ]
+});
+
+// Orders model over a MemoryTransport recording the decoded URL of every request
+const connect = () => {
+  const transport = new MemoryTransport({ data: data() });
+  const request = transport.request.bind(transport);
+  const urls = [];
+  transport.request = (url, init) => {
+    urls.push(decodeURIComponent(url.split('collections/')[1]));
+    return request(url, init);
+  };
+  return { urls, Order: new DBConnection({ siteId: 'test', transport }).model('orders') };
+};
+
+test('distinct() returns unique values, flattening arrays', async () => {
+  const { Order } = connect();
+
+  assert.deepEqual(await Order.distinct('status'), ['paid', 'open']);
+  assert.deepEqual(await Order.distinct('tags', { status: 'paid' }), ['a', 'b']);
+});
+
+test('distinct() and aggregate() page through records sorted by id', async () => {
+  const { urls, Order } = connect();
+
+  await Order.distinct('status', {}, { batchSize: 2 });
+  assert.ok(urls.length >= 2);
+  assert.ok(urls.every(url => url.includes('sort={"id":1}')));
+
+  urls.length = 0;
+  await Order.aggregate([{ $match: { status: 'paid' } }, { $group: { _id: '$user', n: { $count: {} } } }], { batchSize: 2 });
+  assert.ok(urls.length >= 2);
+  assert.ok(urls.every(url => url.includes('sort={"id":1}')));
+});
+
+test('aggregate() groups, sorts, looks up, unwinds and projects', async () => {
+  const { urls, Order } = connect();
+
+  const result = await Order.aggregate([
+    { $match: { status: 'paid' } },
+    { $group: { _id: '$user', total: { $sum: '$total' }, avg: { $avg: '$total' }, n: { $count: {} }, max: { $max: '$total' }, min: { $min: '$total' }, totals: { $push: '$total' } } },
+    { $sort: { total: -1 } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: 'id', as: 'user' } },
+    { $unwind: '$user' },
+    { $project: { name: '$user.name', total: 1, n: 1 } }
+  ], { batchSize: 2 });
+
+  assert.deepEqual(result, [{ _id: 'u2', name: 'Bob', total: 30, n: 1 }, { _id: 'u1', name: 'Ann', total: 17, n: 2 }]);
+  assert.equal(urls[urls.length - 1], 'users/records?filters={"id":{"$in":["u2","u1"]}}');
+});
+
+test('leading $sort and $limit stages are sent to the server', async () => {
+  const { urls, Order } = connect();
+
+  const result = await Order.aggregate([
+    { $sort: { total: -1 } },
+    { $limit: 2 },
+    { $unwind: { path: '$tags', preserveNullAndEmptyArrays: true } },
+    { $project: { tags: 1 } },
+    { $skip: 1 }
+  ]);
+
+  assert.deepEqual(result, [{ id: '1', tags: 'a' }, { id: '1', tags: 'b' }]);
+  assert.deepEqual(urls, ['orders/records?sort={"total":-1}&limit=2']);
+});
+
+test('malformed pipelines are rejected', async () => {
+  const { Order } = connect();
+
+  await assert.rejects(Order.aggregate([{ $foo: 1 }]), /Invalid aggregation stage at index 0/);
+  await assert.rejects(Order.aggregate([{ $group: { total: { $sum: 1 } } }]), /\$group requires an _id expression/);
+  await assert.rejects(Order.aggregate([{ $group: { _id: null, x: { $first: 1 } } }]), /must use one of/);
+  await assert.rejects(Order.aggregate([{ $limit: 0 }]), /positive integer/);
+  await assert.rejects(Order.aggregate([{ $project: { a: 1, b: 0 } }]), /cannot mix inclusion and exclusion/);
+});
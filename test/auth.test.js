@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthError, DBConnection, MemoryTransport } from '../index.js';
+
+// Transport accepting only `Bearer <transport.valid>`, recording the Authorization header of each request
+const guarded = (valid) => {
+  const memory = new MemoryTransport({ data: { users: [{ name: 'a' }] } });
+  const transport = {
+    valid,
+    seen: [],
+    async request(url, init) {
+      transport.seen.push(init.headers.Authorization);
+      if (init.headers.Authorization !== `Bearer ${transport.valid}`) {
+        return { ok: false, status: 401, statusText: 'Unauthorized', headers: { get: () => null }, json: async () => ({ success: false, message: 'expired' }) };
+      }
+      return memory.request(url, init);
+    }
+  };
+  return transport;
+};
+
+test('a 401 triggers one shared refresh and replays the requests', async () => {
+  const transport = guarded('t1');
+  let refreshes = 0;
+  const db = new DBConnection({
+    siteId: 'test',
+    transport,
+    token: 't1',
+    refreshToken: async () => {
+      refreshes++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return transport.valid;
+    }
+  });
+  const User = db.model('users');
+
+  assert.equal((await User.find().exec()).length, 1);
+
+  transport.valid = 't2';
+  const results = await Promise.all([User.countDocuments(), User.find({ name: 'a' }).exec(), User.exists({ name: 'a' })]);
+  assert.deepEqual(results, [1, [{ id: '1', name: 'a' }], true]);
+  assert.equal(refreshes, 1);
+  assert.equal(db.token, 't2');
+
+  transport.valid = 't3';
+  await User.create({ name: 'b' });
+  assert.equal(refreshes, 2);
+  assert.equal(db.token, 't3');
+});
+
+test('a failed refresh rejects with the original AuthError', async () => {
+  const db = new DBConnection({ siteId: 'test', transport: guarded('ok'), token: 'x', refreshToken: async () => { throw new Error('no session'); } });
+
+  const error = await db.model('users').countDocuments().catch(e => e);
+  assert.ok(error instanceof AuthError);
+  assert.equal(error.status, 401);
+  assert.equal(error.refreshError.message, 'no session');
+});
+
+test('a request is replayed only once after a refresh', async () => {
+  const transport = guarded('ok');
+  const db = new DBConnection({ siteId: 'test', transport, token: 'x', refreshToken: async () => 'y' });
+
+  await assert.rejects(db.model('users').countDocuments(), error => error.status === 401);
+  assert.deepEqual(transport.seen, ['Bearer x', 'Bearer y']);
+});
+
+test('getToken is called for every request', async () => {
+  const transport = guarded('fresh');
+  let stored = 'old';
+  const db = new DBConnection({ siteId: 'test', transport, getToken: async () => stored, refreshToken: async () => { stored = 'fresh'; } });
+
+  assert.equal(await db.model('users').countDocuments(), 1);
+  assert.deepEqual(transport.seen, ['Bearer old', 'Bearer fresh']);
+});
+
+test('without refreshToken a 401 is an AuthError', async () => {
+  const error = await new DBConnection({ siteId: 'test', transport: guarded('ok'), token: 'bad' }).model('users').countDocuments().catch(e => e);
+
+  assert.ok(error instanceof AuthError);
+  assert.equal(error.status, 401);
+});
+
+test('setToken and setHeaders change the headers of the next requests', async () => {
+  const memory = new MemoryTransport();
+  let headers;
+  const transport = { request: (url, init) => { headers = init.headers; return memory.request(url, init); } };
+  const db = new DBConnection({ siteId: 'test', transport, headers: { 'X-A': '1' } });
+
+  await db.model('users').countDocuments();
+  assert.equal(headers['X-A'], '1');
+  assert.equal(headers.Authorization, '');
+
+  db.setToken('abc').setHeaders({ 'X-A': null, 'X-B': '2' });
+  await db.model('users').countDocuments();
+  assert.deepEqual(headers, { 'Content-Type': 'application/json', 'X-B': '2', Authorization: 'Bearer abc' });
+  assert.equal(db.headers.Authorization, undefined);
+
+  db.setToken(null);
+  await db.model('users').countDocuments();
+  assert.equal(headers.Authorization, '');
+
+  const basic = new DBConnection({ siteId: 'test', transport, headers: { Authorization: 'Basic zz' } });
+  await basic.model('users').countDocuments();
+  assert.equal(headers.Authorization, 'Basic zz');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataLoader, DBConnection, Document, MemoryTransport } from '../index.js';
+
+// MemoryTransport recording the decoded URL of every request sent
+const recording = (data) => {
+  const transport = new MemoryTransport({ data });
+  const request = transport.request.bind(transport);
+  transport.urls = [];
+  transport.request = (url, init) => {
+    transport.urls.push(decodeURIComponent(url));
+    return request(url, init);
+  };
+  return transport;
+};
+
+const users = () => ({ users: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] });
+
+test('findById calls in the same tick share one $in query', async () => {
+  const transport = recording(users());
+  const User = new DBConnection({ siteId: 'test', transport }).model('users');
+
+  const found = await Promise.all([User.findById('1'), User.findById('3'), User.findById('9')]);
+
+  assert.deepEqual(found.map(user => user && user.name), ['a', 'c', null]);
+  assert.equal(transport.urls.length, 1);
+  assert.match(transport.urls[0], /"id":\{"\$in":\["1","3","9"\]\}/);
+});
+
+test('batched findById keeps the id values it was given', async () => {
+  const transport = recording(users());
+  const User = new DBConnection({ siteId: 'test', transport }).model('users');
+
+  await Promise.all([User.findById('1'), User.findById(2)]);
+  assert.match(transport.urls[0], /"id":\{"\$in":\["1",2\]\}/);
+});
+
+test('callers loading the same id get their own copies', async () => {
+  const User = new DBConnection({ siteId: 'test', transport: new MemoryTransport({ data: users() }) }).model('users', { name: String, born: Date }, { documents: true });
+
+  const [a, b] = await Promise.all([User.findById('1'), User.findById('1')]);
+  assert.notEqual(a, b);
+  assert.ok(a instanceof Document);
+  a.name = 'z';
+  assert.equal(b.name, 'a');
+});
+
+test('DataLoader copies values per caller and rejects every caller on failure', async () => {
+  const loader = new DataLoader(async keys => keys.map(key => ({ key, at: new Date(0) })));
+  const [a, b] = await Promise.all([loader.load('k'), loader.load('k')]);
+
+  assert.notEqual(a, b);
+  assert.deepEqual(a, b);
+  assert.ok(b.at instanceof Date);
+
+  const failing = new DataLoader(async () => [1]);
+  const results = await Promise.allSettled([failing.load('x'), failing.load('y')]);
+  assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+});
+
+test('identical reads in flight share one request but not the result', async () => {
+  const transport = recording(users());
+  const User = new DBConnection({ siteId: 'test', transport }).model('users');
+
+  const [a, b, count] = await Promise.all([User.find({ name: 'a' }), User.find({ name: 'a' }), User.countDocuments()]);
+  a[0].name = 'z';
+
+  assert.equal(b[0].name, 'a');
+  assert.equal(count, 3);
+  assert.equal(transport.urls.length, 2);
+});
+
+test('reads with cache: false or batch and dedupe disabled send their own request', async () => {
+  const transport = recording(users());
+  const db = new DBConnection({ siteId: 'test', transport, cache: true });
+
+  await Promise.all([db.model('users').find().exec(), db.model('users').find().setOptions({ cache: false }).exec()]);
+  assert.equal(transport.urls.length, 2);
+
+  transport.urls.length = 0;
+  const User = new DBConnection({ siteId: 'test', transport, batch: false, dedupe: false }).model('users');
+  await Promise.all([User.findById('1'), User.findById('2'), User.find(), User.find()]);
+  assert.equal(transport.urls.length, 4);
+});
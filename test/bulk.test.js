@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, ValidationError } from '../index.js';
+
+const connect = () => {
+  const transport = new MemoryTransport();
+  const db = new DBConnection({ siteId: 'test', transport });
+  return { transport, Post: db.model('posts', { slug: { type: 'string', required: true }, views: 'number' }) };
+};
+
+test('upserts insert a record built from the filters when nothing matches', async () => {
+  const { transport, Post } = connect();
+
+  assert.deepEqual(await Post.updateOne({ slug: 'a' }, { $inc: { views: 1 } }, { upsert: true }),
+    { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: '1' });
+  assert.deepEqual(await Post.updateOne({ slug: { $eq: 'a' } }, { $inc: { views: 1 } }, { upsert: true }),
+    { acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  assert.deepEqual(transport.getRecords('posts'), [{ id: '1', slug: 'a', views: 2 }]);
+
+  await Post.findOneAndUpdate({ slug: 'c' }, { $set: { views: 0 } }, { upsert: true });
+  assert.deepEqual(transport.getRecords('posts')[1], { id: '2', slug: 'c', views: 0 });
+});
+
+test('findByIdAndUpdate upserts a record with that id', async () => {
+  const { Post } = connect();
+
+  assert.deepEqual(await Post.findByIdAndUpdate('x9', { slug: 'x', views: 5 }, { upsert: true }), { id: 'x9', slug: 'x', views: 5 });
+  assert.deepEqual(await Post.findByIdAndUpdate('x9', { views: 6 }, { upsert: true, new: true }), { id: 'x9', slug: 'x', views: 6 });
+});
+
+test('upserted records are validated', async () => {
+  const { transport, Post } = connect();
+
+  await assert.rejects(Post.updateOne({ views: 99 }, { views: 1 }, { upsert: true }), /slug is required/);
+  assert.equal(transport.getRecords('posts').length, 0);
+});
+
+test('bulkWrite combines counts and reports failed operations when unordered', async () => {
+  const { transport, Post } = connect();
+
+  const result = await Post.bulkWrite([
+    { insertOne: { document: { slug: 'd' } } },
+    { insertOne: { document: { slug: 'e' } } },
+    { updateOne: { filter: { slug: 'd' }, update: { $inc: { views: 10 } } } },
+    { updateOne: { filter: { slug: 'f' }, update: { views: 1 }, upsert: true } },
+    { insertOne: { document: { views: 1 } } },
+    { deleteMany: { filter: { slug: 'e' } } }
+  ], { ordered: false });
+
+  assert.equal(result.insertedCount, 2);
+  assert.equal(result.matchedCount, 1);
+  assert.equal(result.modifiedCount, 1);
+  assert.equal(result.deletedCount, 1);
+  assert.equal(result.upsertedCount, 1);
+  assert.deepEqual(result.insertedIds, { 0: '1', 1: '2' });
+  assert.deepEqual(result.upsertedIds, { 3: '3' });
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].index, 4);
+  assert.ok(result.errors[0].error instanceof ValidationError);
+  assert.deepEqual(transport.getRecords('posts').map(post => post.slug), ['d', 'f']);
+});
+
+test('ordered bulkWrite stops at the first failure', async () => {
+  const { transport, Post } = connect();
+  await Post.create({ slug: 'keep' });
+
+  const result = await Post.bulkWrite([{ insertOne: { document: {} } }, { deleteMany: { filter: {} } }]);
+  assert.equal(result.deletedCount, 0);
+  assert.equal(result.errors.length, 1);
+  assert.equal(transport.getRecords('posts').length, 1);
+
+  await assert.rejects(Post.bulkWrite([{ replaceOne: {} }]), /Invalid bulkWrite operation at index 0/);
+});
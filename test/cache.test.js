@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport } from '../index.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// MemoryTransport counting the requests actually sent
+const counting = (data) => {
+  const transport = new MemoryTransport({ data });
+  const request = transport.request.bind(transport);
+  transport.sent = 0;
+  transport.request = (url, init) => {
+    transport.sent++;
+    return request(url, init);
+  };
+  return transport;
+};
+
+test('reads are served from the cache until a write invalidates them', async () => {
+  const transport = counting({ users: [{ name: 'a' }] });
+  const User = new DBConnection({ siteId: 'test', transport, cache: { ttl: 60 } }).model('users');
+
+  await User.find();
+  await User.find();
+  await User.countDocuments();
+  await User.countDocuments();
+  assert.equal(transport.sent, 2);
+
+  const users = await User.find();
+  users[0].name = 'mutated';
+  assert.equal((await User.find())[0].name, 'a');
+  assert.equal(transport.sent, 2);
+
+  await User.create({ name: 'b' });
+  assert.equal((await User.find()).length, 2);
+  assert.equal(transport.sent, 4);
+
+  await User.find().setOptions({ cache: false });
+  assert.equal(transport.sent, 5);
+});
+
+test('entries expire after their TTL', async () => {
+  const transport = counting({ users: [{ name: 'a' }] });
+  const User = new DBConnection({ siteId: 'test', transport, cache: { ttl: 0.01 } }).model('users');
+
+  await User.find();
+  await sleep(20);
+  await User.find();
+  assert.equal(transport.sent, 2);
+});
+
+test('stale entries are served while they revalidate', async () => {
+  const transport = counting({ users: [{ name: 'a' }] });
+  const User = new DBConnection({ siteId: 'test', transport, cache: { ttl: 0.01, staleWhileRevalidate: true } }).model('users');
+
+  await User.find();
+  await sleep(20);
+  transport.sites['/api/v1/test'].users.push({ id: '2', name: 'b' });
+
+  assert.equal((await User.find()).length, 1);
+  await sleep(5);
+  assert.equal((await User.find()).length, 2);
+  assert.equal(transport.sent, 2);
+});
+
+test('model and query TTLs override the connection TTL', async () => {
+  const transport = counting({ users: [] });
+  const User = new DBConnection({ siteId: 'test', transport, cache: true }).model('users', null, { cache: 0 });
+
+  await User.find();
+  await User.find();
+  assert.equal(transport.sent, 2);
+
+  await User.find().cache(30);
+  await User.find().cache(30);
+  assert.equal(transport.sent, 3);
+});
+
+test('entries are keyed by token and site without storing the token', async () => {
+  const transport = counting({ posts: [{ t: 'a' }] });
+  const db = new DBConnection({ siteId: 'test', transport, cache: true, token: 'secret-a' });
+
+  await db.model('posts').find();
+  await db.model('posts').find();
+  assert.equal(transport.sent, 1);
+
+  db.setToken('secret-b');
+  await db.model('posts').find();
+  assert.equal(transport.sent, 2);
+
+  await db.withSite('other').model('posts').find();
+  assert.equal(transport.sent, 3);
+
+  const keys = await db.cache.store.keys();
+  assert.ok(keys.every(key => !key.includes('secret')));
+});
+
+test('a read in flight during a write is not stored', async () => {
+  const transport = new MemoryTransport({ data: { posts: [{ id: '1', t: 'a' }] } });
+  const request = transport.request.bind(transport);
+  let gate = null;
+  transport.request = async (url, init) => {
+    const response = await request(url, init);
+    if (gate && init.method === 'GET') {
+      await gate;
+    }
+    return response;
+  };
+  const Post = new DBConnection({ siteId: 'test', transport, cache: true }).model('posts');
+
+  let release;
+  gate = new Promise(resolve => { release = resolve; });
+  const reading = Post.find().exec();
+  await sleep(10);
+  gate = null;
+  await Post.updateOne({ id: '1' }, { t: 'b' });
+  release();
+
+  assert.equal((await reading)[0].t, 'a');
+  assert.equal((await Post.find().exec())[0].t, 'b');
+});
+
+test('clearCache() drops cached entries', async () => {
+  const transport = counting({ users: [] });
+  const db = new DBConnection({ siteId: 'test', transport, cache: true });
+
+  await db.model('users').find();
+  await db.clearCache('users');
+  await db.model('users').find();
+  assert.equal(transport.sent, 2);
+});
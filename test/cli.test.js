@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { Readable, Writable } from 'node:stream';
+import { MemoryTransport } from '../index.js';
+import { loadConfig, parseArgs, run } from '../src/cli.js';
+
+// Serve a MemoryTransport over HTTP, recording the path and Authorization header of each request
+const serve = async (t, data) => {
+  const transport = new MemoryTransport({ data });
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    requests.push({ method: req.method, path: decodeURIComponent(req.url.split('?')[0]), auth: req.headers.authorization });
+    const response = await transport.request(req.url, { method: req.method, body: body || undefined });
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(await response.json()));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { transport, requests, base: `http://127.0.0.1:${server.address().port}/api/v1` };
+};
+
+const sink = () => {
+  const stream = new Writable({ write(chunk, encoding, callback) { stream.text += chunk; callback(); } });
+  stream.text = '';
+  return stream;
+};
+
+const cli = async (argv, { env = {}, stdin = '', cwd = os.tmpdir() } = {}) => {
+  const stdout = sink();
+  const stderr = sink();
+  const code = await run(argv, { stdout, stderr, stdin: Readable.from([stdin]), env, cwd });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+};
+
+test('requests go to the base URL followed by the site ID', async (t) => {
+  const { requests, base } = await serve(t, { users: [{ name: 'Ann' }] });
+
+  assert.equal((await cli(['count', 'users', '--base-url', base, '--site-id', 'site-a'])).stdout, '1\n');
+  await cli(['count', 'users'], { env: { WEBCAKE_BASE_URL: `${base}/`, WEBCAKE_SITE_ID: 'site-b' } });
+  await cli(['count', 'users', '--base-url', `${base}/site-c`, '--site-id', 'site-c']);
+  await cli(['count', 'users', '--base-url', `${base}/site-d`]);
+
+  assert.deepEqual(requests.map(request => request.path.split('/collections/')[0]), [
+    '/api/v1/site-a', '/api/v1/site-b', '/api/v1/site-c', '/api/v1/site-d'
+  ]);
+});
+
+test('flags take precedence over environment variables and the config file', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webcake-cli-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, '.webcakerc.json'), JSON.stringify({ baseURL: 'https://file/api/v1', siteId: 'file', token: 'file-token', headers: { 'X-App': 'cli' } }));
+
+  assert.deepEqual(await loadConfig({}, {}, dir), { baseURL: 'https://file/api/v1/file', siteId: 'file', token: 'file-token', headers: { 'X-App': 'cli' } });
+  assert.equal((await loadConfig({}, { WEBCAKE_SITE_ID: 'env' }, dir)).baseURL, 'https://file/api/v1/env');
+  assert.equal((await loadConfig({ siteId: 'flag' }, { WEBCAKE_SITE_ID: 'env' }, dir)).baseURL, 'https://file/api/v1/flag');
+  assert.equal((await loadConfig({ token: 'flag-token' }, { WEBCAKE_TOKEN: 'env-token' }, dir)).token, 'flag-token');
+
+  await assert.rejects(loadConfig({}, {}, path.join(os.tmpdir(), 'missing-webcake-dir')), /Missing base URL/);
+  await assert.rejects(loadConfig({ config: 'nope.json' }, {}, dir), /Cannot read config file/);
+});
+
+test('find, insert, update and delete', async (t) => {
+  const { transport, requests, base } = await serve(t, { users: [{ name: 'Ann', age: 30 }, { name: 'Bob', age: 17 }] });
+  const env = { WEBCAKE_BASE_URL: base, WEBCAKE_SITE_ID: 'test' };
+
+  const found = await cli(['find', 'users', '--filter', '{"age":{"$gte":18}}', '--select', 'name', '--json'], { env });
+  assert.equal(found.code, 0);
+  assert.deepEqual(JSON.parse(found.stdout), [{ id: '1', name: 'Ann' }]);
+  assert.match((await cli(['find', 'users', '--sort', '-age'], { env })).stdout, /^id +name +age\n-+/);
+
+  assert.equal((await cli(['insert', 'users', '--data', '{"name":"Cid","age":5}', '--token', 'T'], { env })).code, 0);
+  assert.equal(requests[requests.length - 1].auth, 'Bearer T');
+  assert.equal((await cli(['insert', 'users'], { env, stdin: '[{"name":"D"},{"name":"E"}]' })).code, 0);
+
+  const dryRun = await cli(['update', 'users', '--filter', '{"age":{"$lt":18}}', '--data', '{"$inc":{"age":1}}', '--many', '--dry-run'], { env });
+  assert.match(dryRun.stdout, /2/);
+  await cli(['update', 'users', '--filter', '{"age":{"$lt":18}}', '--data', '{"$inc":{"age":1}}', '--many'], { env });
+  await cli(['delete', 'users', '--filter', '{"name":"E"}'], { env });
+
+  assert.deepEqual(transport.getRecords('users').map(user => [user.name, user.age]), [['Ann', 30], ['Bob', 18], ['Cid', 6], ['D', undefined]]);
+});
+
+test('export and import files', async (t) => {
+  const { transport, base } = await serve(t, { users: [{ name: 'Ann', age: 30 }] });
+  const env = { WEBCAKE_BASE_URL: base, WEBCAKE_SITE_ID: 'test' };
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webcake-cli-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  assert.equal((await cli(['export', 'users', '--format', 'csv', '--select', 'name,age'], { env })).stdout, 'id,name,age\n1,Ann,30\n');
+  await cli(['export', 'users', '--out', 'out.json'], { env, cwd: dir });
+  assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'out.json'), 'utf8')).length, 1);
+
+  await fs.writeFile(path.join(dir, 'in.csv'), 'nm,age\nZed,40\n');
+  assert.equal((await cli(['import', 'users', '--file', 'in.csv', '--mapping', '{"nm":"name"}'], { env, cwd: dir })).code, 0);
+  assert.deepEqual(transport.getRecords('users')[1], { id: '2', name: 'Zed', age: 40 });
+});
+
+test('usage errors exit with 2', async () => {
+  const env = { WEBCAKE_BASE_URL: 'http://127.0.0.1:9/api/v1', WEBCAKE_SITE_ID: 'test' };
+
+  assert.equal((await cli(['find', 'users', '--filter', '{bad'], { env })).code, 2);
+  assert.equal((await cli(['frobnicate', 'users'], { env })).code, 2);
+  assert.equal((await cli(['find'], { env })).code, 2);
+  assert.equal((await cli(['find', 'users', '--limit'], { env })).code, 2);
+  assert.equal((await cli(['--help'])).code, 0);
+  assert.deepEqual(parseArgs(['find', 'users', '--site-id=abc', '--json']), { _: ['find', 'users'], flags: { siteId: 'abc', json: true } });
+});
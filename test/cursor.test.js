@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, softDelete } from '../index.js';
+
+const connect = (data) => new DBConnection({ siteId: 'test', transport: new MemoryTransport({ data }) });
+const items = () => connect({ items: Array.from({ length: 23 }, (_, n) => ({ n })) }).model('items');
+
+test('cursor() walks every match in batches', async () => {
+  const seen = [];
+  for await (const item of items().find().gte('n', 3).sort({ n: 1 }).cursor({ batchSize: 5 })) {
+    seen.push(item.n);
+  }
+  assert.deepEqual(seen, Array.from({ length: 20 }, (_, i) => i + 3));
+});
+
+test('cursor() honours skip and limit', async () => {
+  const seen = [];
+  for await (const item of items().find().sort({ n: 1 }).skip(2).limit(7).cursor({ batchSize: 3 })) {
+    seen.push(item.n);
+  }
+  assert.deepEqual(seen, [2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('eachBatch() passes each batch with its index and returns the total', async () => {
+  const batches = [];
+  const total = await items().find().eachBatch((batch, index) => { batches.push([index, batch.length]); }, { batchSize: 10 });
+
+  assert.equal(total, 23);
+  assert.deepEqual(batches, [[0, 10], [1, 10], [2, 3]]);
+});
+
+test('paginate() returns a page with totals', async () => {
+  const page = await items().find().lt('n', 20).sort({ n: -1 }).paginate({ page: 2, perPage: 6 });
+
+  assert.deepEqual(page.items.map(item => item.n), [13, 12, 11, 10, 9, 8]);
+  assert.equal(page.total, 20);
+  assert.equal(page.page, 2);
+  assert.equal(page.pages, 4);
+  assert.equal(page.hasNext, true);
+});
+
+test('paginate() counts with the filters set by find hooks', async () => {
+  const db = connect({ posts: Array.from({ length: 7 }, (_, i) => ({ pub: i % 2 === 0 })) });
+  const Post = db.model('posts');
+  let counted = 0;
+  Post.pre('find', context => { context.filters = { ...context.filters, pub: true }; });
+  Post.pre('count', () => { counted++; });
+
+  const page = await Post.find().paginate({ page: 1, perPage: 3 });
+  assert.equal(page.total, 4);
+  assert.equal(page.items.length, 3);
+  assert.equal(page.pages, 2);
+  assert.equal(counted, 0);
+
+  const Note = db.model('notes');
+  Note.plugin(softDelete);
+  await Note.insertMany([{ a: 1 }, { a: 2 }, { a: 3 }]);
+  await Note.deleteOne({ a: 1 });
+
+  const notes = await Note.find().paginate({ perPage: 10 });
+  assert.equal(notes.total, 2);
+  assert.equal(notes.items.length, 2);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, Document, MemoryTransport, NotFoundError } from '../index.js';
+
+// MemoryTransport recording the method, path and body of every request sent
+const recording = () => {
+  const transport = new MemoryTransport();
+  const request = transport.request.bind(transport);
+  transport.sent = [];
+  transport.request = (url, init) => {
+    transport.sent.push({ method: init.method, path: decodeURIComponent(url.split('?')[0]), body: init.body ? JSON.parse(init.body) : null });
+    return request(url, init);
+  };
+  return transport;
+};
+
+const connect = (transport) => {
+  const db = new DBConnection({ siteId: 'test', transport });
+  return db.model('users', { name: 'string', age: 'number', tags: ['string'] }, { documents: true });
+};
+
+test('documents track modified fields and save only those', async () => {
+  const transport = recording();
+  const User = connect(transport);
+  await User.create({ name: 'a', age: 1, tags: ['x'] });
+
+  const user = await User.findById('1');
+  assert.ok(user instanceof Document);
+  assert.equal(user.isModified(), false);
+  assert.deepEqual(JSON.parse(JSON.stringify(user)), { id: '1', name: 'a', age: 1, tags: ['x'] });
+
+  user.age = 2;
+  user.tags.push('y');
+  assert.deepEqual(user.modifiedPaths(), ['age', 'tags']);
+  assert.equal(user.isModified('age'), true);
+  assert.equal(user.isModified('name'), false);
+
+  transport.sent.length = 0;
+  await user.save();
+  assert.deepEqual(transport.sent, [{
+    method: 'PATCH',
+    path: '/api/v1/test/collections/users/records/1',
+    body: { fields: [{ field_name: 'age', field_value: 2 }, { field_name: 'tags', field_value: ['x', 'y'] }] }
+  }]);
+  assert.equal(user.isModified(), false);
+
+  await user.save();
+  assert.equal(transport.sent.length, 1, 'nothing is sent without changes');
+});
+
+test('reload() discards local changes and remove() deletes the record', async () => {
+  const User = connect(new MemoryTransport());
+  await User.create({ name: 'a', age: 1 });
+  const user = await User.findById('1');
+
+  await User.updateOne({ id: '1' }, { name: 'server' });
+  user.age = 99;
+  await user.reload();
+  assert.deepEqual(user.toJSON(), { id: '1', name: 'server', age: 1 });
+  assert.equal(user.isModified(), false);
+
+  await (await User.findOne({ name: 'server' })).remove();
+  await assert.rejects(user.reload(), NotFoundError);
+});
+
+test('lean() and the documents option choose between plain objects and documents', async () => {
+  const db = new DBConnection({ siteId: 'test', transport: new MemoryTransport({ data: { users: [{ name: 'a' }], posts: [{ t: 1 }] } }) });
+  const User = db.model('users', null, { documents: true });
+  const Post = db.model('posts');
+
+  assert.equal((await User.find().lean().exec())[0] instanceof Document, false);
+  assert.equal((await Post.findOne()) instanceof Document, false);
+  assert.equal((await Post.find().lean(false).exec())[0] instanceof Document, true);
+});
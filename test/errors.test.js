@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DBConnection,
+  MemoryTransport,
+  WebCakeError,
+  NotFoundError,
+  ValidationError,
+  AuthError,
+  NetworkError
+} from '../index.js';
+
+const reply = (status, payload) => async () => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: () => 'application/json' },
+  json: async () => payload
+});
+
+const connect = (fetch) => new DBConnection({ siteId: 'test', fetch, retry: false });
+
+test('errors carry the status, payload and request context', async () => {
+  const db = new DBConnection({ siteId: 'test', transport: new MemoryTransport() });
+
+  const error = await db.model('users').findByIdAndDelete('9').catch(e => e);
+  assert.ok(error instanceof NotFoundError);
+  assert.ok(error instanceof WebCakeError);
+  assert.equal(error.name, 'NotFoundError');
+  assert.equal(error.status, 404);
+  assert.equal(error.collection, 'users');
+  assert.equal(error.operation, 'deleteById');
+  assert.deepEqual(error.filters, { id: '9' });
+  assert.equal(error.payload.success, false);
+});
+
+test('HTTP statuses map to error classes', async () => {
+  const cases = [[400, ValidationError], [422, ValidationError], [401, AuthError], [403, AuthError], [404, NotFoundError], [500, WebCakeError]];
+
+  for (const [status, ErrorClass] of cases) {
+    const error = await connect(reply(status, { success: false, message: 'nope' })).model('users').find().exec().catch(e => e);
+    assert.ok(error instanceof ErrorClass, `${status} -> ${error.name}`);
+    assert.equal(error.status, status);
+    assert.match(error.message, /nope/);
+  }
+});
+
+test('server validation errors expose their field list', async () => {
+  const errors = [{ path: 'email', kind: 'required', message: 'email is required' }];
+  const error = await connect(reply(422, { success: false, message: 'Invalid', errors })).model('users').create({}).catch(e => e);
+
+  assert.ok(error instanceof ValidationError);
+  assert.deepEqual(error.errors, errors);
+});
+
+test('a success: false payload is an error even with status 200', async () => {
+  const error = await connect(reply(200, { success: false, message: 'Quota exceeded' })).model('users').find().exec().catch(e => e);
+
+  assert.ok(error instanceof WebCakeError);
+  assert.match(error.message, /Quota exceeded/);
+});
+
+test('transport failures become NetworkErrors with the cause', async () => {
+  const cause = new Error('socket hang up');
+  const error = await connect(async () => { throw cause; }).model('users').find().exec().catch(e => e);
+
+  assert.ok(error instanceof NetworkError);
+  assert.equal(error.cause, cause);
+  assert.equal(error.status, null);
+  assert.match(error.message, /socket hang up/);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, ValidationError, matches, validateFilters } from '../index.js';
+
+const docs = [
+  { id: '1', name: 'Ann', age: 30, tags: ['a'] },
+  { id: '2', name: 'bob', age: 17 },
+  { id: '3', name: 'Cid', age: null, tags: ['b', 'a'] },
+  { id: '4', name: 'Dee', age: 45 }
+];
+
+test('applyTo() gives the same results as the server', async () => {
+  const User = new DBConnection({ siteId: 'test', transport: new MemoryTransport({ data: { users: docs } }) }).model('users');
+  const queries = [
+    User.find().gte('age', 18).sort({ age: -1 }).select(['name']),
+    User.find().or({ age: { $lt: 18 } }, query => query.like('name', 'C%')).sort({ name: 1 }).skip(1).limit(1),
+    User.find({ tags: 'a' }).nor([{ age: 30 }]),
+    User.find().between('age', 20, 40).ne('name', 'x'),
+    User.find().not({ age: { $in: [30, 45] } }).select('-tags'),
+    User.find({ age: { $not: { $gt: 20 } } }),
+    User.find({ age: null })
+  ];
+
+  for (const query of queries) {
+    assert.deepEqual(query.applyTo(docs), await query.exec(), JSON.stringify(query.filters));
+  }
+});
+
+test('test() and matches() evaluate a single record', () => {
+  const User = new DBConnection({ siteId: 'test', transport: new MemoryTransport() }).model('users');
+
+  assert.equal(User.find().gt('age', 20).test(docs[0]), true);
+  assert.equal(User.find().gt('age', 20).test(docs[1]), false);
+  assert.equal(matches(docs[1], { age: { $lt: 18 } }), true);
+  assert.equal(matches(docs[2], { tags: { $in: ['b'] }, age: { $gt: 1 } }), false);
+});
+
+test('Dates and ISO date strings compare by timestamp', () => {
+  const iso = '2024-05-01T10:00:00.000Z';
+  const date = new Date(iso);
+  const Event = new DBConnection({ siteId: 'test', transport: new MemoryTransport() }).model('events');
+
+  assert.equal(Event.find({ at: { $gt: '2024-05-01T09:00:00Z' } }).test({ at: date }), true);
+  assert.equal(Event.find({ at: { $lt: new Date('2024-06-01') } }).test({ at: iso }), true);
+  assert.equal(Event.find({ at: { $gte: new Date(iso) } }).test({ at: date }), true);
+  assert.equal(Event.find({ at: iso }).test({ at: date }), true);
+  assert.equal(Event.find({ at: { $in: ['2024-05-01T10:00:00Z'] } }).test({ at: date }), true);
+  assert.equal(Event.find({ at: { $between: ['2024-01-01', '2024-12-31'] } }).test({ at: date }), true);
+  assert.equal(Event.find({ at: { $ne: iso } }).test({ at: date }), false);
+  assert.equal(Event.find({ at: { $gt: date } }).test({ at: 'not a date' }), false);
+
+  const events = [{ id: '1', at: new Date('2024-01-01') }, { id: '2', at: date }];
+  assert.deepEqual(Event.find().gte('at', '2024-03-01').applyTo(events).map(event => event.id), ['2']);
+});
+
+test('invalid filters are rejected before anything is sent', async () => {
+  for (const filters of [{ age: { $regex: 'x' } }, { $xor: [] }, { age: { $in: 5 } }, { age: { $gt: 1, x: 1 } }, { $or: {} }]) {
+    assert.throws(() => validateFilters(filters), error => error instanceof ValidationError && error.status === 400);
+  }
+
+  let sent = 0;
+  const transport = new MemoryTransport();
+  const request = transport.request.bind(transport);
+  transport.request = (url, init) => { sent++; return request(url, init); };
+  const error = await new DBConnection({ siteId: 'test', transport }).model('users').find().where('age', '$regex', 'x').exec().catch(e => e);
+
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.collection, 'users');
+  assert.equal(error.operation, 'query');
+  assert.equal(sent, 0);
+});
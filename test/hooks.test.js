@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport } from '../index.js';
+
+const connect = (data) => {
+  const transport = new MemoryTransport({ data });
+  return { transport, db: new DBConnection({ siteId: 'test', transport }) };
+};
+
+test('pre hooks can change the data before it is validated and sent', async () => {
+  const { db } = connect();
+  const Post = db.model('posts', { title: 'string', slug: { type: 'string', required: true } });
+  Post.pre('create', context => {
+    context.data.slug = context.data.title.toLowerCase().replace(/\s+/g, '-');
+  });
+
+  const post = await Post.create({ title: 'Hello World' });
+  assert.equal(post.slug, 'hello-world');
+});
+
+test('find hooks change the filters and the result', async () => {
+  const { db } = connect({ posts: [{ title: 'a' }, { title: 'b', hidden: true }] });
+  const Post = db.model('posts');
+  Post.pre('find', context => { context.filters.hidden = { $ne: true }; });
+  Post.post('find', context => { context.result = context.result.map(post => ({ ...post, seen: true })); });
+
+  assert.deepEqual(await Post.find(), [{ id: '1', title: 'a', seen: true }]);
+});
+
+test('a throwing pre hook cancels the operation', async () => {
+  const { db, transport } = connect({ posts: [{ title: 'a' }] });
+  const Post = db.model('posts');
+  Post.pre('delete', context => {
+    if (Object.keys(context.filters).length === 0) {
+      throw new Error('refusing to delete everything');
+    }
+  });
+
+  await assert.rejects(Post.deleteMany({}), /refusing to delete everything/);
+  assert.equal(transport.getRecords('posts').length, 1);
+});
+
+test('operations use the id, filters, data and options left by pre hooks', async () => {
+  const { db, transport } = connect({ posts: [{ id: '1', t: 'a' }, { id: '2', t: 'b' }] });
+  const Post = db.model('posts');
+  Post.pre(['update', 'delete'], context => {
+    if (context.filters.id === '1') {
+      context.filters = { id: '2' };
+    }
+  });
+  Post.pre('update', context => {
+    context.options = { ...context.options, new: true };
+    context.data = { t: 'z' };
+  });
+
+  const updated = await Post.findByIdAndUpdate('1', { t: 'q' });
+  assert.equal(updated.id, '2');
+  assert.equal(updated.t, 'z');
+
+  await Post.findByIdAndDelete('1');
+  assert.deepEqual(transport.getRecords('posts').map(post => post.id), ['1']);
+});
+
+test('hooks receive the operation name and the model', async () => {
+  const { db } = connect();
+  const User = db.model('users');
+  const seen = [];
+  User.post(['create', 'count'], context => { seen.push([context.operation, context.model === User]); });
+
+  await User.create({ name: 'Ann' });
+  await User.insertMany([{ name: 'Bob' }]);
+  await User.countDocuments();
+
+  assert.deepEqual(seen, [['create', true], ['insertMany', true], ['countDocuments', true]]);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, ValidationError } from '../index.js';
+
+const connect = () => {
+  const transport = new MemoryTransport();
+  return { transport, db: new DBConnection({ siteId: 'test', transport }) };
+};
+
+const collect = async (chunks) => {
+  let text = '';
+  for await (const chunk of chunks) {
+    text += chunk;
+  }
+  return text;
+};
+
+const userSchema = { name: { type: 'string', required: true }, age: 'number', code: 'string', tags: 'array', extra: {} };
+
+test('CSV imports map columns, cast cells and report rejected rows', async () => {
+  const { db, transport } = connect();
+  const User = db.model('users', userSchema);
+  const csv = 'full_name,age,code,tags,extra\n"Ann, A",30,007,"[""a""]",true\nBob,x,01,,12\n"Multi\nLine",5,2,,\n,3,,,\n';
+  const progress = [];
+  const errors = [];
+
+  const report = await User.import(csv, {
+    format: 'csv',
+    batchSize: 2,
+    mapping: { full_name: 'name' },
+    onProgress: update => progress.push(update),
+    onError: (error, { index }) => errors.push([index, error.message])
+  });
+
+  assert.equal(report.total, 4);
+  assert.equal(report.inserted, 2);
+  assert.deepEqual(report.rejected.map(entry => [entry.index, entry.error.name]), [[1, 'ValidationError'], [3, 'ValidationError']]);
+  assert.deepEqual(errors.map(([index]) => index), [1, 3]);
+  assert.deepEqual(progress, [{ processed: 3, inserted: 2, rejected: 1 }, { processed: 4, inserted: 2, rejected: 2 }]);
+  assert.deepEqual(transport.getRecords('users'), [
+    { id: '1', name: 'Ann, A', age: 30, code: '007', tags: ['a'], extra: true },
+    { id: '2', name: 'Multi\nLine', age: 5, code: '2' }
+  ]);
+});
+
+test('exports stream NDJSON, JSON and CSV', async () => {
+  const { db } = connect();
+  const User = db.model('users', userSchema);
+  await User.insertMany([{ name: 'Ann, A', age: 30 }, { name: 'Multi\nLine', age: 5 }]);
+
+  assert.equal(await collect(User.export({ format: 'csv', batchSize: 1, select: 'name age' })), 'id,name,age\n1,"Ann, A",30\n2,"Multi\nLine",5\n');
+  assert.equal(JSON.parse(await collect(User.export({ format: 'json', batchSize: 1 }))).length, 2);
+  assert.deepEqual((await collect(User.export({ batchSize: 2 }))).trim().split('\n').map(line => JSON.parse(line).id), ['1', '2']);
+  assert.equal(await collect(User.export({ format: 'csv', filters: { name: 'zzz' }, select: ['name'] })), 'id,name\n');
+  await assert.rejects(collect(User.export({ format: 'xml' })), /Unsupported format "xml"/);
+});
+
+test('NDJSON imports accept split chunks and report bad lines with their line number', async () => {
+  const { db, transport } = connect();
+  const Post = db.model('posts');
+  const buffer = Buffer.from('{"n":"é€"}\n{"n":2}');
+
+  const split = await Post.import([buffer.subarray(0, 9), buffer.subarray(9)], { mapping: row => (row.n === 2 ? null : row) });
+  assert.deepEqual(split, { total: 2, inserted: 1, skipped: 1, rejected: [] });
+  assert.equal(transport.getRecords('posts')[0].n, 'é€');
+
+  const seen = [];
+  const report = await Post.import(['{"a":1}\n{"a":', '2}\n\n{bad\n{"a":3}\n{"a":'], { onError: (error, info) => seen.push(info) });
+  assert.equal(report.total, 5);
+  assert.equal(report.inserted, 3);
+  assert.deepEqual(report.rejected.map(entry => [entry.index, entry.line, entry.row]), [[2, 4, '{bad'], [4, 6, '{"a":']]);
+  assert.ok(report.rejected[0].error instanceof ValidationError);
+  assert.match(report.rejected[0].error.message, /line 4/);
+  assert.deepEqual(seen, [{ index: 2, row: '{bad', line: 4 }, { index: 4, row: '{"a":', line: 6 }]);
+
+  const json = await Post.import('[\n{"a":1},\n{"a":2,}\n]', { format: 'json' });
+  assert.equal(json.inserted, 0);
+  assert.equal(json.rejected[0].line, 3);
+});
+
+test('rows that are not objects are rejected with the model context', async () => {
+  const { db } = connect();
+  const report = await db.model('posts').import('[1, {"a":2}]', { format: 'json' });
+
+  assert.equal(report.inserted, 1);
+  const { error } = report.rejected[0];
+  assert.ok(error instanceof ValidationError);
+  assert.match(error.message, /Import rows must be objects/);
+  assert.equal(error.collection, 'posts');
+  assert.equal(error.operation, 'import');
+});
+
+test('a failed batch falls back to inserting its rows one by one', async () => {
+  const { db } = connect();
+  const Row = db.model('rows');
+  const insertMany = Row.insertMany.bind(Row);
+  Row.insertMany = async (rows, options) => {
+    if (rows.some(row => row.bad)) {
+      throw new ValidationError('bad', { status: 400 });
+    }
+    return insertMany(rows, options);
+  };
+  Row.create = async (row, options) => {
+    if (row.bad) {
+      throw new Error('row bad');
+    }
+    return insertMany([row], options);
+  };
+
+  const report = await Row.import([{ a: 1 }, { a: 2, bad: true }, { a: 3 }], { batchSize: 5 });
+  assert.equal(report.inserted, 2);
+  assert.deepEqual(report.rejected.map(entry => `${entry.index}:${entry.error.message}`), ['1:row bad']);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, NetworkError, NotFoundError } from '../index.js';
+
+// Connection over a MemoryTransport keeping the last request init it received
+const connect = (options = {}) => {
+  const memory = new MemoryTransport({ data: { users: [{ name: 'a' }] } });
+  const transport = { last: null, request: (url, init) => { transport.last = init; return memory.request(url, init); } };
+  return { transport, db: new DBConnection({ siteId: 'test', transport, token: 'T', ...options }) };
+};
+
+test('request interceptors change requests until they are removed', async () => {
+  const { db, transport } = connect();
+  const remove = db.interceptors.request.use(config => ({ ...config, headers: { ...config.headers, 'X-Trace': 'abc' } }));
+  db.interceptors.request.use(config => {
+    if (config.body && config.body.fields) {
+      config.body.fields.push({ field_name: 'tagged', field_value: true });
+    }
+  });
+
+  const created = await db.model('users').create({ name: 'b' });
+  assert.equal(transport.last.headers['X-Trace'], 'abc');
+  assert.equal(transport.last.headers.Authorization, 'Bearer T');
+  assert.equal(created.tagged, true);
+
+  remove();
+  await db.model('users').countDocuments();
+  assert.equal(transport.last.headers['X-Trace'], undefined);
+});
+
+test('a request interceptor can answer without sending or block the request', async () => {
+  const { db, transport } = connect();
+  const remove = db.interceptors.request.use(config => (config.operation === 'count' ? { ...config, response: { success: true, data: { count: 42 } } } : config));
+
+  assert.equal(await db.model('users').countDocuments({ x: 1 }), 42);
+  assert.equal(transport.last, null);
+  remove();
+
+  db.interceptors.request.use(config => {
+    if (config.operation === 'exists') {
+      throw new Error('blocked');
+    }
+  });
+  await assert.rejects(db.model('users').exists({ a: 1 }), /blocked/);
+});
+
+test('response interceptors can replace the payload', async () => {
+  const { db } = connect();
+  db.interceptors.response.use((response, config) => {
+    if (config.operation === 'query') {
+      return { ...response, payload: { ...response.payload, data: response.payload.data.map(record => ({ ...record, seen: 1 })) } };
+    }
+  });
+
+  assert.deepEqual(await db.model('users').find().lean().exec(), [{ id: '1', name: 'a', seen: 1 }]);
+});
+
+test('request, response and error events describe each attempt', async () => {
+  const { db } = connect();
+  const log = [];
+  db.on('request', event => log.push(['request', event.requestId, event.operation, event.method, event.size > 0]));
+  db.on('response', event => log.push(['response', event.requestId, event.status, event.ok, typeof event.duration]));
+  db.on('error', (error, event) => log.push(['error', event.requestId, error.name, event.status]));
+
+  await db.model('users').create({ name: 'b' });
+  await db.updateById('users', '999', [{ field_name: 'a', field_value: 1 }]).catch(() => {});
+
+  assert.deepEqual(log, [
+    ['request', 1, 'insertOne', 'POST', true],
+    ['response', 1, 200, true, 'number'],
+    ['request', 2, 'updateById', 'PATCH', true],
+    ['response', 2, 404, false, 'number'],
+    ['error', 2, 'NotFoundError', 404]
+  ]);
+});
+
+test('retried network failures emit one error per attempt', async () => {
+  let sent = 0;
+  const db = new DBConnection({ siteId: 'test', transport: { request: () => { sent++; throw new Error('down'); } }, retry: { attempts: 2, minDelay: 1, jitter: false } });
+  const errors = [];
+  db.on('error', (error, event) => errors.push([error.name, event.requestId]));
+
+  await assert.rejects(db.model('users').countDocuments(), NetworkError);
+  assert.equal(sent, 2);
+  assert.deepEqual(errors, [['NetworkError', 1], ['NetworkError', 2]]);
+});
+
+test('an HTTP error without error listeners still rejects with its class', async () => {
+  const db = new DBConnection({ siteId: 'test', transport: new MemoryTransport() });
+  await assert.rejects(db.updateById('users', '999', [{ field_name: 'a', field_value: 1 }]), NotFoundError);
+});
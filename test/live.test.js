@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, PollingStrategy } from '../index.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Strategy that never refreshes on its own: tests call refresh() themselves
+const manual = () => ({ started: 0, stopped: 0, start() { this.started++; }, stop() { this.stopped++; } });
+
+test('refresh() emits the inserted, updated and deleted documents after the initial load', async () => {
+  const db = new DBConnection({ siteId: 'test', transport: new MemoryTransport(), cache: true });
+  const User = db.model('users');
+  await User.create({ name: 'a', age: 20 });
+
+  const live = User.watch({ age: { $gte: 18 } }, { strategy: manual() });
+  const log = [];
+  live.on('insert', doc => log.push(['insert', doc.name]));
+  live.on('update', (doc, previous) => log.push(['update', previous.name, doc.name]));
+  live.on('delete', doc => log.push(['delete', doc.name]));
+  live.subscribe(change => log.push(['change', change.initial, change.snapshot.length]));
+
+  await live.refresh();
+  await User.create({ name: 'b', age: 30 });
+  await User.updateOne({ name: 'a' }, { name: 'a2' });
+  await live.refresh();
+  await User.updateOne({ name: 'b' }, { age: 10 });
+  await live.refresh();
+
+  assert.deepEqual(log, [
+    ['change', true, 1],
+    ['insert', 'b'], ['update', 'a', 'a2'], ['change', false, 2],
+    ['delete', 'b'], ['change', false, 1]
+  ]);
+});
+
+test('the strategy runs while there are subscribers', () => {
+  const User = new DBConnection({ siteId: 'test', transport: new MemoryTransport() }).model('users');
+  const strategy = manual();
+  const live = User.find().live({ strategy });
+
+  const first = live.subscribe(() => {});
+  const second = live.subscribe({ insert: () => {} });
+  assert.equal(strategy.started, 1);
+  assert.equal(live.running, true);
+
+  first();
+  first();
+  assert.equal(live.running, true);
+  second();
+  assert.equal(live.running, false);
+  assert.equal(strategy.stopped, 1);
+});
+
+test('late subscribers receive the current snapshot and pushed results are diffed', () => {
+  const User = new DBConnection({ siteId: 'test', transport: new MemoryTransport() }).model('users');
+  const live = User.find().live({ strategy: { start: liveQuery => liveQuery.apply([{ id: 'x' }]), stop() {} } });
+  live.subscribe(() => {});
+
+  const changes = [];
+  live.subscribe({ change: change => changes.push(change) });
+  assert.deepEqual(changes, [{ snapshot: [{ id: 'x' }], inserted: [], updated: [], deleted: [], initial: true }]);
+});
+
+test('PollingStrategy backs off while the tab is hidden and resumes when visible', async () => {
+  const listeners = {};
+  globalThis.document = {
+    hidden: true,
+    addEventListener: (event, listener) => { listeners[event] = listener; },
+    removeEventListener: event => { delete listeners[event]; }
+  };
+
+  try {
+    let refreshes = 0;
+    const polling = new PollingStrategy({ interval: 10, maxInterval: 40 });
+    polling.start({ refresh: async () => refreshes++ });
+    await sleep(120);
+    assert.equal(polling.delay, 40);
+
+    const before = refreshes;
+    document.hidden = false;
+    listeners.visibilitychange();
+    await sleep(5);
+    assert.equal(polling.delay, 10);
+    assert.ok(refreshes > before);
+
+    polling.stop();
+    assert.deepEqual(Object.keys(listeners), []);
+  } finally {
+    delete globalThis.document;
+  }
+});
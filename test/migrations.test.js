@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { DBConnection, MemoryTransport, Migrator } from '../index.js';
+
+const connect = (data) => {
+  const transport = new MemoryTransport({ data });
+  return { transport, db: new DBConnection({ siteId: 'test', transport }) };
+};
+
+const noop = names => names.map(name => ({ name, up() {}, down() {} }));
+
+test('migrations are loaded from a directory and applied in order', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webcake-migrations-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, '001-add-role.js'), [
+    "export async function up(db) { await db.model('users').updateMany({}, { role: 'user' }); }",
+    "export async function down(db) { await db.model('users').updateMany({}, { $unset: { role: '' } }); }"
+  ].join('\n'));
+  await fs.writeFile(path.join(dir, '002-rename.mjs'),
+    "export default { async up(db) { await db.model('users').updateMany({ role: 'user' }, { role: 'member' }); } };");
+
+  const { db, transport } = connect({ users: [{ name: 'a' }, { name: 'b' }] });
+  const migrator = new Migrator(db, { directory: dir });
+  const events = [];
+  migrator.on('migrated', event => events.push(`${event.name}:${event.direction}`));
+
+  assert.deepEqual((await migrator.status()).map(entry => [entry.name, entry.applied]), [['001-add-role', false], ['002-rename', false]]);
+  assert.deepEqual(await migrator.up({ dryRun: true }), ['001-add-role', '002-rename']);
+  assert.equal(transport.getRecords('_migrations').length, 0);
+
+  assert.deepEqual(await migrator.up({ to: '001-add-role' }), ['001-add-role']);
+  assert.deepEqual(transport.getRecords('users').map(user => user.role), ['user', 'user']);
+  assert.deepEqual(await migrator.up(), ['002-rename']);
+  assert.deepEqual(transport.getRecords('users').map(user => user.role), ['member', 'member']);
+  assert.deepEqual(await migrator.up(), []);
+  assert.deepEqual(events, ['001-add-role:up', '002-rename:up']);
+
+  await assert.rejects(migrator.down(), /"002-rename" has no down\(\)/);
+  assert.deepEqual(transport.getRecords('_migrations').map(record => `${record.type}:${record.name}`), ['migration:001-add-role', 'migration:002-rename']);
+});
+
+test('a failing migration stops the run and stays pending', async () => {
+  const { db } = connect();
+  const migrator = new Migrator(db, { migrations: [{ name: '1', up() {} }, { name: '2', up() { throw new Error('boom'); } }, { name: '3', up() {} }] });
+
+  const error = await migrator.up().catch(e => e);
+  assert.match(error.message, /Migration "2" up failed: boom/);
+  assert.equal(error.migration, '2');
+  assert.deepEqual((await migrator.status()).map(entry => [entry.name, entry.applied]), [['1', true], ['2', false], ['3', false]]);
+});
+
+test('down() reverts by steps or down to a migration', async () => {
+  const { db } = connect();
+  const migrator = new Migrator(db, { migrations: noop(['a', 'b', 'c']) });
+  await migrator.up();
+
+  assert.deepEqual(await migrator.down({ dryRun: true, steps: 2 }), ['c', 'b']);
+  assert.deepEqual(await migrator.down({ to: 'a' }), ['c', 'b']);
+  assert.deepEqual((await migrator.status()).map(entry => [entry.name, entry.applied]), [['a', true], ['b', false], ['c', false]]);
+
+  const status = await new Migrator(db, { migrations: noop(['b']) }).status();
+  assert.deepEqual(status.map(entry => [entry.name, entry.applied, entry.missing]), [['a', true, true], ['b', false, false]]);
+});
+
+test('a lock prevents concurrent runs until it expires or is removed', async () => {
+  const { db, transport } = connect();
+  let nested;
+  const inner = new Migrator(db, { migrations: noop(['y']) });
+  const outer = new Migrator(db, { migrations: [{ name: 'x', up: async () => { nested = await inner.up().catch(e => e); } }] });
+
+  assert.deepEqual(await outer.up(), ['x']);
+  assert.equal(nested.status, 409);
+  assert.match(nested.message, /locked by another run/);
+  assert.equal(transport.getRecords('_migrations').filter(record => record.type === 'lock').length, 0);
+
+  await db.model('expired').create({ type: 'lock', name: '__lock__', owner: 'old', lockedAt: '2000-01-01T00:00:00.000Z', expiresAt: '2000-01-01T00:10:00.000Z' });
+  assert.deepEqual(await new Migrator(db, { collection: 'expired', migrations: noop(['z']) }).up(), ['z']);
+
+  await db.model('held').create({ type: 'lock', name: '__lock__', owner: 'o', lockedAt: new Date().toISOString(), expiresAt: '2999-01-01T00:00:00.000Z' });
+  const held = new Migrator(db, { collection: 'held', migrations: noop(['z']) });
+  await assert.rejects(held.up(), error => error.status === 409);
+  assert.equal(await held.unlock(), 1);
+  assert.deepEqual(await held.up(), ['z']);
+});
+
+test('invalid migration lists are rejected', () => {
+  const { db } = connect();
+
+  assert.throws(() => new Migrator(db, { migrations: [{ up() {} }] }), /Every migration needs a name/);
+  assert.throws(() => new Migrator(db, { migrations: [{ name: 'a' }] }), /must export an up\(\) function/);
+  assert.throws(() => new Migrator(db, { migrations: [{ name: 'a', up() {} }, { name: 'a', up() {} }] }), /Duplicate migration "a"/);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, NetworkError, OfflineError, TimeoutError } from '../index.js';
+
+// MemoryTransport whose network can be switched 'up', 'down' (connection refused) or 'hang'
+const flaky = (data) => {
+  const transport = new MemoryTransport({ data });
+  const request = transport.request.bind(transport);
+  transport.mode = 'down';
+  transport.request = (url, init) => {
+    if (transport.mode === 'up') {
+      return request(url, init);
+    }
+    return transport.mode === 'hang' ? new Promise(() => {}) : Promise.reject(new Error('ECONNREFUSED'));
+  };
+  return transport;
+};
+
+const connect = (transport, offline = {}) => new DBConnection({ siteId: 'test', transport, retry: false, offline: { autoReplay: false, ...offline } });
+
+test('writes failing on the network are queued and replayed in order', async () => {
+  const transport = flaky();
+  const conflicts = [];
+  const db = connect(transport, { onConflict: error => { conflicts.push(error.message); return 'discard'; } });
+  const User = db.model('users');
+  let drained = false;
+  db.offline.on('drained', () => { drained = true; });
+
+  assert.equal((await User.create({ name: 'a' })).queued, true);
+  assert.equal((await User.updateMany({ name: 'a' }, { name: 'b' })).queued, true);
+  assert.equal((await User.findByIdAndDelete('77')).queued, true);
+
+  transport.mode = 'up';
+  assert.equal((await User.create({ name: 'c' })).queued, true, 'queued behind pending writes');
+  assert.equal(db.offline.size, 4);
+
+  assert.deepEqual(await db.offline.replay(), { replayed: 3, remaining: 0 });
+  assert.equal(conflicts.length, 1);
+  assert.match(conflicts[0], /77 not found/);
+  assert.ok(drained);
+  assert.deepEqual(transport.getRecords('users'), [{ id: '1', name: 'b' }, { id: '2', name: 'c' }]);
+});
+
+test('writes cancelled by their signal are not queued', async () => {
+  const transport = new MemoryTransport();
+  transport.request = (url, init) => new Promise((resolve, reject) => {
+    if (init.signal.aborted) {
+      reject(new Error('aborted'));
+    }
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  const db = connect(transport);
+
+  const controller = new AbortController();
+  const pending = db.model('posts').create({ t: 1 }, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(pending, NetworkError);
+  assert.equal(db.offline.size, 0);
+
+  await db.offline.enqueue({ operation: 'insertOne', collection: 'posts', method: 'POST', path: '/x', body: {} });
+  await assert.rejects(db.model('posts').create({ t: 2 }, { signal: AbortSignal.abort() }), NetworkError);
+  assert.equal(db.offline.size, 1);
+});
+
+test('replay timeouts keep idempotent writes and report the others as conflicts', async () => {
+  const transport = flaky();
+  const db = connect(transport);
+  const conflicts = [];
+  db.offline.on('conflict', (error, entry) => conflicts.push([error, entry.request.operation]));
+  const Post = db.model('posts');
+
+  await Post.create({ t: 1 });
+  await Post.findByIdAndUpdate('9', { t: 2 });
+  assert.deepEqual(await db.offline.replay(), { replayed: 0, remaining: 2 });
+
+  transport.mode = 'hang';
+  db.timeout = 20;
+  assert.deepEqual(await db.offline.replay(), { replayed: 0, remaining: 1 });
+  assert.equal(conflicts.length, 1);
+  assert.ok(conflicts[0][0] instanceof TimeoutError);
+  assert.equal(conflicts[0][1], 'insertOne');
+});
+
+test('updates that need a read reject with OfflineError instead of queueing', async () => {
+  const transport = flaky({ posts: [{ id: '1', n: 1 }] });
+  const db = connect(transport);
+  const Post = db.model('posts');
+
+  await assert.rejects(Post.updateOne({ id: '1' }, { $inc: { n: 1 } }), error => error instanceof OfflineError && error.operation === 'updateOne');
+  assert.equal((await Post.updateOne({ id: '1' }, { $set: { n: 5 } })).queued, true);
+
+  transport.mode = 'up';
+  await assert.rejects(Post.findByIdAndUpdate('1', { $inc: { n: 1 } }), /pending/);
+  await db.offline.replay();
+  await Post.updateOne({ id: '1' }, { $inc: { n: 1 } });
+  assert.equal(transport.getRecords('posts')[0].n, 6);
+
+  transport.mode = 'down';
+  const online = new DBConnection({ siteId: 'test', transport, retry: false }).model('posts');
+  await assert.rejects(online.updateOne({ id: '1' }, { $inc: { n: 1 } }), error => error instanceof NetworkError && !(error instanceof OfflineError));
+});
+
+test('close() removes the online listener and the retry timer', async () => {
+  const listeners = new Map();
+  globalThis.window = {
+    addEventListener: (event, listener) => listeners.set(event, listener),
+    removeEventListener: (event, listener) => {
+      if (listeners.get(event) === listener) {
+        listeners.delete(event);
+      }
+    }
+  };
+
+  try {
+    const db = connect(flaky(), { autoReplay: true, retryInterval: 1000 });
+    assert.equal(typeof listeners.get('online'), 'function');
+
+    await db.model('posts').create({ t: 1 });
+    assert.ok(db.offline._timer);
+
+    db.close();
+    assert.equal(listeners.has('online'), false);
+    assert.equal(db.offline._timer, null);
+    assert.equal(db.offline.size, 1);
+
+    await db.model('posts').create({ t: 2 });
+    assert.equal(db.offline._timer, null);
+  } finally {
+    delete globalThis.window;
+  }
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport } from '../index.js';
+
+const users = [
+  { name: 'a', age: 10, role: 'x' },
+  { name: 'b', age: 20, role: 'y' },
+  { name: 'c', age: 30, role: 'x' },
+  { name: 'd', age: 70, role: 'z' }
+];
+
+const model = () => new DBConnection({ siteId: 'test', transport: new MemoryTransport({ data: { users } }) }).model('users');
+const names = records => records.map(record => record.name);
+
+test('conditions on the same field are merged', async () => {
+  const query = model().find().gte('age', 18).lte('age', 65);
+
+  assert.deepEqual(query.filters, { age: { $gte: 18, $lte: 65 } });
+  assert.deepEqual(names(await query), ['b', 'c']);
+});
+
+test('or() takes filter objects and sub-query callbacks', async () => {
+  assert.deepEqual(names(await model().find().or({ role: 'z' }, query => query.lt('age', 15))), ['a', 'd']);
+});
+
+test('$or in a filter object combines with field conditions', async () => {
+  const found = await model().find({ $or: [{ role: 'x' }, { age: { $gt: 60 } }], age: { $gte: 20 } });
+  assert.deepEqual(names(found), ['c', 'd']);
+});
+
+test('a second or() is and-ed with the first', async () => {
+  const query = model().find().or({ role: 'x' }, { role: 'y' }).or({ age: 10 }, { age: 70 });
+
+  assert.deepEqual(query.filters, {
+    $or: [{ role: { $eq: 'x' } }, { role: { $eq: 'y' } }],
+    $and: [{ $or: [{ age: { $eq: 10 } }, { age: { $eq: 70 } }] }]
+  });
+  assert.deepEqual(names(await query), ['a']);
+});
+
+test('not(), nor() and $not negate conditions', async () => {
+  const User = model();
+
+  assert.deepEqual(names(await User.find().not(User.find().eq('role', 'x'))), ['b', 'd']);
+  assert.deepEqual(names(await User.find().nor({ role: 'x' }, { role: 'y' })), ['d']);
+  assert.deepEqual(names(await User.find({ age: { $not: { $gt: 15 } } })), ['a']);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, NotFoundError, Schema, softDelete, timestamps } from '../index.js';
+
+// Clock returning one second later on every call
+const clock = () => {
+  let seconds = 0;
+  return () => new Date(Date.UTC(2024, 0, 1, 0, 0, ++seconds)).toISOString();
+};
+
+const connect = () => {
+  const transport = new MemoryTransport();
+  return { transport, db: new DBConnection({ siteId: 'test', transport }) };
+};
+
+test('timestamps stamps creates, updates and upserts', async () => {
+  const { db, transport } = connect();
+  const Post = db.model('posts').plugin(timestamps, { now: clock() });
+
+  const created = await Post.create({ title: 'a' });
+  assert.equal(created.created_at, '2024-01-01T00:00:01.000Z');
+  assert.equal(created.updated_at, '2024-01-01T00:00:01.000Z');
+  const [kept] = await Post.insertMany([{ title: 'b', created_at: 'keep' }]);
+  assert.equal(kept.created_at, 'keep');
+
+  await Post.updateOne({ id: created.id }, { $inc: { views: 1 } });
+  assert.deepEqual(transport.getRecords('posts')[0], { ...created, views: 1, updated_at: '2024-01-01T00:00:03.000Z' });
+
+  await Post.updateOne({ title: 'c' }, { $set: { views: 1 } }, { upsert: true });
+  await Post.findByIdAndUpdate('99', { title: 'd' }, { upsert: true });
+  const upserted = transport.getRecords('posts').slice(2);
+  assert.deepEqual(upserted.map(post => [post.title, Boolean(post.created_at), Boolean(post.updated_at)]), [['c', true, true], ['d', true, true]]);
+});
+
+test('upserts run the create hooks for their insert', async () => {
+  const { db } = connect();
+  const Post = db.model('posts');
+  const events = [];
+  Post.pre(['update', 'create'], context => events.push(`${context.operation}:${context.model === Post}`));
+
+  await Post.findOneAndUpdate({ title: 'a' }, { views: 1 }, { upsert: true });
+  assert.deepEqual(events, ['findOneAndUpdate:true', 'findOneAndUpdate:true']);
+});
+
+test('timestamps and softDelete add their fields to strict schemas', async () => {
+  const { db } = connect();
+  db.plugin(timestamps);
+  const Post = db.model('posts', new Schema({ title: { type: String, required: true }, created_at: { type: Date, required: false } })).plugin(softDelete);
+
+  const post = await Post.create({ title: 'a' });
+  assert.ok(post.created_at instanceof Date && post.updated_at instanceof Date);
+  assert.equal(Post.schema.path('deleted_at').type, 'date');
+  assert.equal(Post.schema.path('created_at').required, false);
+  await assert.rejects(Post.create({ title: 'x', other: 1 }), /not defined/);
+});
+
+test('softDelete hides deleted documents until they are restored', async () => {
+  const { db, transport } = connect();
+  const Post = db.model('posts', null, { documents: true }).plugin(softDelete, { now: clock() });
+  const [a, b] = await Post.insertMany([{ title: 'a' }, { title: 'b' }, { title: 'c' }]);
+
+  assert.deepEqual(await Post.deleteOne({ id: a.id }), { acknowledged: true, deletedCount: 1 });
+  assert.equal(transport.getRecords('posts')[0].deleted_at, '2024-01-01T00:00:01.000Z');
+  assert.equal(await Post.countDocuments(), 2);
+  assert.equal(await Post.countDocuments({}, { withDeleted: true }), 3);
+  assert.equal((await Post.find().withDeleted().clone().exec()).length, 3);
+  assert.equal((await Post.find({ deleted_at: { $ne: null } }).exec()).length, 1);
+  assert.equal(await Post.exists({ id: a.id }), false);
+  assert.equal(await Post.findById(a.id), null);
+  assert.deepEqual(await Post.deleteOne({ id: a.id }), { acknowledged: true, deletedCount: 0 });
+
+  assert.equal((await Post.restore({ id: a.id })).modifiedCount, 1);
+  const [doc] = await Post.find({ id: b.id }).exec();
+  await doc.remove();
+  assert.equal(await Post.countDocuments(), 2);
+  const [deleted] = await Post.find({ id: b.id }).withDeleted().exec();
+  await deleted.restore();
+  assert.equal(deleted.deleted_at, null);
+  assert.equal(deleted.isModified(), false);
+
+  await Post.deleteMany({ title: 'c' }, { force: true });
+  assert.equal(transport.getRecords('posts').length, 2);
+});
+
+test('softDelete findByIdAndDelete skips documents that are already deleted', async () => {
+  const { db, transport } = connect();
+  const Post = db.model('posts').plugin(softDelete, { now: clock() });
+  const post = await Post.create({ title: 'a' });
+
+  const deleted = await Post.findByIdAndDelete(post.id);
+  assert.equal(deleted.deleted_at, '2024-01-01T00:00:01.000Z');
+  await assert.rejects(Post.findByIdAndDelete(post.id), NotFoundError);
+  await assert.rejects(Post.findByIdAndDelete('missing'), NotFoundError);
+  assert.equal(transport.getRecords('posts')[0].deleted_at, '2024-01-01T00:00:01.000Z');
+});
+
+test('plugins, methods, statics and query helpers', async () => {
+  const { db } = connect();
+  db.plugin(timestamps);
+  const User = db.model('users');
+
+  User.method('hello', function () { return `hi ${this.n}`; })
+    .static('byN', function (n) { return this.find({ n }); })
+    .queryHelper('first', function () { return this.limit(1); });
+  await User.create({ n: 1 });
+
+  const [user] = await User.byN(1).first().lean(false).exec();
+  assert.equal(user.hello(), 'hi 1');
+  assert.ok(user.created_at);
+  assert.equal(User.find().withDeleted, undefined);
+  assert.throws(() => User.plugin(1), /Plugin must be a function/);
+});
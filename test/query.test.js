@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport } from '../index.js';
+
+const connect = () => {
+  const transport = new MemoryTransport({ data: {
+    users: Array.from({ length: 5 }, (_, age) => ({ name: `n${age}`, age })),
+    posts: [{ id: 'p1', title: 'T', body: 'B', author_id: '1' }]
+  } });
+  return new DBConnection({ siteId: 'test', baseURL: 'https://api.example/api/v1/test', transport });
+};
+
+test('clone() copies the query so both can change independently', async () => {
+  const User = connect().model('users');
+  const base = User.find({ age: { $gte: 1 } }).sort({ age: -1 });
+  const extended = base.clone().lt('age', 4).limit(2).select(['name']);
+
+  assert.deepEqual(base.toJSON(), { collection: 'users', filters: { age: { $gte: 1 } }, sort: { age: -1 }, limit: null, skip: 0, select: null, populate: [] });
+  assert.deepEqual(JSON.parse(JSON.stringify(extended)), {
+    collection: 'users', filters: { age: { $gte: 1, $lt: 4 } }, sort: { age: -1 }, limit: 2, skip: 0, select: ['name'], populate: []
+  });
+  assert.deepEqual((await extended.exec()).map(user => user.name), ['n3', 'n2']);
+  assert.equal((await base.exec()).length, 4);
+});
+
+test('clone() keeps the select of populated queries as the user wrote it', async () => {
+  const db = connect();
+  db.model('users');
+  const Post = db.model('posts').belongsTo('author', { collection: 'users', foreignKey: 'author_id' });
+  const query = Post.find().select('title').populate('author');
+  const copy = query.clone();
+
+  assert.deepEqual(copy.selectFields, query.selectFields);
+  assert.deepEqual(copy.populatePaths, query.populatePaths);
+  assert.deepEqual(copy.toJSON(), query.toJSON());
+
+  const [post] = await copy.exec();
+  assert.deepEqual(Object.keys(post).sort(), ['author', 'id', 'title']);
+  assert.equal(post.author.name, 'n0');
+});
+
+test('toURL() gives the request URL of the query', () => {
+  const User = connect().model('users');
+
+  assert.equal(User.find().lt('age', 4).limit(2).select(['name']).toURL(),
+    'https://api.example/api/v1/test/collections/users/records?' +
+    `filters=${encodeURIComponent('{"age":{"$lt":4}}')}&limit=2&select=${encodeURIComponent('["name"]')}`);
+  assert.equal(User.find().toURL(), 'https://api.example/api/v1/test/collections/users/records?');
+});
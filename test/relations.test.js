@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport } from '../index.js';
+
+// Connection with users, tags, posts and comments, keeping the URL of each request
+const connect = () => {
+  const transport = new MemoryTransport({ data: {
+    users: [{ id: 'u1', name: 'Ann', org_id: 'o1' }, { id: 'u2', name: 'Bob' }],
+    orgs: [{ id: 'o1', title: 'Org' }],
+    tags: [{ id: 't1', label: 'js' }, { id: 't2', label: 'db' }],
+    posts: [
+      { id: 'p1', title: 'A', body: 'a', author_id: 'u1', tag_ids: ['t2', 't1', 'tx'] },
+      { id: 'p2', title: 'B', body: 'b', author_id: 'u2', tag_ids: [] },
+      { id: 'p3', title: 'C', body: 'c', author_id: null }
+    ],
+    comments: [
+      { id: 'c1', post_id: 'p1', user_id: 'u2', text: 'hi', n: 2 },
+      { id: 'c2', post_id: 'p1', user_id: 'u1', text: 'yo', n: 1 },
+      { id: 'c3', post_id: 'p2', user_id: 'u1', text: 'x', n: 3 }
+    ]
+  } });
+  const urls = [];
+  const db = new DBConnection({ siteId: 'test', transport });
+  db.on('request', event => urls.push(event.url));
+  db.model('users').belongsTo('org', { collection: 'orgs', foreignKey: 'org_id' });
+  db.model('orgs');
+  db.model('comments', null, { relations: { user: { type: 'belongsTo', collection: 'users', foreignKey: 'user_id' } } });
+  const Post = db.model('posts')
+    .belongsTo('author', { collection: 'users', foreignKey: 'author_id' })
+    .hasMany('comments', { collection: 'comments', foreignKey: 'post_id' })
+    .manyToMany('tags', { collection: 'tags', foreignKey: 'tag_ids' });
+  return { db, Post, urls };
+};
+
+test('belongsTo, hasMany and manyToMany relations are populated', async () => {
+  const { Post, urls } = connect();
+
+  const withAuthors = await Post.find().sort({ id: 1 }).populate('author').exec();
+  assert.deepEqual(withAuthors.map(post => post.author && post.author.name), ['Ann', 'Bob', null]);
+  assert.equal(urls.length, 2);
+
+  const withComments = await Post.find().sort({ id: 1 }).populate('comments').exec();
+  assert.deepEqual(withComments.map(post => post.comments.map(comment => comment.id)), [['c1', 'c2'], ['c3'], []]);
+
+  const [first] = await Post.find({ id: 'p1' }).populate(['tags']).exec();
+  assert.deepEqual(first.tags.map(tag => tag.label), ['db', 'js']);
+});
+
+test('nested populate uses the relations of the related model', async () => {
+  const { Post } = connect();
+
+  const [post] = await Post.find({ id: 'p1' })
+    .populate({ path: 'comments', populate: 'user', sort: { n: 1 }, select: 'text' })
+    .populate({ path: 'author', select: 'name', populate: 'org' })
+    .exec();
+  assert.deepEqual(post.comments.map(comment => [comment.text, comment.user.name]), [['yo', 'Ann'], ['hi', 'Bob']]);
+  assert.deepEqual(Object.keys(post.author).sort(), ['id', 'name', 'org']);
+  assert.equal(post.author.org.title, 'Org');
+});
+
+test('reference fields added for populate are removed unless selected', async () => {
+  const { Post } = connect();
+
+  let [post] = await Post.find({ id: 'p1' }).select('title').populate('author').populate('tags').exec();
+  assert.deepEqual(Object.keys(post).sort(), ['author', 'id', 'tags', 'title']);
+
+  [post] = await Post.find({ id: 'p1' }).select('title author_id').populate('author').exec();
+  assert.equal(post.author_id, 'u1');
+
+  [post] = await Post.find({ id: 'p1' }).select('-body -author_id').populate('author').exec();
+  assert.ok(!('author_id' in post) && !('body' in post));
+  assert.equal(post.author.name, 'Ann');
+
+  [post] = await Post.find({ id: 'p1' }).populate('author').exec();
+  assert.equal(post.author_id, 'u1');
+});
+
+test('legacy populate options still work', async () => {
+  const { Post } = connect();
+
+  const [post] = await Post.find({ id: 'p1' }).populate({ field: 'comments', table: 'comments', referenceField: 'post_id' }).exec();
+  assert.equal(post.comments.length, 2);
+});
+
+test('unknown relations and unregistered models are reported', async () => {
+  const { db, Post } = connect();
+
+  assert.throws(() => Post.find().populate('nope'), /Unknown relation "nope" on "posts", expected one of: author, comments, tags/);
+  assert.throws(() => db.model('tags').find().populate('x'), /Unknown relation "x" on "tags"$/);
+  assert.throws(() => Post.hasMany('x', { collection: 'y' }), /needs a collection and a foreignKey/);
+  await assert.rejects(Post.find().populate({ path: 'tags', populate: 'x' }).exec(), /Unknown relation "x" on "tags"/);
+  await assert.rejects(
+    db.model('z').belongsTo('w', { collection: 'nowhere', foreignKey: 'w_id' }).find().populate({ path: 'w', populate: 'x' }).exec(),
+    /Cannot populate "w.x": no model is registered for "nowhere"/
+  );
+});
+
+test('many parents are resolved in chunks', async () => {
+  const parents = Array.from({ length: 250 }, (_, i) => ({ id: `m${i}`, author_id: `u${i % 2 + 1}` }));
+  const transport = new MemoryTransport({ data: {
+    users: [{ id: 'u1' }, { id: 'u2' }],
+    m: parents,
+    c: parents.map((parent, i) => ({ id: `c${i}`, m_id: parent.id }))
+  } });
+  const db = new DBConnection({ siteId: 'test', transport });
+  db.model('users');
+  db.model('c', null, { relations: { m: { type: 'belongsTo', collection: 'm', foreignKey: 'm_id' } } });
+  const M = db.model('m').hasMany('cs', { collection: 'c', foreignKey: 'm_id' }).belongsTo('a', { collection: 'users', foreignKey: 'author_id' });
+
+  const records = await M.find().populate({ path: 'cs', populate: 'm' }).populate('a').exec();
+  assert.equal(records.length, 250);
+  assert.ok(records.every(record => record.cs.length === 1 && record.cs[0].m.id === record.id && record.a));
+});
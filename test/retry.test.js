@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, NetworkError, TimeoutError, WebCakeError } from '../index.js';
+import { getRetryDelay, parseRetryAfter, resolveRetryPolicy, DEFAULT_RETRY_POLICY } from '../src/retry.js';
+
+const fast = { minDelay: 1, maxDelay: 50, jitter: false };
+
+const reply = (status, payload, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: name => headers[name.toLowerCase()] || null },
+  json: async () => payload
+});
+
+// Fetch answering with the given responses in turn (an Error is thrown instead of returned)
+const sequence = (...steps) => {
+  const fetch = async () => {
+    fetch.calls++;
+    const step = steps[Math.min(fetch.calls, steps.length) - 1];
+    if (step instanceof Error) {
+      throw step;
+    }
+    return step;
+  };
+  fetch.calls = 0;
+  return fetch;
+};
+
+const ok = reply(200, { success: true, data: [] });
+
+test('reads are retried on network errors and retryable statuses', async () => {
+  const fetch = sequence(new Error('reset'), reply(503, { success: false, message: 'busy' }), ok);
+  const db = new DBConnection({ siteId: 'test', fetch, retry: fast });
+
+  assert.deepEqual(await db.model('users').find().exec(), []);
+  assert.equal(fetch.calls, 3);
+});
+
+test('reads give up after the configured attempts', async () => {
+  const fetch = sequence(new Error('reset'));
+  const db = new DBConnection({ siteId: 'test', fetch, retry: { ...fast, attempts: 2 } });
+
+  await assert.rejects(db.model('users').find().exec(), NetworkError);
+  assert.equal(fetch.calls, 2);
+});
+
+test('non-retryable statuses are not retried', async () => {
+  const fetch = sequence(reply(400, { success: false, message: 'bad' }), ok);
+  const db = new DBConnection({ siteId: 'test', fetch, retry: fast });
+
+  await assert.rejects(db.model('users').find().exec(), WebCakeError);
+  assert.equal(fetch.calls, 1);
+});
+
+test('inserts are sent once unless marked idempotent', async () => {
+  const created = reply(200, { success: true, data: { id: '1' } });
+
+  const once = sequence(new Error('reset'), created);
+  const db = new DBConnection({ siteId: 'test', fetch: once, retry: fast });
+  await assert.rejects(db.model('users').create({ name: 'Ann' }), NetworkError);
+  assert.equal(once.calls, 1);
+
+  const twice = sequence(new Error('reset'), created);
+  const retried = new DBConnection({ siteId: 'test', fetch: twice, retry: fast });
+  assert.deepEqual(await retried.model('users').create({ name: 'Ann' }, { idempotent: true }), { id: '1' });
+  assert.equal(twice.calls, 2);
+});
+
+test('retry: false disables retries for one call', async () => {
+  const fetch = sequence(new Error('reset'), ok);
+  const db = new DBConnection({ siteId: 'test', fetch, retry: fast });
+
+  await assert.rejects(db.model('users').find().setOptions({ retry: false }).exec(), NetworkError);
+  assert.equal(fetch.calls, 1);
+});
+
+test('Retry-After longer than maxDelay throws instead of waiting', async () => {
+  const fetch = sequence(reply(429, { success: false, message: 'slow down' }, { 'retry-after': '120' }), ok);
+  const db = new DBConnection({ siteId: 'test', fetch, retry: fast });
+
+  const error = await db.model('users').find().exec().catch(e => e);
+  assert.equal(error.status, 429);
+  assert.equal(error.retryAfter, 120000);
+  assert.equal(fetch.calls, 1);
+});
+
+test('each attempt is aborted after the timeout', async () => {
+  const signals = [];
+  const fetch = (url, init) => {
+    signals.push(init.signal);
+    return new Promise(() => {});
+  };
+  const db = new DBConnection({ siteId: 'test', fetch, timeout: 10, retry: { ...fast, attempts: 2 } });
+
+  const error = await db.model('users').find().exec().catch(e => e);
+  assert.ok(error instanceof TimeoutError);
+  assert.ok(error instanceof NetworkError);
+  assert.equal(signals.length, 2);
+  assert.ok(signals.every(signal => signal.aborted));
+});
+
+test('a caller abort stops retries', async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const fetch = async () => {
+    calls++;
+    controller.abort();
+    throw new Error('aborted');
+  };
+  const db = new DBConnection({ siteId: 'test', fetch, retry: fast });
+
+  await assert.rejects(db.model('users').find().setOptions({ signal: controller.signal }).exec(), NetworkError);
+  assert.equal(calls, 1);
+});
+
+test('retry helpers', () => {
+  assert.equal(resolveRetryPolicy(DEFAULT_RETRY_POLICY, false).attempts, 1);
+  assert.equal(resolveRetryPolicy(DEFAULT_RETRY_POLICY, 5).attempts, 5);
+  assert.equal(resolveRetryPolicy(DEFAULT_RETRY_POLICY, { factor: 3 }).factor, 3);
+
+  const policy = { ...DEFAULT_RETRY_POLICY, jitter: false };
+  assert.equal(getRetryDelay(policy, 1), 100);
+  assert.equal(getRetryDelay(policy, 3), 400);
+  assert.equal(getRetryDelay({ ...policy, maxDelay: 300 }, 3), 300);
+
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
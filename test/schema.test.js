@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, Schema, ValidationError } from '../index.js';
+
+const connect = () => {
+  const transport = new MemoryTransport();
+  return { transport, db: new DBConnection({ siteId: 'test', transport }) };
+};
+
+test('values are cast to their field type', async () => {
+  const schema = new Schema({ age: Number, active: Boolean, born: Date, name: String, tags: [String], owner: 'reference' });
+  const value = await schema.validate({ age: '30', active: 'true', born: '2000-01-01', name: 12, tags: ['a', 1], owner: { id: 7 } });
+
+  assert.equal(value.age, 30);
+  assert.equal(value.active, true);
+  assert.ok(value.born instanceof Date);
+  assert.equal(value.born.toISOString(), '2000-01-01T00:00:00.000Z');
+  assert.equal(value.name, '12');
+  assert.deepEqual(value.tags, ['a', '1']);
+  assert.equal(value.owner, '7');
+});
+
+test('defaults, enum, min/max, match and custom validators', async () => {
+  const schema = new Schema({
+    name: { type: 'string', required: true, min: 2 },
+    role: { type: 'string', enum: ['admin', 'user'], default: 'user' },
+    email: { type: 'string', match: /@/ },
+    even: { type: 'number', validate: value => value % 2 === 0 || 'even must be even' }
+  });
+
+  assert.deepEqual(await schema.validate({ name: 'Al' }), { name: 'Al', role: 'user' });
+
+  const error = await schema.validate({ name: 'A', role: 'boss', email: 'nope', even: 3 }).catch(e => e);
+  assert.ok(error instanceof ValidationError);
+  assert.deepEqual(error.errors.map(entry => [entry.path, entry.kind]), [
+    ['name', 'min'], ['role', 'enum'], ['email', 'match'], ['even', 'validator']
+  ]);
+  assert.equal(error.errors[3].message, 'even must be even');
+});
+
+test('strict schemas reject undeclared fields', async () => {
+  await assert.rejects(new Schema({ name: String }).validate({ naem: 'Al' }), error => error.errors[0].kind === 'strict');
+  assert.deepEqual(await new Schema({ name: String }, { strict: false }).validate({ naem: 'Al' }), { naem: 'Al' });
+});
+
+test('empty strings unset optional non-string fields', async () => {
+  const schema = new Schema({ n: Number, d: Date, name: String, req: { type: Number, required: true } });
+
+  assert.deepEqual(await schema.validate({ n: '', d: '', name: '', req: 1 }), { n: null, d: null, name: '', req: 1 });
+  assert.deepEqual(await schema.validate({ n: '' }, { partial: true }), { n: null });
+  await assert.rejects(schema.validate({ req: '' }), error => error.errors[0].kind === 'required');
+});
+
+test('cast failures are ValidationErrors', async () => {
+  const schema = new Schema({ n: Number });
+
+  await assert.rejects(schema.validate({ n: 'x' }), error => error instanceof ValidationError && error.errors[0].kind === 'type');
+  assert.throws(() => schema._castValue(schema.path('n'), 'x'), error => error instanceof ValidationError && error.errors[0].path === 'n');
+});
+
+test('validateMany prefixes error paths with the record index', async () => {
+  const schema = new Schema({ age: { type: Number, min: 0 } });
+  const error = await schema.validateMany([{ age: 1 }, { age: -1 }]).catch(e => e);
+
+  assert.deepEqual(error.errors.map(entry => entry.path), ['1.age']);
+});
+
+test('models validate writes and cast results', async () => {
+  const { db, transport } = connect();
+  const User = db.model('users', { name: { type: 'string', required: true }, age: Number, born: Date });
+
+  const created = await User.create({ name: 'Al', age: '30', born: '2000-01-01' });
+  assert.equal(created.age, 30);
+  assert.ok(created.born instanceof Date);
+  assert.equal(typeof transport.getRecords('users')[0].born, 'string');
+  assert.ok((await User.findById(created.id)).born instanceof Date);
+
+  const error = await User.create({ age: 'x' }).catch(e => e);
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.collection, 'users');
+  assert.equal(error.operation, 'create');
+  assert.deepEqual(error.errors.map(entry => entry.path), ['name', 'age']);
+  assert.equal(transport.getRecords('users').length, 1);
+
+  await User.updateOne({ name: 'Al' }, { age: '31' });
+  assert.equal(transport.getRecords('users')[0].age, 31);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConnectionManager, DBConnection, MemoryTransport, createConnections, softDelete, timestamps } from '../index.js';
+
+const posts = () => Array.from({ length: 3 }, (_, i) => ({ title: `t${i}`, n: i }));
+
+test('sites sharing a MemoryTransport keep their own records', async () => {
+  const transport = new MemoryTransport({ data: { posts: posts() } });
+  const sites = createConnections({ a: 'site-a', b: 'site-b' }, { transport });
+
+  await sites.get('a').model('posts').deleteMany({});
+  const report = await sites.copyCollection('posts', { from: 'b', to: 'a' });
+
+  assert.equal(report.inserted, 3);
+  assert.equal(await sites.get('a').model('posts').countDocuments(), 3);
+  assert.equal(await sites.get('b').model('posts').countDocuments(), 3);
+
+  await sites.copyCollection('posts', { from: 'a', to: 'b' });
+  assert.equal(transport.getRecords('posts', 'site-a').length, 3);
+  assert.equal(transport.getRecords('posts', '/api/v1/site-b').length, 6);
+  assert.throws(() => transport.getRecords('posts'), /Several sites are stored \(\/api\/v1\/site-a, \/api\/v1\/site-b\); pass the site/);
+  assert.equal(transport.getRecords('posts', 'site-c').length, 3, 'unused sites hold the initial records');
+});
+
+test('withSite connections keep the options and use their own records', async () => {
+  const transport = new MemoryTransport();
+  const db = new DBConnection({ siteId: 'one', baseURL: 'https://api.example/api/v1/one', transport, token: 't1', headers: { 'X-A': '1' }, timeout: 5 });
+  db.plugin(timestamps);
+  const two = db.withSite('two');
+
+  assert.equal(two, db.withSite('two'));
+  assert.equal(db.withSite('one'), db);
+  assert.equal(two.baseURL, 'https://api.example/api/v1/two');
+  assert.deepEqual([two.token, two.headers['X-A'], two.timeout, two.transport, two.interceptors, two.plugins.length], ['t1', '1', 5, transport, db.interceptors, 1]);
+  assert.equal(db.withSite('three', { token: 't3' }).token, 't3');
+  assert.notEqual(db.withSite('three', { token: 't3' }), db.withSite('three', { token: 't3' }));
+
+  await db.model('posts').create({ title: 'a' });
+  assert.equal(await two.model('posts').countDocuments(), 0);
+  assert.ok((await two.model('posts').create({ title: 'b' })).created_at);
+  assert.deepEqual(transport.getRecords('posts', 'one').map(post => post.title), ['a']);
+
+  assert.throws(() => new DBConnection({ siteId: 'x', baseURL: 'https://h/api' }).withSite('y'), /Cannot derive the base URL of site "y"/);
+  assert.equal(new DBConnection({ siteId: 'x', baseURL: 'https://h/api' }).withSite('y', { baseURL: 'https://h/y' }).baseURL, 'https://h/y');
+  assert.throws(() => db.withSite(''), /needs a site ID/);
+});
+
+test('connection managers share the transport, cache, interceptors and plugins', async () => {
+  const transport = new MemoryTransport();
+  const sites = createConnections(
+    { a: 'siteA', b: { siteId: 'siteB', token: 'tb' }, c: { siteId: 'siteC', baseURL: 'https://other/api/v1/siteC' } },
+    { transport, cache: true, token: 'shared', baseURL: id => `https://api.example/api/v1/${id}`, offline: true }
+  );
+  const [a, b, c] = ['a', 'b', 'c'].map(name => sites.get(name));
+  const seen = [];
+  sites.interceptors.request.use(config => { seen.push(`${config.url} ${config.headers.Authorization}`); });
+  sites.plugin(timestamps);
+
+  assert.ok(sites instanceof ConnectionManager);
+  assert.deepEqual(sites.names, ['a', 'b', 'c']);
+  assert.equal(a.baseURL, 'https://api.example/api/v1/siteA');
+  assert.equal(c.baseURL, 'https://other/api/v1/siteC');
+  assert.ok(a.cache && a.cache === c.cache && a.transport === b.transport);
+  assert.equal(a.offline, null);
+  assert.deepEqual([a.token, b.token], ['shared', 'tb']);
+
+  assert.ok((await a.model('posts').create({ t: 1 })).created_at);
+  assert.match(seen[0], /siteA\/collections\/posts\/records Bearer shared$/);
+  assert.throws(() => sites.get('z'), /Unknown site "z", expected one of: a, b, c/);
+  assert.throws(() => createConnections({ x: {} }), /needs a siteId/);
+  assert.throws(() => createConnections({}, { baseURL: 'http://x' }), /must be a function/);
+});
+
+test('copyCollection filters, maps and reports the copied records', async () => {
+  const transport = new MemoryTransport();
+  const sites = createConnections({ a: 'A', b: 'B' }, { transport });
+  sites.plugin(softDelete);
+  const source = sites.get('a').model('posts');
+  await source.insertMany(Array.from({ length: 7 }, (_, n) => ({ title: `t${n}`, n })));
+  await source.deleteOne({ n: 6 });
+
+  const progress = [];
+  const report = await sites.copyCollection('posts', {
+    from: 'a',
+    to: 'b',
+    filters: { n: { $gte: 1 } },
+    batchSize: 2,
+    mapping: row => (row.n === 3 ? null : { ...row, copied: true }),
+    onProgress: event => progress.push(event.processed)
+  });
+  assert.deepEqual([report.total, report.inserted, report.skipped, report.rejected.length], [5, 4, 1, 0]);
+  assert.deepEqual(transport.getRecords('posts', 'B').map(post => [post.title, post.copied]), [['t1', true], ['t2', true], ['t4', true], ['t5', true]]);
+  assert.deepEqual(progress, [2, 5]);
+
+  const [first] = transport.getRecords('posts', 'A');
+  assert.equal((await sites.copyCollection('posts', { from: sites.get('a'), to: 'b', keepIds: true, filters: { id: first.id } })).inserted, 1);
+  assert.ok(transport.getRecords('posts', 'B').some(post => post.id === first.id && post.title === 't0'));
+  await assert.rejects(sites.copyCollection('posts', { from: 'a', to: 'a' }), /onto itself/);
+  await assert.rejects(sites.copyCollection('posts', { from: 'a' }), /needs `from` and `to`/);
+});
+
+test('run() calls a function for every site', async () => {
+  const transport = new MemoryTransport({ data: { posts: posts() } });
+  const sites = createConnections({ a: 'A', b: 'B' }, { transport });
+
+  const results = await sites.run(async (db, name) => {
+    if (name === 'b') {
+      throw new Error('boom');
+    }
+    return db.model('posts').countDocuments();
+  }, { concurrency: 1 });
+  assert.deepEqual(results.map(result => [result.site, result.result, result.error && result.error.message]), [['a', 3, null], ['b', undefined, 'boom']]);
+  await assert.rejects(sites.run(() => 1, { sites: ['q'] }), /Unknown site/);
+});
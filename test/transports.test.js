@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { DBConnection, FetchTransport, HttpTransport, MemoryTransport } from '../index.js';
+
+test('MemoryTransport runs the records API in memory', async () => {
+  const transport = new MemoryTransport({ data: { users: [{ name: 'Ann', age: 30 }, { name: 'Bob', age: 17 }] } });
+  const db = new DBConnection({ siteId: 'test', transport });
+  const User = db.model('users');
+
+  const created = await User.create({ name: 'Cid', age: 45 });
+  assert.equal(created.id, '3');
+
+  const adults = await User.find().gte('age', 18).sort({ age: -1 }).select('name').exec();
+  assert.deepEqual(adults, [{ id: '3', name: 'Cid' }, { id: '1', name: 'Ann' }]);
+  assert.equal(await User.countDocuments({ age: { $lt: 18 } }), 1);
+
+  await User.deleteMany({ age: { $lt: 18 } });
+  assert.deepEqual(transport.getRecords('users').map(user => user.name), ['Ann', 'Cid']);
+});
+
+test('MemoryTransport generates ids after explicit numeric ids', async () => {
+  const transport = new MemoryTransport({ data: { users: [{ id: '1', name: 'Seed' }, { id: 'abc' }] } });
+  const User = new DBConnection({ siteId: 'test', transport }).model('users');
+
+  assert.equal((await User.create({ name: 'Next' })).id, '2');
+  await User.create({ id: 10 });
+  assert.equal((await User.create({})).id, '11');
+  assert.deepEqual(transport.getRecords('users').map(user => user.id), ['1', 'abc', '2', '10', '11']);
+});
+
+test('MemoryTransport answers unknown routes with 404', async () => {
+  const response = await new MemoryTransport().request('/api/v1/test/unknown');
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).success, false);
+});
+
+test('FetchTransport uses the fetch passed as option', async () => {
+  const calls = [];
+  const transport = new FetchTransport({ fetch: async (url, init) => {
+    calls.push([url, init.method]);
+    return new MemoryTransport().request(url, init);
+  } });
+  const db = new DBConnection({ siteId: 'test', transport });
+
+  assert.deepEqual(await db.model('users').find().exec(), []);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][1], 'GET');
+  assert.match(calls[0][0], /^\/api\/v1\/test\/collections\/users\/records/);
+});
+
+test('FetchTransport throws at construction without a fetch implementation', () => {
+  const globalFetch = globalThis.fetch;
+  delete globalThis.fetch;
+  try {
+    assert.throws(() => new FetchTransport(), /No fetch implementation available/);
+    assert.throws(() => new DBConnection({ siteId: 'test' }), /No fetch implementation available/);
+    assert.doesNotThrow(() => new DBConnection({ siteId: 'test', fetch: globalFetch }));
+  } finally {
+    globalThis.fetch = globalFetch;
+  }
+});
+
+test('HttpTransport sends requests with the http module', async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, data: { id: '1', name: 'Ann' } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const db = new DBConnection({
+    baseURL: `http://127.0.0.1:${server.address().port}/api/v1/test`,
+    transport: new HttpTransport()
+  });
+  const created = await db.model('users').create({ name: 'Ann' });
+
+  assert.deepEqual(created, { id: '1', name: 'Ann' });
+  assert.equal(received[0].method, 'POST');
+  assert.equal(received[0].url, '/api/v1/test/collections/users/records');
+  assert.deepEqual(received[0].body.fields, [{ field_name: 'name', field_value: 'Ann' }]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DBConnection, MemoryTransport, NotFoundError, ValidationError, WebCakeError } from '../index.js';
+
+const connect = (data) => {
+  const transport = new MemoryTransport({ data });
+  const db = new DBConnection({ siteId: 'test', transport });
+  return { transport, Post: db.model('posts', { title: 'string', views: 'number', tags: ['string'] }) };
+};
+
+test('update operators are applied to the matched records', async () => {
+  const { transport, Post } = connect({ posts: [{ title: 'a', views: 1, tags: ['x'] }, { title: 'b', tags: [] }] });
+
+  assert.deepEqual(await Post.updateOne({ id: '1' }, { $inc: { views: 2 }, $push: { tags: 'y' }, $set: { title: 'A' } }),
+    { acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  assert.deepEqual(transport.getRecords('posts')[0], { id: '1', title: 'A', views: 3, tags: ['x', 'y'] });
+
+  assert.equal((await Post.updateMany({}, { $inc: { views: 1 }, $addToSet: { tags: { $each: ['x', 'z'] } } })).modifiedCount, 2);
+  assert.deepEqual(await Post.findByIdAndUpdate('1', { $pull: { tags: 'x' } }, { new: true }), { id: '1', title: 'A', views: 4, tags: ['y', 'z'] });
+
+  await Post.findOneAndUpdate({ title: 'b' }, { $unset: { tags: 1 } });
+  assert.deepEqual(transport.getRecords('posts')[1], { id: '2', title: 'b', tags: null, views: 1 });
+});
+
+test('operator writes are guarded by the values they were computed from', async () => {
+  const { transport, Post } = connect({ posts: [{ id: '1', views: 1 }] });
+  const request = transport.request.bind(transport);
+  let interfere = 0;
+  transport.request = async (url, init) => {
+    if (interfere > 0 && init.method === 'PATCH') {
+      interfere--;
+      transport.sites['/api/v1/test'].posts[0].views += 10;
+    }
+    return request(url, init);
+  };
+
+  interfere = 1;
+  await Post.updateOne({ id: '1' }, { $inc: { views: 1 } });
+  assert.equal(transport.getRecords('posts')[0].views, 12, 'recomputed after the concurrent change');
+
+  interfere = 5;
+  const error = await Post.updateOne({ id: '1' }, { $inc: { views: 1 } }).catch(e => e);
+  assert.ok(error instanceof WebCakeError);
+  assert.equal(error.status, 409);
+  assert.match(error.message, /kept changing/);
+});
+
+test('malformed update documents are rejected', async () => {
+  const { Post } = connect({ posts: [{ id: '1', title: 'a', views: 1 }] });
+
+  await assert.rejects(Post.updateOne({ id: '1' }, { $foo: { a: 1 } }), /Unknown update operator "\$foo"/);
+  await assert.rejects(Post.updateOne({ id: '1' }, { title: 'x', $inc: { views: 1 } }), /Cannot mix update operators with plain fields/);
+  await assert.rejects(Post.updateOne({ id: '1' }, { $inc: { views: 1 }, $set: { views: 2 } }), /cannot be used in both/);
+  await assert.rejects(Post.updateOne({ id: '1' }, { $inc: { title: 1 } }), ValidationError);
+});
+
+test('findByIdAndUpdate returns one record and throws NotFoundError for missing ids', async () => {
+  const { Post } = connect({ posts: [{ id: '1', views: 1, tags: [] }] });
+
+  const updated = await Post.findByIdAndUpdate('1', { $inc: { views: 2 }, $push: { tags: 'a' } });
+  assert.equal(Array.isArray(updated), false);
+  assert.equal(updated.views, 3);
+  assert.deepEqual(updated.tags, ['a']);
+  assert.equal((await Post.findByIdAndUpdate('1', { views: 7 })).views, 7);
+
+  await assert.rejects(Post.findByIdAndUpdate('99', { $inc: { views: 1 } }), error => error instanceof NotFoundError && error.filters.id === '99');
+  await assert.rejects(Post.findByIdAndUpdate('99', { views: 1 }), NotFoundError);
+});
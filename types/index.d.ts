@@ -6,7 +6,102 @@ export interface DBConnectionConfig {
   baseURL?: string;
   siteId?: string;
   token?: string;
+  getToken?: () => string | null | undefined | Promise<string | null | undefined>;
+  refreshToken?: () => string | void | Promise<string | void>;
   headers?: Record<string, string>;
+  transport?: Transport | FetchLike;
+  fetch?: FetchLike;
+  retry?: Partial<RetryPolicy> | number | boolean;
+  timeout?: number;
+  cache?: QueryCache | QueryCacheOptions | boolean;
+  batch?: { maxBatchSize?: number } | boolean;
+  dedupe?: boolean;
+  offline?: OfflineQueueOptions | boolean;
+  debug?: DebugOptions | boolean;
+}
+
+export interface CacheEntry {
+  value: any;
+  expiresAt: number;
+}
+
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  keys(): string[] | Promise<string[]>;
+}
+
+export interface CacheOptions {
+  ttl?: number;
+  staleWhileRevalidate?: boolean;
+}
+
+export interface QueryCacheOptions extends CacheOptions {
+  store?: CacheStore;
+}
+
+export interface ModelOptions {
+  cache?: number | CacheOptions | boolean;
+  documents?: boolean;
+  relations?: Record<string, RelationOptions & { type: RelationType }>;
+}
+
+export type RelationType = 'belongsTo' | 'hasMany' | 'manyToMany';
+
+export interface RelationOptions {
+  collection: string;
+  foreignKey: string;
+}
+
+export interface Relation extends RelationOptions {
+  name: string;
+  type: RelationType;
+  localField: string;
+  targetField: string;
+}
+
+export interface RetryPolicy {
+  attempts: number;
+  minDelay: number;
+  maxDelay: number;
+  factor: number;
+  jitter: boolean;
+  statusCodes: number[];
+}
+
+export interface RequestOptions {
+  retry?: Partial<RetryPolicy> | number | boolean;
+  timeout?: number;
+  idempotent?: boolean;
+  signal?: AbortSignal;
+  cache?: number | CacheOptions | boolean;
+  /** softDelete plugin: include deleted documents in reads */
+  withDeleted?: boolean;
+  /** softDelete plugin: really delete documents */
+  force?: boolean;
+}
+
+export type FetchLike = (url: string, init?: TransportRequestInit) => Promise<TransportResponse>;
+
+export interface TransportRequestInit {
+  method?: string;
+  headers?: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+}
+
+export interface TransportResponse {
+  ok: boolean;
+  status: number;
+  statusText: string;
+  headers: { get(name: string): string | null };
+  json(): Promise<any>;
+  text(): Promise<string>;
+}
+
+export interface Transport {
+  request(url: string, init?: TransportRequestInit): Promise<TransportResponse>;
 }
 
 export interface FieldData {
@@ -26,6 +121,14 @@ export interface PopulateConfig {
   justOne?: boolean;
 }
 
+export interface PopulateOptions {
+  path: string;
+  select?: string | string[];
+  match?: Record<string, any>;
+  sort?: Record<string, 1 | -1>;
+  populate?: string | PopulateOptions | Array<string | PopulateOptions>;
+}
+
 export interface QueryParams {
   filters?: Record<string, any>;
   sort?: Record<string, 1 | -1>;
@@ -35,15 +138,106 @@ export interface QueryParams {
   populate?: PopulateConfig[];
 }
 
+export interface PaginateResult<T = any> {
+  items: T[];
+  total: number;
+  page: number;
+  perPage: number;
+  pages: number;
+  hasNext: boolean;
+}
+
 export interface UpdateResult {
   acknowledged: boolean;
   matchedCount: number;
   modifiedCount: number;
+  upsertedCount?: number;
+  upsertedId?: string;
+  queued?: boolean;
+  queueId?: string;
 }
 
 export interface DeleteResult {
   acknowledged: boolean;
   deletedCount: number;
+  queued?: boolean;
+  queueId?: string;
+}
+
+export interface UpdateDocument {
+  $set?: Record<string, any>;
+  $unset?: Record<string, any>;
+  $inc?: Record<string, number>;
+  $push?: Record<string, any>;
+  $pull?: Record<string, any>;
+  $addToSet?: Record<string, any>;
+}
+
+export type BulkWriteOperation =
+  | { insertOne: { document: Record<string, any> } }
+  | { updateOne: { filter: Record<string, any>; update: Record<string, any> | UpdateDocument; upsert?: boolean } }
+  | { updateMany: { filter: Record<string, any>; update: Record<string, any> | UpdateDocument } }
+  | { deleteOne: { filter: Record<string, any> } }
+  | { deleteMany: { filter: Record<string, any> } };
+
+export interface BulkWriteResult {
+  acknowledged: boolean;
+  insertedCount: number;
+  matchedCount: number;
+  modifiedCount: number;
+  deletedCount: number;
+  upsertedCount: number;
+  insertedIds: Record<number, string>;
+  upsertedIds: Record<number, string>;
+  errors: Array<{ index: number; operation: string; error: Error }>;
+}
+
+export type AggregationStage =
+  | { $match: Record<string, any> }
+  | { $group: { _id: any; [field: string]: any } }
+  | { $sort: Record<string, 1 | -1> }
+  | { $project: Record<string, any> }
+  | { $limit: number }
+  | { $skip: number }
+  | { $unwind: string | { path: string; preserveNullAndEmptyArrays?: boolean } }
+  | { $lookup: { from: string; localField: string; foreignField: string; as: string } };
+
+export type DataFormat = 'ndjson' | 'json' | 'csv';
+
+export interface ExportOptions extends RequestOptions {
+  format?: DataFormat;
+  filters?: Record<string, any>;
+  select?: string | string[];
+  sort?: Record<string, 1 | -1>;
+  batchSize?: number;
+}
+
+export interface ImportProgress {
+  processed: number;
+  inserted: number;
+  rejected: number;
+}
+
+export interface ImportOptions extends RequestOptions {
+  format?: DataFormat;
+  batchSize?: number;
+  mapping?: Record<string, string> | ((row: Record<string, any>) => Record<string, any> | null | undefined);
+  onError?: (error: Error, info: { index: number; row: any; line?: number }) => void | Promise<void>;
+  onProgress?: (progress: ImportProgress) => void | Promise<void>;
+}
+
+export interface ImportReport {
+  total: number;
+  inserted: number;
+  skipped: number;
+  rejected: Array<{ index: number; row: any; line?: number; error: Error }>;
+}
+
+export interface QueuedWrite {
+  queued: true;
+  queueId: string;
+  operation: string;
+  collection: string;
 }
 
 export interface CountResult {
@@ -60,9 +254,128 @@ export interface ApiResponse<T = any> {
   message?: string;
 }
 
+export interface WebCakeErrorDetails {
+  status?: number | null;
+  payload?: any;
+  collection?: string;
+  operation?: string;
+  filters?: Record<string, any>;
+  cause?: Error;
+}
+
+export declare class WebCakeError extends Error {
+  status: number | null;
+  payload: any;
+  collection: string | null;
+  operation: string | null;
+  filters: Record<string, any> | null;
+  cause?: Error;
+
+  constructor(message: string, details?: WebCakeErrorDetails);
+}
+
+export declare class NotFoundError extends WebCakeError {}
+export interface ValidationErrorItem {
+  path: string;
+  kind: 'required' | 'type' | 'enum' | 'min' | 'max' | 'match' | 'validator' | 'strict' | string;
+  value: any;
+  message: string;
+}
+
+export declare class ValidationError extends WebCakeError {
+  errors: ValidationErrorItem[];
+  constructor(message: string, details?: WebCakeErrorDetails & { errors?: ValidationErrorItem[] });
+}
+export declare class AuthError extends WebCakeError {}
+export declare class NetworkError extends WebCakeError {}
+export declare class TimeoutError extends NetworkError {}
+export declare class OfflineError extends NetworkError {}
+
+export type SchemaType = 'string' | 'number' | 'boolean' | 'date' | 'array' | 'object' | 'reference' | 'mixed';
+
+export type SchemaTypeShorthand =
+  | SchemaType
+  | StringConstructor
+  | NumberConstructor
+  | BooleanConstructor
+  | DateConstructor
+  | ArrayConstructor
+  | ObjectConstructor;
+
+export type SchemaValidatorFn = (value: any) => boolean | string | Promise<boolean | string>;
+
+export interface SchemaFieldOptions {
+  type?: SchemaTypeShorthand | [SchemaTypeShorthand | SchemaFieldOptions];
+  of?: SchemaTypeShorthand | SchemaFieldOptions;
+  ref?: string;
+  required?: boolean;
+  default?: any;
+  enum?: any[];
+  min?: number | Date;
+  max?: number | Date;
+  match?: RegExp | string;
+  validate?: SchemaValidatorFn | { validator: SchemaValidatorFn; message?: string } | Array<SchemaValidatorFn | { validator: SchemaValidatorFn; message?: string }>;
+}
+
+export type SchemaFieldDefinition = SchemaTypeShorthand | [SchemaTypeShorthand | SchemaFieldOptions] | SchemaFieldOptions;
+
+export type SchemaDefinition = Record<string, SchemaFieldDefinition>;
+
+export interface SchemaOptions {
+  strict?: boolean;
+}
+
+export declare class Schema {
+  fields: Record<string, SchemaFieldOptions & { name: string; type: SchemaType }>;
+  options: SchemaOptions;
+
+  constructor(definition?: SchemaDefinition, options?: SchemaOptions);
+  validate(data: Record<string, any>, options?: { partial?: boolean }): Promise<Record<string, any>>;
+  validateMany(dataArray: Record<string, any>[], options?: { partial?: boolean }): Promise<Record<string, any>[]>;
+  cast<T = any>(record: T): T;
+  path(name: string): (SchemaFieldOptions & { name: string; type: SchemaType }) | null;
+  add(definition: SchemaDefinition): this;
+}
+
+export type LogicalCondition = QueryBuilder | Record<string, any> | ((builder: QueryBuilder) => void);
+
+export declare class Document {
+  [field: string]: any;
+  readonly $model: DBModel;
+
+  constructor(model: DBModel, data?: Record<string, any>);
+  isModified(path?: string): boolean;
+  modifiedPaths(): string[];
+  save(options?: RequestOptions): Promise<this>;
+  remove(options?: RequestOptions): Promise<this>;
+  reload(options?: RequestOptions): Promise<this>;
+  toJSON(): Record<string, any>;
+}
+
+export interface QueryDescription {
+  collection: string;
+  filters: Record<string, any>;
+  sort: Record<string, 1 | -1>;
+  limit: number | null;
+  skip: number;
+  select: string | string[] | null;
+  populate: PopulateConfig[];
+}
+
+export interface DebugOptions {
+  log?: (message: string, info: RequestEvent | ResponseEvent | RequestErrorEvent) => void;
+  warn?: (message: string, info: RequestEvent | ResponseEvent) => void;
+  slowThreshold?: number;
+  largeResult?: number;
+}
+
 export declare class QueryBuilder {
-  constructor(collectionName: string, apiClient: DBConnection);
+  collectionName: string;
+  filters: Record<string, any>;
+
+  constructor(collectionName: string, apiClient: DBConnection, model?: DBModel | null);
   
+  where(filters: Record<string, any>): QueryBuilder;
   where(field: string, operator: string | any, value?: any): QueryBuilder;
   eq(field: string, value: any): QueryBuilder;
   gt(field: string, value: any): QueryBuilder;
@@ -74,54 +387,484 @@ export declare class QueryBuilder {
   ne(field: string, value: any): QueryBuilder;
   between(field: string, value1: any, value2: any): QueryBuilder;
   like(field: string, pattern: string): QueryBuilder;
+  or(...conditions: Array<LogicalCondition | LogicalCondition[]>): QueryBuilder;
+  and(...conditions: Array<LogicalCondition | LogicalCondition[]>): QueryBuilder;
+  nor(...conditions: Array<LogicalCondition | LogicalCondition[]>): QueryBuilder;
+  not(condition: LogicalCondition): QueryBuilder;
   sort(sortObj: Record<string, 1 | -1>): QueryBuilder;
   limit(n: number): QueryBuilder;
   skip(n: number): QueryBuilder;
   select(fields: string | string[]): QueryBuilder;
-  populate(config: PopulateConfig): QueryBuilder;
+  populate(config: PopulateConfig | string | PopulateOptions | Array<string | PopulateOptions | PopulateConfig>): QueryBuilder;
+  setOptions(options: RequestOptions): QueryBuilder;
+  cache(ttl?: number, options?: CacheOptions): QueryBuilder;
+  lean(value?: boolean): QueryBuilder;
+  test(doc: Record<string, any>): boolean;
+  applyTo<T extends Record<string, any>>(docs: T[]): T[];
   exec(): Promise<any[]>;
+  cursor(options?: { batchSize?: number }): AsyncGenerator<any, void, undefined>;
+  eachBatch(fn: (batch: any[], batchIndex: number) => any, options?: { batchSize?: number }): Promise<number>;
+  paginate(options?: { page?: number; perPage?: number }): Promise<PaginateResult>;
+  live(options?: LiveQueryOptions): LiveQuery;
+  clone(): QueryBuilder;
+  toJSON(): QueryDescription;
+  toURL(): string;
+  /** Added by the softDelete plugin */
+  withDeleted?(): QueryBuilder;
   then(resolve: (value: any[]) => any, reject?: (reason: any) => any): Promise<any>;
 }
 
+export type HookEvent = 'create' | 'update' | 'delete' | 'find' | 'count';
+
+export interface HookContext {
+  model: DBModel;
+  operation: string;
+  filters?: Record<string, any>;
+  data?: any;
+  options?: RequestOptions & Record<string, any>;
+  query?: QueryBuilder;
+  result?: any;
+}
+
+export type HookFn = (this: DBModel, context: HookContext) => void | Promise<void>;
+
+export type Plugin<O = any> = (model: DBModel, options: O) => void;
+
+export interface TimestampsOptions {
+  createdAt?: string | false;
+  updatedAt?: string | false;
+  now?: () => any;
+}
+
+export interface SoftDeleteOptions {
+  field?: string;
+  now?: () => any;
+}
+
 export declare class DBModel {
-  constructor(collectionName: string, apiClient: DBConnection);
+  collectionName: string;
+  apiClient: DBConnection;
+  schema: Schema | null;
+  options: ModelOptions;
+  hooks: { pre: Partial<Record<HookEvent, HookFn[]>>; post: Partial<Record<HookEvent, HookFn[]>> };
+  relations: Record<string, Relation>;
+  methods: Record<string, (this: Document, ...args: any[]) => any>;
+  queryHelpers: Record<string, (this: QueryBuilder, ...args: any[]) => QueryBuilder>;
+  plugins: Array<{ fn: Plugin; options: any }>;
+  /** Added by the softDelete plugin */
+  restore?(filters?: Record<string, any>, options?: RequestOptions): Promise<UpdateResult>;
+
+  constructor(collectionName: string, apiClient: DBConnection, schema?: Schema | null, options?: ModelOptions);
+
+  pre(event: HookEvent | HookEvent[], fn: HookFn): this;
+  post(event: HookEvent | HookEvent[], fn: HookFn): this;
+  plugin<O = any>(fn: Plugin<O>, options?: O): this;
+  method(name: string, fn: (this: Document, ...args: any[]) => any): this;
+  static(name: string, fn: (this: DBModel, ...args: any[]) => any): this;
+  queryHelper(name: string, fn: (this: QueryBuilder, ...args: any[]) => QueryBuilder): this;
+  belongsTo(name: string, options: RelationOptions): this;
+  hasMany(name: string, options: RelationOptions): this;
+  manyToMany(name: string, options: RelationOptions): this;
   
-  create(data: Record<string, any>): Promise<any>;
-  insertMany(dataArray: Record<string, any>[]): Promise<any[]>;
+  create(data: Record<string, any>, options?: RequestOptions): Promise<any>;
+  insertMany(dataArray: Record<string, any>[], options?: RequestOptions): Promise<any[]>;
   find(filters?: Record<string, any>): QueryBuilder;
-  findOne(filters?: Record<string, any>): Promise<any | null>;
-  findById(id: string): Promise<any | null>;
-  updateOne(filters: Record<string, any>, updateData: Record<string, any>): Promise<UpdateResult>;
-  findByIdAndUpdate(id: string, updateData: Record<string, any>, options?: { new?: boolean }): Promise<any>;
-  findOneAndUpdate(filters: Record<string, any>, updateData: Record<string, any>): Promise<any>;
-  updateMany(filters: Record<string, any>, updateData: Record<string, any>): Promise<UpdateResult>;
-  deleteOne(filters: Record<string, any>): Promise<DeleteResult>;
-  findByIdAndDelete(id: string): Promise<any>;
-  findOneAndDelete(filters: Record<string, any>): Promise<any>;
-  deleteMany(filters: Record<string, any>): Promise<DeleteResult>;
-  countDocuments(filters?: Record<string, any>): Promise<number>;
-  exists(filters: Record<string, any>): Promise<boolean>;
-}
-
-export declare class DBConnection {
+  watch(filters?: Record<string, any>, options?: LiveQueryOptions): LiveQuery;
+  findOne(filters?: Record<string, any>, options?: RequestOptions): Promise<any | null>;
+  findById(id: string, options?: RequestOptions): Promise<any | null>;
+  updateOne(filters: Record<string, any>, updateData: Record<string, any> | UpdateDocument, options?: RequestOptions & { upsert?: boolean }): Promise<UpdateResult>;
+  findByIdAndUpdate(id: string, updateData: Record<string, any> | UpdateDocument, options?: RequestOptions & { new?: boolean; upsert?: boolean }): Promise<any>;
+  findOneAndUpdate(filters: Record<string, any>, updateData: Record<string, any> | UpdateDocument, options?: RequestOptions & { upsert?: boolean }): Promise<any>;
+  updateMany(filters: Record<string, any>, updateData: Record<string, any> | UpdateDocument, options?: RequestOptions): Promise<UpdateResult>;
+  deleteOne(filters: Record<string, any>, options?: RequestOptions): Promise<DeleteResult>;
+  findByIdAndDelete(id: string, options?: RequestOptions): Promise<any>;
+  findOneAndDelete(filters: Record<string, any>, options?: RequestOptions): Promise<any>;
+  deleteMany(filters: Record<string, any>, options?: RequestOptions): Promise<DeleteResult>;
+  bulkWrite(operations: BulkWriteOperation[], options?: RequestOptions & { ordered?: boolean }): Promise<BulkWriteResult>;
+  distinct(field: string, filters?: Record<string, any>, options?: RequestOptions & { batchSize?: number }): Promise<any[]>;
+  aggregate<T = any>(pipeline: AggregationStage[], options?: RequestOptions & { batchSize?: number }): Promise<T[]>;
+  export(options?: ExportOptions): AsyncGenerator<string>;
+  import(source: string | Array<Record<string, any>> | Iterable<string | Uint8Array> | AsyncIterable<string | Uint8Array>, options?: ImportOptions): Promise<ImportReport>;
+  countDocuments(filters?: Record<string, any>, options?: RequestOptions): Promise<number>;
+  exists(filters: Record<string, any>, options?: RequestOptions): Promise<boolean>;
+}
+
+export declare class FetchTransport implements Transport {
+  constructor(options?: { fetch?: FetchLike });
+  request(url: string, init?: TransportRequestInit): Promise<TransportResponse>;
+}
+
+export declare class HttpTransport implements Transport {
+  constructor(options?: { agent?: any });
+  request(url: string, init?: TransportRequestInit): Promise<TransportResponse>;
+}
+
+export declare class MemoryTransport implements Transport {
+  sites: Record<string, Record<string, Record<string, any>[]>>;
+
+  constructor(options?: { data?: Record<string, Record<string, any>[]> });
+  request(url: string, init?: TransportRequestInit): Promise<TransportResponse>;
+  getRecords(tableName: string, site?: string): Record<string, any>[];
+  reset(): void;
+}
+
+export declare class DataLoader<K = any, V = any> {
+  maxBatchSize: number;
+  clone: (value: V) => V;
+
+  constructor(batchFn: (keys: K[]) => Promise<V[]>, options?: { maxBatchSize?: number; clone?: (value: V) => V });
+  load(key: K): Promise<V>;
+}
+
+export declare class QueryCache {
+  ttl: number;
+  staleWhileRevalidate: boolean;
+  store: CacheStore;
+
+  constructor(options?: QueryCacheOptions);
+  key(scope: string, collection: string, operation: string, params: Record<string, any>, identity?: { site?: string; token?: string | null }): string;
+  wrap<T>(key: string, options: CacheOptions, load: () => Promise<T>): Promise<T>;
+  invalidate(scope: string, collection?: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class MemoryCacheStore implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  keys(): string[];
+}
+
+export declare class LocalStorageCacheStore implements CacheStore {
+  constructor(options?: { prefix?: string; storage?: Storage });
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  keys(): string[];
+}
+
+export declare class EventEmitter {
+  on(event: string, listener: (...args: any[]) => void): () => void;
+  once(event: string, listener: (...args: any[]) => void): () => void;
+  off(event: string, listener?: (...args: any[]) => void): void;
+  emit(event: string, ...args: any[]): boolean;
+  listenerCount(event: string): number;
+}
+
+export interface QueueEntry {
+  id: string;
+  request: Record<string, any>;
+  options: RequestOptions;
+  queuedAt: string;
+  attempts: number;
+}
+
+export interface QueueStore {
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export type ConflictResolution = 'discard' | 'keep' | { body?: any; request?: Record<string, any> };
+
+export interface OfflineQueueOptions {
+  store?: QueueStore;
+  onConflict?: (error: WebCakeError, entry: QueueEntry) => ConflictResolution | Promise<ConflictResolution>;
+  autoReplay?: boolean;
+  retryInterval?: number;
+}
+
+export interface OfflineQueueStatus {
+  size: number;
+  replaying: boolean;
+  online: boolean;
+}
+
+export declare class OfflineQueue extends EventEmitter {
+  connection: DBConnection;
+  store: QueueStore;
+  entries: QueueEntry[];
+  replaying: boolean;
+  closed: boolean;
+  readonly size: number;
+  readonly status: OfflineQueueStatus;
+
+  constructor(connection: DBConnection, options?: OfflineQueueOptions);
+  pending(): Promise<QueueEntry[]>;
+  enqueue(request: Record<string, any>, options?: RequestOptions): Promise<QueuedWrite>;
+  replay(): Promise<{ replayed: number; remaining: number }>;
+  remove(id: string): Promise<boolean>;
+  clear(): Promise<void>;
+  close(): void;
+}
+
+export declare class MemoryQueueStore implements QueueStore {
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export declare class LocalStorageQueueStore implements QueueStore {
+  constructor(options?: { key?: string; storage?: Storage });
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export declare class IndexedDBQueueStore implements QueueStore {
+  constructor(options?: { dbName?: string; storeName?: string; indexedDB?: IDBFactory });
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export interface LiveQueryStrategy {
+  start(liveQuery: LiveQuery): void;
+  stop(): void;
+}
+
+export interface PollingOptions {
+  interval?: number;
+  backoff?: number;
+  maxInterval?: number;
+}
+
+export interface LiveQueryOptions extends PollingOptions {
+  strategy?: LiveQueryStrategy;
+}
+
+export interface LiveQueryChange<T = any> {
+  snapshot: T[];
+  inserted: T[];
+  updated: T[];
+  deleted: T[];
+  initial: boolean;
+}
+
+export interface LiveQueryHandlers<T = any> {
+  insert?: (doc: T) => void;
+  update?: (doc: T, previous: T) => void;
+  delete?: (doc: T) => void;
+  change?: (change: LiveQueryChange<T>) => void;
+  error?: (error: Error) => void;
+}
+
+export declare class LiveQuery<T = any> extends EventEmitter {
+  query: QueryBuilder;
+  strategy: LiveQueryStrategy;
+  snapshot: T[] | null;
+  running: boolean;
+
+  constructor(query: QueryBuilder, options?: LiveQueryOptions);
+  subscribe(listener: ((change: LiveQueryChange<T>) => void) | LiveQueryHandlers<T>): () => void;
+  start(): this;
+  stop(): this;
+  refresh(): Promise<T[]>;
+  apply(records: T[]): T[];
+}
+
+export declare class PollingStrategy implements LiveQueryStrategy {
+  interval: number;
+  backoff: number;
+  maxInterval: number;
+  delay: number;
+
+  constructor(options?: PollingOptions);
+  start(liveQuery: LiveQuery): void;
+  stop(): void;
+}
+
+export declare function matches(doc: Record<string, any>, filters: Record<string, any>): boolean;
+export declare function validateFilters<T extends Record<string, any>>(filters: T): T;
+
+export declare function timestamps(model: DBModel, options?: TimestampsOptions): void;
+export declare function softDelete(model: DBModel, options?: SoftDeleteOptions): void;
+
+export interface InterceptedRequest {
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: any;
+  collection: string;
+  operation: string;
+  filters?: Record<string, any>;
+  /** Fetch-like response, or JSON body of a 200 response, returned instead of sending the request */
+  response?: any;
+}
+
+export interface InterceptedResponse {
+  status: number;
+  ok: boolean;
+  statusText: string;
+  headers: { get(name: string): string | null };
+  payload: any;
+}
+
+export declare class InterceptorManager<T = any, C extends any[] = any[]> {
+  handlers: Array<(value: T, ...context: C) => T | void | Promise<T | void>>;
+  readonly size: number;
+
+  use(fn: (value: T, ...context: C) => T | void | Promise<T | void>): () => void;
+  eject(fn: (value: T, ...context: C) => T | void | Promise<T | void>): void;
+  clear(): void;
+  run(value: T, ...context: C): Promise<T>;
+}
+
+export interface RequestEvent {
+  requestId: number;
+  collection: string;
+  operation: string;
+  method: string;
+  url: string;
+  filters: Record<string, any> | null;
+  size: number;
+}
+
+export interface ResponseEvent {
+  requestId: number;
+  collection: string;
+  operation: string;
+  method: string;
+  url: string;
+  status: number;
+  ok: boolean;
+  duration: number;
+  size: number;
+  count: number | null;
+}
+
+export interface RequestErrorEvent {
+  requestId: number;
+  collection: string;
+  operation: string;
+  method: string;
+  url: string;
+  status: number | null;
+  duration: number;
+}
+
+export interface Migration {
+  name: string;
+  up(db: DBConnection): any | Promise<any>;
+  down?(db: DBConnection): any | Promise<any>;
+}
+
+export interface MigratorOptions {
+  migrations?: Migration[];
+  directory?: string;
+  collection?: string;
+  lockTimeout?: number;
+}
+
+export interface MigrationStatus {
+  name: string;
+  applied: boolean;
+  appliedAt: string | null;
+  missing: boolean;
+}
+
+export declare class Migrator extends EventEmitter {
+  connection: DBConnection;
+  directory: string | null;
+  collection: string;
+  lockTimeout: number;
+  readonly model: DBModel;
+
+  constructor(connection: DBConnection, options?: MigratorOptions);
+  status(): Promise<MigrationStatus[]>;
+  up(options?: { to?: string; dryRun?: boolean }): Promise<string[]>;
+  down(options?: { steps?: number; to?: string; dryRun?: boolean }): Promise<string[]>;
+  unlock(): Promise<number>;
+  load(): Promise<Migration[]>;
+}
+
+export interface SharedConnectionConfig extends Omit<DBConnectionConfig, 'siteId' | 'baseURL' | 'offline'> {
+  baseURL?: (siteId: string) => string;
+}
+
+export interface SiteRunResult<T = any> {
+  site: string;
+  result: T | undefined;
+  error: Error | null;
+}
+
+export interface CopyCollectionOptions extends RequestOptions {
+  from: string | DBConnection;
+  to: string | DBConnection;
+  filters?: Record<string, any>;
+  select?: string | string[];
+  keepIds?: boolean;
+  mapping?: (record: Record<string, any>) => Record<string, any> | null | undefined;
+  batchSize?: number;
+  onProgress?: (progress: ImportProgress) => void | Promise<void>;
+  onError?: (error: Error, info: { index: number; row: any; line?: number }) => void | Promise<void>;
+}
+
+export declare class ConnectionManager {
+  shared: SharedConnectionConfig;
+  connections: Record<string, DBConnection>;
+  interceptors: DBConnection['interceptors'];
+  plugins: Array<{ fn: Plugin; options: any }>;
+  transport: Transport | null;
+  cache: QueryCache | null;
+  readonly names: string[];
+
+  constructor(sites?: Record<string, DBConnectionConfig | string>, shared?: SharedConnectionConfig);
+  add(name: string, config: DBConnectionConfig | string): DBConnection;
+  get(name: string): DBConnection;
+  plugin<O = any>(fn: Plugin<O>, options?: O): this;
+  run<T>(fn: (connection: DBConnection, name: string) => T | Promise<T>, options?: { sites?: string[]; concurrency?: number }): Promise<Array<SiteRunResult<T>>>;
+  copyCollection(collection: string, options: CopyCollectionOptions): Promise<ImportReport>;
+}
+
+export declare function createConnections(sites: Record<string, DBConnectionConfig | string>, shared?: SharedConnectionConfig): ConnectionManager;
+
+export declare class DBConnection extends EventEmitter {
   baseURL: string;
   siteId: string;
   headers: Record<string, string>;
+  token: string | null;
+  getToken: (() => string | null | undefined | Promise<string | null | undefined>) | null;
+  refreshToken: (() => string | void | Promise<string | void>) | null;
+  transport: Transport;
+  retry: RetryPolicy;
+  timeout: number;
   
   constructor(config?: DBConnectionConfig);
   
-  model(collectionName: string): DBModel;
-  insertOne(tableName: string, fields: FieldData[]): Promise<any>;
-  insertMany(tableName: string, records: FieldData[][]): Promise<any[]>;
-  query(tableName: string, queryParams: QueryParams): Promise<any[]>;
-  updateById(tableName: string, id: string, fields: FieldData[]): Promise<any>;
-  updateOne(tableName: string, filters: Record<string, any>, fields: FieldData[]): Promise<any>;
-  updateMany(tableName: string, filters: Record<string, any>, fields: FieldData[]): Promise<any>;
-  deleteById(tableName: string, id: string): Promise<any>;
-  deleteOne(tableName: string, filters: Record<string, any>): Promise<any>;
-  deleteMany(tableName: string, filters: Record<string, any>): Promise<any>;
-  count(tableName: string, filters: Record<string, any>): Promise<CountResult>;
-  exists(tableName: string, filters: Record<string, any>): Promise<ExistsResult>;
+  models: Record<string, DBModel>;
+  plugins: Array<{ fn: Plugin; options: any }>;
+
+  cache: QueryCache | null;
+  batch: { maxBatchSize: number } | false;
+  dedupe: boolean;
+  offline: OfflineQueue | null;
+  interceptors: {
+    request: InterceptorManager<InterceptedRequest>;
+    response: InterceptorManager<InterceptedResponse, [InterceptedRequest]>;
+  };
+
+  on(event: 'request', listener: (info: RequestEvent) => void): () => void;
+  on(event: 'response', listener: (info: ResponseEvent) => void): () => void;
+  on(event: 'error', listener: (error: WebCakeError | Error, info: RequestErrorEvent) => void): () => void;
+  on(event: string, listener: (...args: any[]) => void): () => void;
+
+  model(collectionName: string, schema?: Schema | SchemaDefinition | null, options?: ModelOptions): DBModel;
+  plugin<O = any>(fn: Plugin<O>, options?: O): this;
+  withSite(siteId: string, overrides?: DBConnectionConfig): DBConnection;
+  clearCache(collectionName?: string): Promise<void>;
+  setToken(token: string | null): this;
+  setHeaders(headers: Record<string, string | null | undefined>): this;
+  setDebug(options: DebugOptions | boolean): this;
+  close(): void;
+  insertOne(tableName: string, fields: FieldData[], options?: RequestOptions): Promise<any>;
+  insertMany(tableName: string, records: FieldData[][], options?: RequestOptions): Promise<any[]>;
+  query(tableName: string, queryParams: QueryParams, options?: RequestOptions): Promise<any[]>;
+  updateById(tableName: string, id: string, fields: FieldData[], options?: RequestOptions): Promise<any>;
+  updateOne(tableName: string, filters: Record<string, any>, fields: FieldData[], options?: RequestOptions): Promise<any>;
+  updateMany(tableName: string, filters: Record<string, any>, fields: FieldData[], options?: RequestOptions): Promise<any>;
+  deleteById(tableName: string, id: string, options?: RequestOptions): Promise<any>;
+  deleteOne(tableName: string, filters: Record<string, any>, options?: RequestOptions): Promise<any>;
+  deleteMany(tableName: string, filters: Record<string, any>, options?: RequestOptions): Promise<any>;
+  count(tableName: string, filters: Record<string, any>, options?: RequestOptions): Promise<CountResult>;
+  exists(tableName: string, filters: Record<string, any>, options?: RequestOptions): Promise<ExistsResult>;
 }
 
 // Global declarations for browser usage
@@ -131,6 +874,31 @@ declare global {
       DBConnection: typeof DBConnection;
       DBModel: typeof DBModel;
       QueryBuilder: typeof QueryBuilder;
+      Schema: typeof Schema;
+      DataLoader: typeof DataLoader;
+      Document: typeof Document;
+      FetchTransport: typeof FetchTransport;
+      HttpTransport: typeof HttpTransport;
+      MemoryTransport: typeof MemoryTransport;
+      QueryCache: typeof QueryCache;
+      MemoryCacheStore: typeof MemoryCacheStore;
+      LocalStorageCacheStore: typeof LocalStorageCacheStore;
+      EventEmitter: typeof EventEmitter;
+      OfflineQueue: typeof OfflineQueue;
+      MemoryQueueStore: typeof MemoryQueueStore;
+      LocalStorageQueueStore: typeof LocalStorageQueueStore;
+      IndexedDBQueueStore: typeof IndexedDBQueueStore;
+      LiveQuery: typeof LiveQuery;
+      PollingStrategy: typeof PollingStrategy;
+      matches: typeof matches;
+      validateFilters: typeof validateFilters;
+      WebCakeError: typeof WebCakeError;
+      NotFoundError: typeof NotFoundError;
+      ValidationError: typeof ValidationError;
+      AuthError: typeof AuthError;
+      NetworkError: typeof NetworkError;
+      TimeoutError: typeof TimeoutError;
+      OfflineError: typeof OfflineError;
     };
   }
 }
@@ -9,9 +9,69 @@
 import { DBConnection } from './src/DBConnection.js';
 import { DBModel } from './src/DBModel.js';
 import { QueryBuilder } from './src/QueryBuilder.js';
+import { Schema } from './src/Schema.js';
+import { DataLoader } from './src/DataLoader.js';
+import { Document } from './src/Document.js';
+import { FetchTransport } from './src/FetchTransport.js';
+import { HttpTransport } from './src/HttpTransport.js';
+import { MemoryTransport } from './src/MemoryTransport.js';
+import { QueryCache } from './src/QueryCache.js';
+import { MemoryCacheStore } from './src/MemoryCacheStore.js';
+import { LocalStorageCacheStore } from './src/LocalStorageCacheStore.js';
+import { EventEmitter } from './src/EventEmitter.js';
+import { OfflineQueue } from './src/OfflineQueue.js';
+import { MemoryQueueStore } from './src/MemoryQueueStore.js';
+import { LocalStorageQueueStore } from './src/LocalStorageQueueStore.js';
+import { IndexedDBQueueStore } from './src/IndexedDBQueueStore.js';
+import { LiveQuery } from './src/LiveQuery.js';
+import { PollingStrategy } from './src/PollingStrategy.js';
+import { Migrator } from './src/Migrator.js';
+import { ConnectionManager, createConnections } from './src/ConnectionManager.js';
+import { InterceptorManager } from './src/InterceptorManager.js';
+import { matches, validateFilters } from './src/filters.js';
+import { timestamps, softDelete } from './src/plugins.js';
+import {
+  WebCakeError,
+  NotFoundError,
+  ValidationError,
+  AuthError,
+  NetworkError,
+  TimeoutError,
+  OfflineError
+} from './src/errors.js';
 
 // Main export
-export { DBConnection, DBModel, QueryBuilder };
+export { DBConnection, DBModel, QueryBuilder, Schema, DataLoader, Document };
+
+// Transports
+export { FetchTransport, HttpTransport, MemoryTransport };
+
+// Cache
+export { QueryCache, MemoryCacheStore, LocalStorageCacheStore };
+
+// Offline queue
+export { EventEmitter, OfflineQueue, MemoryQueueStore, LocalStorageQueueStore, IndexedDBQueueStore };
+
+// Live queries
+export { LiveQuery, PollingStrategy };
+
+// Filter evaluation
+export { matches, validateFilters };
+
+// Migrations
+export { Migrator };
+
+// Interceptors
+export { InterceptorManager };
+
+// Plugins
+export { timestamps, softDelete };
+
+// Multiple sites
+export { ConnectionManager, createConnections };
+
+// Errors
+export { WebCakeError, NotFoundError, ValidationError, AuthError, NetworkError, TimeoutError, OfflineError };
 
 // Default export
 export default DBConnection;
@@ -21,6 +81,37 @@ if (typeof window !== 'undefined') {
   window.WebCakeData = {
     DBConnection,
     DBModel,
-    QueryBuilder
+    QueryBuilder,
+    Schema,
+    DataLoader,
+    Document,
+    FetchTransport,
+    HttpTransport,
+    MemoryTransport,
+    QueryCache,
+    MemoryCacheStore,
+    LocalStorageCacheStore,
+    EventEmitter,
+    OfflineQueue,
+    MemoryQueueStore,
+    LocalStorageQueueStore,
+    IndexedDBQueueStore,
+    LiveQuery,
+    PollingStrategy,
+    matches,
+    validateFilters,
+    Migrator,
+    InterceptorManager,
+    timestamps,
+    softDelete,
+    ConnectionManager,
+    createConnections,
+    WebCakeError,
+    NotFoundError,
+    ValidationError,
+    AuthError,
+    NetworkError,
+    TimeoutError,
+    OfflineError
   };
 }